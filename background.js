@@ -3,15 +3,74 @@
  * Handles extension messaging, API calls via content script, and downloads
  */
 
-import { conversationToMarkdown } from './export/markdown.js';
-import { createBackupJson } from './export/json.js';
-import { filterNeedingExport, markMultipleExported, getStats, clearHistory } from './sync/tracker.js';
+import {
+    extractAttachmentRefs,
+    buildAttachmentFilename,
+    getCustomGptId,
+    getProjectFolder
+} from './export/markdown.js';
+import { getSelectedFormats } from './export/formats.js';
+import {
+    isProjectId,
+    parseProjectDetails,
+    getProjectFileName,
+    buildProjectNote
+} from './export/project-note.js';
+import { buildIndexNotes } from './export/index-notes.js';
+import {
+    getSyncData,
+    describeExport,
+    compareWithExport,
+    filterNeedingExport,
+    getExportStatuses,
+    countProjectStatuses,
+    markMultipleExported,
+    getLastNodeIds,
+    setUpstreamStatus,
+    getStats,
+    clearHistory
+} from './sync/tracker.js';
+import {
+    findMissingConversations,
+    findReappearedConversations,
+    getUpstreamStatus,
+    getUpstreamProperty,
+    buildRemovedReport
+} from './sync/removed.js';
+import { trackRename, markMovedFiles, buildRenameManifest } from './sync/renames.js';
+import {
+    createFilter,
+    matchesProject,
+    matchesUnfiled,
+    filtersList,
+    matchesFilter,
+    isBeforeUpdatedRange,
+    isShortConversation
+} from './sync/filter.js';
 import { parseChatGPTConversationUrl } from './lib/chatgpt-url.js';
+import {
+    getJob,
+    createJob,
+    saveJob,
+    saveFetchedConversation,
+    loadFetchedConversations,
+    markJobDownloaded,
+    clearJob,
+    getJobSummary
+} from './sync/job.js';
 
 const RATE_LIMIT_DELAY = 4000; // 4 seconds between requests (avoid rate limiting)
 const ZIP_THRESHOLD = 3; // Bundle into ZIP if more than this many files
+const ZIP_PART_MAX_CONVERSATIONS = 100; // Start a new ZIP part after this many conversations
+const ZIP_PART_MAX_BYTES = 50 * 1024 * 1024; // ...or once a part's files reach ~50 MB
 const MAX_RETRIES = 3; // Retry failed requests
 const RETRY_BACKOFF = 10000; // 10 seconds base backoff on retry
+const SETTINGS_KEY = 'gpt_exporter_settings'; // Settings saved by the popup
+const CONVERSATION_LIST_KEY = 'gpt_exporter_conversation_list'; // Last list loaded in the conversation browser
+const PROJECT_LIST_KEY = 'gpt_exporter_project_list'; // Last list loaded in the project picker
+const ATTACHMENTS_FOLDER = 'attachments'; // Folder for downloaded images and files
+const DEFAULT_ATTACHMENT_MAX_MB = 20; // Skip attachments larger than this by default
+const MAX_REMOVED_CHECKS = 50; // Missing conversations looked up per run (see checkRemovedConversations)
 
 // Export state tracking - allows popup to query current progress
 let exportState = {
@@ -155,9 +214,11 @@ let cachedExportTab = null;
 
 /**
  * Clear the cached tab (call at start of new export)
+ * Custom GPT names that could not be looked up are tried again as well
  */
 function clearCachedTab() {
     cachedExportTab = null;
+    forgetFailedGptLookups();
     console.log('[BG] Cleared cached export tab');
 }
 
@@ -273,11 +334,12 @@ async function sendWithRetry(message, description = 'API call') {
 
 /**
  * Get conversation list via content script (with retry)
+ * @param {boolean} [archived] - List archived conversations instead
  */
-async function getConversationsList(offset = 0, limit = 28) {
+async function getConversationsList(offset = 0, limit = 28, archived = false) {
     return sendWithRetry(
-        { action: 'getConversationsList', offset, limit },
-        `getConversationsList(offset=${offset})`
+        { action: 'getConversationsList', offset, limit, archived },
+        `getConversationsList(offset=${offset}${archived ? ', archived' : ''})`
     );
 }
 
@@ -364,16 +426,78 @@ async function getAllProjectConversationsMeta(projectId, projectName, onProgress
     return conversations;
 }
 
+/**
+ * Get all archived conversations, marked with _archived
+ * Archived project conversations keep their project (gizmo_id) and get its name from projectNames
+ *
+ * @param {Object} projectNames - Project ID -> name
+ * @param {number} maxItems - Optional limit on number of items to fetch (0 = unlimited)
+ */
+async function getArchivedConversationsMeta(projectNames, onProgress = null, maxItems = 0) {
+    console.log(`[BG] Fetching archived conversations${maxItems > 0 ? ` (max ${maxItems})` : ''}`);
+    const conversations = [];
+    let offset = 0;
+    const pageSize = 28;
+
+    while (true) {
+        checkCancellation();
+
+        const response = await getConversationsList(offset, pageSize, true);
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        if (!response.items || response.items.length === 0) {
+            console.log(`[BG] No more archived conversations at offset ${offset}`);
+            break;
+        }
+
+        for (const item of response.items) {
+            const projectId = extractProjectUUID(item.gizmo_id);
+            conversations.push(projectNames[projectId]
+                ? { ...item, _archived: true, _projectId: projectId, _projectName: projectNames[projectId] }
+                : { ...item, _archived: true });
+        }
+        console.log(`[BG] Fetched ${response.items.length} archived conversations (total so far: ${conversations.length})`);
+
+        if (onProgress) {
+            onProgress(conversations.length);
+        }
+
+        if (maxItems > 0 && conversations.length >= maxItems) {
+            console.log(`[BG] Reached limit of ${maxItems} for archived conversations`);
+            break;
+        }
+
+        offset += pageSize;
+        await sleep(randomDelay(2000, 4000));
+    }
+
+    return conversations;
+}
+
+/**
+ * Check whether archived conversations are exported too (popup setting)
+ */
+async function isArchivedIncluded() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return !!result[SETTINGS_KEY]?.includeArchived;
+}
 
 /**
  * Get all conversation metadata (including from projects)
  * Projects are fetched FIRST because they tend to be more important
  * @param {function} onProgress - Progress callback
  * @param {number} fetchLimit - Optional limit on total items to fetch (0 = unlimited)
+ * @param {boolean} [includeArchived] - Also list archived conversations (last, marked with _archived)
+ * @param {Object|null} [filter] - Only list conversations matching it (see sync/filter.js); projects
+ *   and the main list are skipped when they cannot match. The limit counts matching conversations.
  */
-async function getAllConversationsMeta(onProgress = null, fetchLimit = 0) {
-    console.log(`[BG] getAllConversationsMeta starting...${fetchLimit > 0 ? ` (limit: ${fetchLimit})` : ''}`);
+async function getAllConversationsMeta(onProgress = null, fetchLimit = 0, includeArchived = false, filter = null) {
+    console.log(`[BG] getAllConversationsMeta starting...${fetchLimit > 0 ? ` (limit: ${fetchLimit})` : ''}${filter ? ' (filtered)' : ''}`);
     const allConversations = [];
+    const projectNames = {};
 
     // FIRST: Fetch projects and their conversations (higher priority)
     console.log('[BG] Fetching projects first (higher priority)...');
@@ -396,12 +520,18 @@ async function getAllConversationsMeta(onProgress = null, fetchLimit = 0) {
             const projectName = project.gizmo?.display?.name || project.display?.name || projectId;
 
             if (!projectId) continue;
+            projectNames[projectId] = projectName;
+
+            if (!matchesProject(projectName, filter)) {
+                console.log(`[BG] Skipping project "${projectName}" (filtered out)`);
+                continue;
+            }
 
             // Random delay 2-4 seconds between project fetches
             await sleep(randomDelay(2000, 4000));
 
-            // Calculate remaining items we can fetch
-            const remainingLimit = fetchLimit > 0 ? fetchLimit - allConversations.length : 0;
+            // Calculate remaining items we can fetch (filtered projects are listed in full)
+            const remainingLimit = fetchLimit > 0 && !filter ? fetchLimit - allConversations.length : 0;
 
             const projectConversations = await getAllProjectConversationsMeta(
                 projectId,
@@ -413,7 +543,7 @@ async function getAllConversationsMeta(onProgress = null, fetchLimit = 0) {
                     }
                 },
                 remainingLimit
-            );
+            ).then(conversations => conversations.filter(meta => matchesFilter(meta, filter)));
 
             if (projectConversations.length > 0) {
                 allConversations.push(...projectConversations);
@@ -436,7 +566,7 @@ async function getAllConversationsMeta(onProgress = null, fetchLimit = 0) {
     let offset = 0;
     const pageSize = 28;
 
-    while (true) {
+    while (matchesUnfiled(filter)) {
         // Check for cancellation
         checkCancellation();
 
@@ -452,7 +582,7 @@ async function getAllConversationsMeta(onProgress = null, fetchLimit = 0) {
             break;
         }
 
-        allConversations.push(...response.items);
+        allConversations.push(...response.items.filter(meta => matchesFilter(meta, filter)));
         console.log(`[BG] Fetched ${response.items.length} main conversations (total so far: ${allConversations.length})`);
 
         if (onProgress) {
@@ -465,12 +595,30 @@ async function getAllConversationsMeta(onProgress = null, fetchLimit = 0) {
             break;
         }
 
+        if (isBeforeUpdatedRange(response.items, filter)) {
+            console.log('[BG] Remaining main conversations were updated before the filter range, stopping');
+            break;
+        }
+
         offset += pageSize;
         // Random delay 2-4 seconds between list pages
         await sleep(randomDelay(2000, 4000));
     }
 
-    console.log(`[BG] Total conversations (projects + main): ${allConversations.length}`);
+    // THIRD: Archived conversations are not in the lists above
+    if (includeArchived && !(fetchLimit > 0 && allConversations.length >= fetchLimit)) {
+        const listed = allConversations.length;
+        const archived = await getArchivedConversationsMeta(projectNames, (current) => {
+            if (onProgress) {
+                onProgress(listed + current, listed + current);
+            }
+        }, fetchLimit > 0 && !filter ? fetchLimit - listed : 0);
+
+        const listedIds = new Set(allConversations.map(c => c.id));
+        allConversations.push(...archived.filter(c => !listedIds.has(c.id) && matchesFilter(c, filter)));
+    }
+
+    console.log(`[BG] Total conversations (projects + main${includeArchived ? ' + archived' : ''}): ${allConversations.length}`);
     return allConversations;
 }
 
@@ -481,6 +629,73 @@ async function getConversation(id) {
     return sendToContentScript({ action: 'getConversation', id });
 }
 
+// Custom GPT names looked up during this session (GPT ID -> name, null if unknown)
+const gptNames = new Map();
+// Custom GPTs whose lookup failed during the current export
+const failedGptLookups = new Set();
+
+/**
+ * Look up the name of a custom GPT, once per session
+ * A failed lookup is not repeated during the same export, so all its
+ * conversations get the same path (see clearCachedTab)
+ * @returns {Promise<string|null>} null if the GPT cannot be found (e.g. it was deleted) or no ChatGPT tab is open
+ */
+async function getGptName(gptId) {
+    if (!gptNames.has(gptId)) {
+        try {
+            const response = await sendToContentScript({ action: 'getGizmo', gizmoId: gptId });
+            gptNames.set(gptId, response?.gizmo?.display?.name || response?.display?.name || null);
+        } catch (error) {
+            console.log(`[BG] Custom GPT ${gptId} not available: ${error.message}`);
+            gptNames.set(gptId, null);
+            failedGptLookups.add(gptId);
+        }
+    }
+    return gptNames.get(gptId);
+}
+
+/**
+ * Forget the custom GPTs whose lookup failed, so the next export tries them again
+ */
+function forgetFailedGptLookups() {
+    for (const gptId of failedGptLookups) {
+        gptNames.delete(gptId);
+    }
+    failedGptLookups.clear();
+}
+
+/**
+ * Add the name of a conversation's custom GPT (as _gptName) before it is rendered
+ * Without a name, the GPT's ID stands in (see getCustomGptName in export/markdown.js)
+ */
+async function attachGptInfo(conversation) {
+    const gptId = getCustomGptId(conversation);
+    if (gptId && !conversation._gptName) {
+        const name = await getGptName(gptId);
+        if (name) {
+            conversation._gptName = name;
+        }
+    }
+}
+
+/**
+ * Look up custom GPT names for conversations imported from the official data export
+ * Best effort, like getProjectNames
+ *
+ * @param {string[]} gptIds
+ * @returns {Promise<Object>} GPT ID -> name
+ */
+async function getGptNames(gptIds) {
+    const names = {};
+    for (const gptId of gptIds) {
+        const name = await getGptName(gptId);
+        if (name) {
+            names[gptId] = name;
+        }
+    }
+    return names;
+}
+
 function extractProjectUUID(projectId) {
     if (!projectId || typeof projectId !== 'string') {
         return null;
@@ -563,28 +778,350 @@ async function getProjectNameForCurrentConversation(tab, projectId) {
     return null;
 }
 
-async function buildExportFiles(fullConversations, formats, reportProgress) {
-    const filesToBundle = [];
+/**
+ * Load the rendering options from the popup settings
+ * They are stored in the export job so a resumed export renders the same way
+ */
+async function loadRenderOptions() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    const settings = result[SETTINGS_KEY] || {};
+
+    return {
+        branches: settings.branches || 'current',
+        thoughts: !!settings.thoughts,
+        tools: !!settings.toolTranscript,
+        canvasHistory: !!settings.canvasHistory,
+        archivedFolder: !!settings.archivedFolder,
+        gptFolders: !!settings.gptFolders,
+        gptTags: !!settings.gptTags,
+        frontmatterTemplate: settings.frontmatterTemplate || '',
+        pathPattern: settings.pathPattern || '',
+        pathSpaces: settings.pathSpaces || 'underscore',
+        pathCase: settings.pathCase || 'keep',
+        managedRegion: !!settings.keepEdits,
+        attachments: {
+            images: !!settings.attachmentImages,
+            generated: !!settings.attachmentGenerated,
+            files: !!settings.attachmentFiles,
+            maxSizeMB: settings.attachmentMaxSizeMB || DEFAULT_ATTACHMENT_MAX_MB
+        }
+    };
+}
+
+/**
+ * Get where exports are saved: 'vault' (the folder picked on the options page) or 'downloads'
+ */
+async function loadExportTarget() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return result[SETTINGS_KEY]?.exportTarget === 'vault' ? 'vault' : 'downloads';
+}
+
+/**
+ * Load the export filter of the popup (see sync/filter.js)
+ * @returns {Promise<Object|null>} null if no filter is set
+ */
+async function loadExportFilter() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return createFilter(result[SETTINGS_KEY]?.filter);
+}
+
+/**
+ * Check whether updated conversations only get their new messages added (append mode)
+ */
+async function isAppendModeEnabled() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return !!result[SETTINGS_KEY]?.appendUpdates;
+}
+
+/**
+ * Encode binary data as base64 (chunked to stay within argument limits)
+ */
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Download an uploaded or generated file
+ * The download URL is resolved through the content script (it needs the
+ * session token), the binary itself is fetched here.
+ *
+ * @param {string} fileId
+ * @param {string|null} conversationId - Needed for newer "file_..." IDs
+ * @param {number} maxBytes - Files over this size are not kept
+ * @returns {Promise<{content: string, mimeType: string|null, fileName: string|null}|null>}
+ *   Base64 content, null if the file is too large
+ */
+async function downloadFileContent(fileId, conversationId, maxBytes) {
+    const info = await sendToContentScript({ action: 'getFileDownloadInfo', fileId, conversationId });
+    if (info.error) {
+        throw new Error(info.error);
+    }
+
+    const response = await fetch(new URL(info.downloadUrl, 'https://chatgpt.com').href, { credentials: 'include' });
+    if (!response.ok) {
+        throw new Error(`Download failed: ${response.status}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength > maxBytes) {
+        console.log(`[BG] Skipping file ${fileId}: ${buffer.byteLength} bytes exceeds ${maxBytes} bytes`);
+        return null;
+    }
+
+    return {
+        content: arrayBufferToBase64(buffer),
+        mimeType: response.headers.get('content-type'),
+        fileName: info.fileName
+    };
+}
+
+/**
+ * Download the images and files referenced by a conversation
+ *
+ * The download URL is resolved through the content script (it needs the
+ * session token), the binary itself is fetched here. Attachments over the
+ * size cap or failing to download are skipped and keep their placeholder.
+ * Downloaded ones are recorded in conversation._attachments so the markdown
+ * can embed them.
+ *
+ * @returns {Promise<Array>} Files to bundle (base64 content)
+ */
+async function downloadAttachments(conversation, attachmentOptions) {
+    const maxBytes = attachmentOptions.maxSizeMB * 1024 * 1024;
+    const conversationId = conversation.conversation_id || conversation.id;
+    const refs = extractAttachmentRefs(conversation, attachmentOptions);
+    const files = [];
+
+    conversation._attachments = {};
+
+    for (const ref of refs) {
+        checkCancellation();
+
+        if (ref.sizeBytes && ref.sizeBytes > maxBytes) {
+            console.log(`[BG] Skipping attachment ${ref.fileId}: ${ref.sizeBytes} bytes exceeds ${attachmentOptions.maxSizeMB} MB`);
+            continue;
+        }
+
+        try {
+            const download = await downloadFileContent(ref.fileId, conversationId, maxBytes);
+            if (!download) {
+                continue;
+            }
+
+            const mimeType = download.mimeType || ref.mimeType || 'application/octet-stream';
+            const filename = buildAttachmentFilename(ref, mimeType, download.fileName);
+
+            conversation._attachments[ref.fileId] = filename;
+            files.push({
+                filename: `${ATTACHMENTS_FOLDER}/${filename}`,
+                content: download.content,
+                mimeType,
+                isBase64: true
+            });
+        } catch (error) {
+            console.warn(`[BG] ⚠️ Attachment ${ref.fileId} could not be downloaded: ${error.message}`);
+        }
+
+        await sleep(randomDelay(1000, 2000));
+    }
+
+    return files;
+}
+
+/**
+ * Render the `_Project.md` notes of the projects a job's conversations belong to
+ *
+ * Each project's details (description, instructions, knowledge files) are
+ * fetched once per export. Its files are downloaded into the project's
+ * attachments folder when uploaded files are exported, with the same size cap.
+ * Best effort: projects whose details cannot be fetched get no note.
+ *
+ * @returns {Promise<Array>} Files to save
+ */
+async function renderProjectNotes(job) {
+    if (!job.formats.markdown) {
+        return [];
+    }
+
+    // The project folder follows the path pattern, so it is found from the
+    // recorded paths of the project's conversations (see getProjectFolder)
+    const { exportedConversations } = await getSyncData();
+    const projects = new Map();
+    for (const [id, info] of Object.entries(job.projectInfo || {})) {
+        const path = exportedConversations[id]?.path;
+        if (!isProjectId(info._projectId) || !path) {
+            continue;
+        }
+        if (!projects.has(info._projectId)) {
+            projects.set(info._projectId, { projectName: info._projectName, notePaths: [] });
+        }
+        projects.get(info._projectId).notePaths.push(path);
+    }
+
+    const attachmentOptions = job.renderOptions.attachments;
+    const files = [];
+    for (const [projectId, { projectName, notePaths }] of projects) {
+        checkCancellation();
+        const projectFolder = getProjectFolder(notePaths, projectName, job.renderOptions);
+
+        let project;
+        try {
+            const response = await sendToContentScript({ action: 'getGizmo', gizmoId: projectId });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+            project = parseProjectDetails(response, projectName, projectId);
+        } catch (error) {
+            console.warn(`[BG] ⚠️ Details of project "${projectName}" not available: ${error.message}`);
+            continue;
+        }
+
+        const savedFiles = {};
+        if (attachmentOptions?.files) {
+            const folder = `${projectFolder}${ATTACHMENTS_FOLDER}/`;
+            for (const file of project.files) {
+                checkCancellation();
+                try {
+                    const download = await downloadFileContent(file.fileId, null, attachmentOptions.maxSizeMB * 1024 * 1024);
+                    if (download) {
+                        const mimeType = download.mimeType || file.mimeType || 'application/octet-stream';
+                        savedFiles[file.fileId] = getProjectFileName(file, mimeType, download.fileName);
+                        files.push({
+                            filename: `${folder}${savedFiles[file.fileId]}`,
+                            content: download.content,
+                            mimeType,
+                            isBase64: true
+                        });
+                    }
+                } catch (error) {
+                    console.warn(`[BG] ⚠️ Project file ${file.name || file.fileId} could not be downloaded: ${error.message}`);
+                }
+                await sleep(randomDelay(1000, 2000));
+            }
+        }
+
+        files.push(buildProjectNote(project, projectFolder, savedFiles));
+        await sleep(randomDelay(1000, 2000));
+    }
+
+    return files;
+}
+
+/**
+ * Save the project notes (and files) of a finished job next to its conversations
+ */
+async function saveProjectNotes(job, results) {
+    const files = await renderProjectNotes(job);
+    if (files.length > 0) {
+        results.push(...await downloadExportFiles(files, job.folder, job.target));
+        console.log(`[BG] Saved ${files.length} project note(s) and file(s)`);
+    }
+}
+
+/**
+ * Save the index notes, rebuilt from everything exported so far
+ * Run after the export's conversations were marked exported, so they are listed
+ * Only for the vault folder: in Downloads every export would add another copy
+ * of the notes (or a ZIP of its own next to the export's ZIP)
+ *
+ * @param {Array} results - Result list of the export (updated in place)
+ */
+async function saveIndexNotes(formats, renderOptions, folder, target, results) {
+    if (!formats.markdown || target !== 'vault') {
+        return;
+    }
+    const { exportedConversations } = await getSyncData();
+    const files = buildIndexNotes(exportedConversations, renderOptions);
+    results.push(...await downloadExportFiles(files, folder, target));
+    console.log(`[BG] Saved ${files.length} index note(s)`);
+}
+
+/**
+ * Render the per-conversation files of the selected formats (everything except bundle formats like the JSON backup)
+ * Downloads the conversation's attachments first when they are enabled. Files of a
+ * renamed or moved conversation record the path they replace (see sync/renames.js).
+ *
+ * @param {Object} exportedConversations - From the sync data, loaded once per export
+ */
+async function renderConversationFiles(conversation, formats, renderOptions, exportedConversations) {
+    const files = [];
+    const attachmentOptions = renderOptions.attachments;
+    const selected = getSelectedFormats(formats);
 
-    if (formats.markdown) {
-        for (let i = 0; i < fullConversations.length; i++) {
-            const md = conversationToMarkdown(fullConversations[i]);
-            filesToBundle.push({ filename: md.filename, content: md.content, mimeType: 'text/markdown' });
-            reportProgress('exporting', i + 1, fullConversations.length);
+    await attachGptInfo(conversation);
+
+    const rename = trackRename(conversation, exportedConversations[conversation.conversation_id || conversation.id], renderOptions);
+
+    if (selected.some(format => format.usesAttachments) && attachmentOptions &&
+        (attachmentOptions.images || attachmentOptions.generated || attachmentOptions.files)) {
+        files.push(...await downloadAttachments(conversation, attachmentOptions));
+    }
+
+    for (const format of selected) {
+        if (format.renderConversation) {
+            files.push(...format.renderConversation(conversation, renderOptions));
         }
     }
 
-    if (formats.json) {
-        const json = createBackupJson(fullConversations);
-        filesToBundle.push({ filename: json.filename, content: json.content, mimeType: 'application/json' });
+    if (rename) {
+        markMovedFiles(files, rename);
+    }
+
+    return files;
+}
+
+/**
+ * Render the files of the selected bundle formats (e.g. the JSON backup) for a batch of conversations
+ */
+function renderBundleFiles(conversations, formats) {
+    return getSelectedFormats(formats)
+        .filter(format => format.renderBundle)
+        .flatMap(format => format.renderBundle(conversations));
+}
+
+async function buildExportFiles(fullConversations, formats, reportProgress, renderOptions = {}) {
+    const filesToBundle = [];
+    const { exportedConversations } = await getSyncData();
+
+    for (let i = 0; i < fullConversations.length; i++) {
+        filesToBundle.push(...await renderConversationFiles(fullConversations[i], formats, renderOptions, exportedConversations));
+        reportProgress('exporting', i + 1, fullConversations.length);
     }
 
+    filesToBundle.push(...renderBundleFiles(fullConversations, formats));
+
     return filesToBundle;
 }
 
-async function downloadExportFiles(filesToBundle, folder = '') {
+/**
+ * Get the files to save where existing notes cannot be edited or moved (Downloads, ZIPs)
+ * Notes that only have new messages to add (append mode) are saved as their patch note,
+ * renamed and moved files are listed in a rename manifest
+ */
+function toDownloadFiles(files) {
+    const downloadFiles = files.map(file => file.patchFile || file);
+    const manifest = buildRenameManifest(files);
+    return manifest ? [...downloadFiles, manifest] : downloadFiles;
+}
+
+async function downloadExportFiles(filesToBundle, folder = '', target = 'downloads') {
     const results = [];
 
+    if (target === 'vault') {
+        updateExportState('saving_vault', 0, filesToBundle.length);
+        await writeToVault(filesToBundle);
+        results.push({ type: 'vault', fileCount: filesToBundle.length });
+        updateExportState('complete', filesToBundle.length, filesToBundle.length);
+        return results;
+    }
+
+    filesToBundle = toDownloadFiles(filesToBundle);
+
     if (filesToBundle.length > ZIP_THRESHOLD) {
         updateExportState('zipping', 0, filesToBundle.length);
         const today = new Date().toISOString().split('T')[0];
@@ -596,32 +1133,134 @@ async function downloadExportFiles(filesToBundle, folder = '') {
     }
 
     for (const file of filesToBundle) {
-        await downloadFile(file.filename, file.content, file.mimeType, folder);
-        results.push({ type: file.mimeType.includes('markdown') ? 'markdown' : 'json', filename: file.filename });
+        await downloadFile(file.filename, file.content, file.mimeType, folder, file.isBase64);
+        results.push({
+            type: file.isBase64 ? 'attachment' : (file.mimeType.includes('markdown') ? 'markdown' : 'json'),
+            filename: file.filename
+        });
     }
 
     updateExportState('complete', filesToBundle.length, filesToBundle.length);
     return results;
 }
 
-async function markConversationsAsExported(fullConversations) {
-    const exportedData = fullConversations.map(c => ({
-        id: c.conversation_id || c.id,
-        updateTime: c.update_time
-            ? (typeof c.update_time === 'number'
-                ? new Date(c.update_time * 1000).toISOString()
-                : c.update_time)
-            : new Date().toISOString()
-    }));
+async function markConversationsAsExported(fullConversations, renderOptions = {}) {
+    if (fullConversations.length === 0) {
+        return;
+    }
+    await markMultipleExported(fullConversations.map(c => describeExport(c, renderOptions)));
+}
+
+/**
+ * Log the conversations a job skipped without writing them
+ */
+function logSkippedConversations(job, short, unchanged) {
+    if (short.length > 0) {
+        console.log(`[BG] ${short.length} conversation(s) with fewer than ${job.minMessages} messages skipped`);
+    }
+    if (unchanged.length > 0) {
+        console.log(`[BG] ${unchanged.length} conversation(s) only had update_time bumped, skipped`);
+    }
+}
+
+/**
+ * Set aside fetched conversations whose messages did not change since their last export
+ *
+ * ChatGPT also bumps update_time on renames, archiving, project moves and
+ * sometimes when a chat is just opened. For "new" jobs, unchanged
+ * conversations are marked exported without writing any files. Renamed and
+ * moved ones are still written (their path changed) and listed in job.changes.
+ * The caller marks the unchanged ones, together with the written ones.
+ *
+ * @param {Object} job - The current job (changes updated in place)
+ * @param {Array} conversations - Fetched conversations
+ * @param {Object} exportedConversations - From the sync data, loaded once per export
+ * @returns {{toWrite: Array, unchanged: Array}}
+ */
+function skipUnchangedConversations(job, conversations, exportedConversations) {
+    if (job.type !== 'new' || !job.changes || conversations.length === 0) {
+        return { toWrite: conversations, unchanged: [] };
+    }
+
+    const toWrite = [];
+    const unchanged = [];
+
+    for (const conversation of conversations) {
+        const id = conversation.conversation_id || conversation.id;
+        const exported = exportedConversations[id];
+        const change = compareWithExport(exported, conversation, job.renderOptions);
+
+        if (change === 'unchanged') {
+            unchanged.push(conversation);
+            continue;
+        }
+
+        if (change === 'renamed' && !job.changes.renamed.some(entry => entry.id === id)) {
+            job.changes.renamed.push({ id, title: conversation.title, previousTitle: exported.title });
+        } else if (change === 'moved' && !job.changes.moved.some(entry => entry.id === id)) {
+            job.changes.moved.push({
+                id,
+                title: conversation.title,
+                project: conversation._projectName || null,
+                previousProject: exported.projectName || null
+            });
+        }
+        toWrite.push(conversation);
+    }
+
+    job.changes.unchanged += unchanged.length;
+    return { toWrite, unchanged };
+}
+
+/**
+ * Set aside fetched conversations with fewer messages than the filter's minimum
+ * The count is only known once a conversation is downloaded. Short conversations
+ * are not written and not marked exported, so they are checked again next time.
+ * The caller records them as downloaded in the job, together with the written ones.
+ *
+ * @param {Object} job - The current job (changes updated in place)
+ * @param {Array} conversations - Fetched conversations
+ * @returns {{toWrite: Array, short: Array}}
+ */
+function skipShortConversations(job, conversations) {
+    if (!job.minMessages || conversations.length === 0) {
+        return { toWrite: conversations, short: [] };
+    }
+
+    const short = conversations.filter(conversation => isShortConversation(conversation, job.minMessages));
+    job.changes.short = (job.changes.short || 0) + short.length;
+    return { toWrite: conversations.filter(conversation => !short.includes(conversation)), short };
+}
 
-    await markMultipleExported(exportedData);
+/**
+ * Build the result of a finished job
+ * Conversations skipped as unchanged or too short do not count as exported
+ */
+function getJobResult(job, results) {
+    const changes = job.changes || { unchanged: 0, renamed: [], moved: [], short: 0 };
+    const result = {
+        totalExported: job.downloadedIds.length - changes.unchanged - (changes.short || 0),
+        changes,
+        results
+    };
+    if (result.totalExported === 0 && changes.unchanged > 0) {
+        result.message = 'All conversations are already up to date!';
+    } else if (result.totalExported === 0 && changes.short > 0) {
+        result.message = 'No conversation has enough messages to be exported.';
+    }
+    return result;
 }
 
 /**
  * Get multiple conversations with rate limiting, retry logic, and batch pauses
+ * @param {string[]} conversationIds
+ * @param {function} onProgress - Progress callback (current, total)
+ * @param {function} onFetched - Optional async callback (id, conversation). When given, each fetched
+ *   conversation is handed to it instead of being collected, so large exports don't pile up in memory.
  */
-async function getConversations(conversationIds, onProgress = null) {
+async function getConversations(conversationIds, onProgress = null, onFetched = null) {
     const conversations = [];
+    let fetchedCount = 0;
     let consecutiveErrors = 0;
     const totalCount = conversationIds.length;
     const startTime = Date.now();
@@ -682,13 +1321,19 @@ async function getConversations(conversationIds, onProgress = null) {
             // If we get 5 consecutive errors, something is seriously wrong - abort
             if (consecutiveErrors >= 5) {
                 const elapsed = ((Date.now() - startTime) / 60000).toFixed(1);
-                console.error(`[BG] ❌ ABORTING: ${consecutiveErrors} consecutive failures. Fetched ${conversations.length}/${totalCount} in ${elapsed} minutes.`);
-                throw new Error(`Export aborted after ${consecutiveErrors} consecutive failures. Fetched ${conversations.length} conversations. Try again later.`);
+                console.error(`[BG] ❌ ABORTING: ${consecutiveErrors} consecutive failures. Fetched ${fetchedCount}/${totalCount} in ${elapsed} minutes.`);
+                throw new Error(`Export aborted after ${consecutiveErrors} consecutive failures. Fetched ${fetchedCount} conversations. Try again later.`);
             }
             continue;
         }
 
-        conversations.push(conversation);
+        fetchedCount++;
+
+        if (onFetched) {
+            await onFetched(conversationIds[i], conversation);
+        } else {
+            conversations.push(conversation);
+        }
 
         if (onProgress) {
             onProgress(conversationNum, totalCount);
@@ -709,7 +1354,7 @@ async function getConversations(conversationIds, onProgress = null) {
     }
 
     const totalElapsed = ((Date.now() - startTime) / 60000).toFixed(1);
-    console.log(`[BG] ✅ Completed fetching ${conversations.length}/${totalCount} conversations in ${totalElapsed} minutes`);
+    console.log(`[BG] ✅ Completed fetching ${fetchedCount}/${totalCount} conversations in ${totalElapsed} minutes`);
 
     return conversations;
 }
@@ -767,16 +1412,52 @@ async function createBlobUrl(content, mimeType, isBase64 = false) {
 // Track blob URLs per download so we can revoke them when the download settles
 const pendingBlobUrls = new Map();
 
-chrome.downloads.onChanged.addListener((delta) => {
-    if (!delta.state || !pendingBlobUrls.has(delta.id)) {
+// Callers waiting for a download to finish (see waitForDownload)
+const downloadWaiters = new Map();
+
+function settleDownloadWaiter(downloadId, state, error) {
+    const waiter = downloadWaiters.get(downloadId);
+    if (!waiter || (state !== 'complete' && state !== 'interrupted')) {
         return;
     }
-    const state = delta.state.current;
-    if (state === 'complete' || state === 'interrupted') {
-        const url = pendingBlobUrls.get(delta.id);
-        pendingBlobUrls.delete(delta.id);
-        chrome.runtime.sendMessage({
-            target: 'offscreen',
+    downloadWaiters.delete(downloadId);
+    if (state === 'complete') {
+        waiter.resolve();
+    } else {
+        waiter.reject(new Error(`Download interrupted: ${error || 'unknown error'}`));
+    }
+}
+
+/**
+ * Wait until a download has completed
+ * Rejects if the download is interrupted (e.g. disk full or cancelled by the user)
+ */
+function waitForDownload(downloadId) {
+    return new Promise((resolve, reject) => {
+        downloadWaiters.set(downloadId, { resolve, reject });
+
+        // The download may already have settled before we started waiting
+        chrome.downloads.search({ id: downloadId }).then(([item]) => {
+            settleDownloadWaiter(downloadId, item?.state, item?.error);
+        }).catch(() => {});
+    });
+}
+
+chrome.downloads.onChanged.addListener((delta) => {
+    if (!delta.state) {
+        return;
+    }
+    const state = delta.state.current;
+    settleDownloadWaiter(delta.id, state, delta.error?.current);
+
+    if (!pendingBlobUrls.has(delta.id)) {
+        return;
+    }
+    if (state === 'complete' || state === 'interrupted') {
+        const url = pendingBlobUrls.get(delta.id);
+        pendingBlobUrls.delete(delta.id);
+        chrome.runtime.sendMessage({
+            target: 'offscreen',
             action: 'revoke-blob-url',
             url
         }).catch(() => {
@@ -801,8 +1482,9 @@ async function downloadBlobUrl(blobUrl, fullPath) {
 
 /**
  * Download a file using Chrome downloads API
+ * @param {boolean} isBase64 - Content is base64 encoded binary data
  */
-async function downloadFile(filename, content, mimeType = 'text/plain', folder = '') {
+async function downloadFile(filename, content, mimeType = 'text/plain', folder = '', isBase64 = false) {
     console.log(`[BG] downloadFile called with filename: "${filename}"`);
 
     let fullPath = filename;
@@ -816,7 +1498,7 @@ async function downloadFile(filename, content, mimeType = 'text/plain', folder =
     try {
         // Use a Blob URL created in the offscreen document. Unlike data:
         // URLs, blob: URLs have no size limit in the downloads system.
-        const blobUrl = await createBlobUrl(content, mimeType, false);
+        const blobUrl = await createBlobUrl(content, mimeType, isBase64);
         const downloadId = await downloadBlobUrl(blobUrl, fullPath);
 
         console.log(`[BG] Download initiated: ${fullPath} (ID: ${downloadId})`);
@@ -830,7 +1512,7 @@ async function downloadFile(filename, content, mimeType = 'text/plain', folder =
 
 /**
  * Create a ZIP bundle from multiple files
- * @param {Array} files - Array of {filename, content, mimeType} objects
+ * @param {Array} files - Array of {filename, content, mimeType, isBase64} objects
  * @param {string} zipFilename - Name of the output ZIP file
  * @param {string} folder - Optional folder path
  */
@@ -850,7 +1532,7 @@ async function createZipBundle(files, zipFilename, folder = '') {
         const response = await chrome.runtime.sendMessage({
             target: 'offscreen',
             action: 'create-zip-blob-url',
-            files: files.map(f => ({ filename: f.filename, content: f.content }))
+            files: files.map(f => ({ filename: f.filename, content: f.content, isBase64: !!f.isBase64 }))
         });
         if (!response || !response.success) {
             throw new Error(`ZIP creation failed: ${response ? response.error : 'no response from offscreen document'}`);
@@ -866,6 +1548,142 @@ async function createZipBundle(files, zipFilename, folder = '') {
     }
 }
 
+/**
+ * Write files into the vault folder (in the offscreen document, see lib/vault.js)
+ * Existing files are overwritten in place, folders are created as needed
+ * @param {Array} files - Array of {filename, content, isBase64} objects
+ */
+async function writeToVault(files) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'vault-write-files',
+        files: files.map(f => ({
+            filename: f.filename,
+            content: f.content,
+            isBase64: !!f.isBase64,
+            appendContent: f.appendContent,
+            previousFilename: f.previousFilename
+        }))
+    });
+    if (!response || !response.success) {
+        throw new Error(`Writing to the vault folder failed: ${response ? response.error : 'no response from offscreen document'}`);
+    }
+    console.log(`[BG] Wrote ${response.written} files to the vault folder`);
+}
+
+/**
+ * Set or remove frontmatter properties of notes in the vault folder (via the offscreen document)
+ * @param {Array<{filename: string, properties: Object}>} updates
+ */
+async function updateVaultProperties(updates) {
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'vault-update-properties',
+        updates
+    });
+    if (!response || !response.success) {
+        throw new Error(`Updating notes in the vault folder failed: ${response ? response.error : 'no response from offscreen document'}`);
+    }
+    console.log(`[BG] Updated the properties of ${response.updated} notes in the vault folder`);
+}
+
+/**
+ * Look for exported conversations that were deleted or archived in ChatGPT
+ *
+ * Needs the complete conversation list. Exported conversations missing from
+ * it are requested once (see sync/removed.js), unless they are in the archived
+ * list (when archived conversations are included); conversations listed again
+ * lose their flag. Depending on the settings, the notes get an `archived` or
+ * `deleted-upstream` property (vault folder only) and a report note lists all
+ * removed conversations. A failed request ends the requests (the conversations
+ * stay unknown) without failing the export.
+ *
+ * @param {Array} allMeta - Complete conversation list
+ * @returns {Promise<{deleted: string[], archived: string[], restored: string[]}>} Titles of the conversations found
+ */
+async function checkRemovedConversations(allMeta, folder, target, reportProgress) {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    const settings = result[SETTINGS_KEY] || {};
+    const { exportedConversations } = await getSyncData();
+    const listedIds = new Set(allMeta.filter(c => !c._archived).map(c => c.id));
+    const archivedIds = new Set(allMeta.filter(c => c._archived).map(c => c.id));
+    const missing = findMissingConversations(exportedConversations, listedIds);
+    const unknown = missing.filter(id => !archivedIds.has(id));
+    const removed = { deleted: [], archived: [], restored: [] };
+
+    // Most of the history missing points to another account or workspace, not to mass deletion
+    if (unknown.length > Object.keys(exportedConversations).length / 2) {
+        console.warn(`[BG] ${unknown.length} exported conversations are not listed - skipping the check for removed conversations`);
+        return removed;
+    }
+
+    const updates = {};
+    for (const id of missing.filter(id => archivedIds.has(id))) {
+        updates[id] = 'archived';
+        removed.archived.push(exportedConversations[id].title || id);
+    }
+
+    const toCheck = unknown.slice(0, MAX_REMOVED_CHECKS);
+    for (let i = 0; i < toCheck.length; i++) {
+        checkCancellation();
+        reportProgress('checking_removed', i + 1, toCheck.length);
+
+        const id = toCheck[i];
+        let response;
+        try {
+            response = await getConversation(id);
+        } catch (error) {
+            // Usually the tab connection, which the next requests would fail on as well.
+            // The check is optional: the rest stays unknown and the export goes on.
+            console.warn(`[BG] Could not check conversation ${id}, stopping the check for removed conversations:`, error.message);
+            break;
+        }
+
+        const status = getUpstreamStatus(response);
+        if (status) {
+            updates[id] = status;
+            removed[status].push(exportedConversations[id].title || id);
+        }
+
+        if (i < toCheck.length - 1) {
+            await sleep(randomDelay(2000, 4000));
+        }
+    }
+
+    for (const id of findReappearedConversations(exportedConversations, listedIds)) {
+        updates[id] = null;
+        removed.restored.push(exportedConversations[id].title || id);
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return removed;
+    }
+
+    await setUpstreamStatus(updates);
+
+    if (settings.flagRemovedNotes && target === 'vault') {
+        await updateVaultProperties(Object.entries(updates)
+            .filter(([id]) => exportedConversations[id].path)
+            .map(([id, status]) => ({
+                filename: `${exportedConversations[id].path}.md`,
+                properties: { [getUpstreamProperty(status || exportedConversations[id].upstream)]: status ? true : null }
+            })));
+    }
+
+    if (settings.removedReport) {
+        const report = buildRemovedReport((await getSyncData()).exportedConversations);
+        if (target === 'vault') {
+            await writeToVault([report]);
+        } else {
+            await downloadFile(report.filename, report.content, report.mimeType, folder);
+        }
+    }
+
+    return removed;
+}
+
 /**
  * Check connection by pinging content script
  */
@@ -883,6 +1701,179 @@ async function checkConnection() {
     }
 }
 
+/**
+ * Run a persisted export job to completion
+ * Small exports are fetched completely and then downloaded as separate
+ * files. Larger exports are streamed into rolling ZIP parts instead.
+ * Safe to call again with the same job after an interruption.
+ */
+async function runExportJob(job, reportProgress) {
+    if (job.total > ZIP_THRESHOLD) {
+        return runStreamingExportJob(job, reportProgress);
+    }
+
+    const alreadyFetched = job.fetchedIds.length;
+
+    if (job.pendingIds.length > 0) {
+        reportProgress('fetching_conversations', alreadyFetched, job.total);
+
+        await getConversations([...job.pendingIds], (current) => {
+            reportProgress('fetching_conversations', alreadyFetched + current, job.total);
+        }, async (id, conversation) => {
+            await saveFetchedConversation(job, id, conversation);
+        });
+    }
+
+    // Only conversations not downloaded before an interruption are returned
+    const fetchedConversations = await loadFetchedConversations(job);
+
+    // The GPT name is part of the path with per-GPT folders, which the unchanged check compares
+    for (const conversation of fetchedConversations) {
+        await attachGptInfo(conversation);
+    }
+
+    const { exportedConversations } = await getSyncData();
+    const { toWrite: longEnough, short } = skipShortConversations(job, fetchedConversations);
+    const { toWrite: fullConversations, unchanged } = skipUnchangedConversations(job, longEnough, exportedConversations);
+    logSkippedConversations(job, short, unchanged);
+
+    let results = [];
+    if (fullConversations.length > 0) {
+        reportProgress('exporting', 0, fullConversations.length);
+
+        const filesToBundle = await buildExportFiles(fullConversations, job.formats, reportProgress, job.renderOptions);
+        results = await downloadExportFiles(filesToBundle, job.folder, job.target);
+    }
+
+    // Unchanged conversations count as exported without files; short ones are only done for this job
+    await markConversationsAsExported([...fullConversations, ...unchanged], job.renderOptions);
+    await markJobDownloaded(job, job.fetchedIds);
+
+    await saveProjectNotes(job, results);
+    await saveIndexNotes(job.formats, job.renderOptions, job.folder, job.target, results);
+    await clearJob();
+
+    return getJobResult(job, results);
+}
+
+/**
+ * Stream a large export job into rolling ZIP parts
+ *
+ * Each fetched conversation is rendered right away and added to the current
+ * part. Once a part reaches ZIP_PART_MAX_CONVERSATIONS or ZIP_PART_MAX_BYTES
+ * it is zipped and downloaded, and its conversations are marked as exported
+ * only after the download has completed. A failure late in the export
+ * therefore only affects the part that was being built.
+ */
+async function runStreamingExportJob(job, reportProgress) {
+    const results = [];
+    const day = job.createdAt.split('T')[0];
+    // Skipped conversations (short, unchanged) are recorded with the part's written ones
+    const newPart = () => ({ conversations: [], files: [], bytes: 0, short: [], unchanged: [] });
+    let part = newPart();
+    // Where conversations were saved before this export, for renames and the unchanged
+    // check. Conversations are handled once per job, so the parts saved meanwhile do not change it.
+    const { exportedConversations } = await getSyncData();
+
+    const flushPart = async () => {
+        const skipped = [...part.short, ...part.unchanged];
+        if (part.conversations.length === 0 && skipped.length === 0) {
+            return;
+        }
+        logSkippedConversations(job, part.short, part.unchanged);
+
+        const files = part.files;
+        files.push(...renderBundleFiles(part.conversations, job.formats));
+
+        // A part of only skipped conversations has no files to save
+        if (files.length > 0) {
+            job.partNumber++;
+            await saveJob(job);
+
+            if (job.target === 'vault') {
+                // Written in place - no ZIP
+                updateExportState('saving_vault', job.partNumber, files.length);
+                await writeToVault(files);
+                results.push({ type: 'vault', fileCount: files.length });
+            } else {
+                const zipFilename = `ChatGPT_Export_${day}_part${String(job.partNumber).padStart(3, '0')}.zip`;
+                updateExportState('saving_part', job.partNumber, files.length);
+
+                const downloadId = await createZipBundle(toDownloadFiles(files), zipFilename, job.folder);
+                await waitForDownload(downloadId);
+                results.push({ type: 'zip', filename: zipFilename, fileCount: files.length });
+            }
+            console.log(`[BG] Part ${job.partNumber} saved: ${part.conversations.length} conversations, ${files.length} files`);
+        }
+
+        // One write of the sync data and the job for the whole part
+        await markConversationsAsExported([...part.conversations, ...part.unchanged], job.renderOptions);
+        await markJobDownloaded(job, [...part.conversations, ...skipped].map(c => c.conversation_id || c.id));
+
+        part = newPart();
+    };
+
+    const addToPart = async (conversation) => {
+        // The GPT name is part of the path with per-GPT folders
+        await attachGptInfo(conversation);
+        const { short } = skipShortConversations(job, [conversation]);
+        const { unchanged } = short.length > 0
+            ? { unchanged: [] }
+            : skipUnchangedConversations(job, [conversation], exportedConversations);
+        part.short.push(...short);
+        part.unchanged.push(...unchanged);
+
+        if (short.length === 0 && unchanged.length === 0) {
+            const files = await renderConversationFiles(conversation, job.formats, job.renderOptions, exportedConversations);
+            part.files.push(...files);
+            part.conversations.push(conversation);
+            part.bytes += files.reduce((sum, file) => sum + file.content.length, 0);
+            if (job.formats.json) {
+                part.bytes += JSON.stringify(conversation).length;
+            }
+        }
+
+        // Skipped conversations count too, so a resume does not fetch them all again
+        const handled = part.conversations.length + part.short.length + part.unchanged.length;
+        if (handled >= ZIP_PART_MAX_CONVERSATIONS || part.bytes >= ZIP_PART_MAX_BYTES) {
+            await flushPart();
+        }
+    };
+
+    // Conversations fetched before an interruption that never made it into a downloaded part
+    for (const conversation of await loadFetchedConversations(job)) {
+        await addToPart(conversation);
+    }
+
+    const alreadyFetched = job.fetchedIds.length;
+
+    if (job.pendingIds.length > 0) {
+        reportProgress('fetching_conversations', alreadyFetched, job.total);
+
+        await getConversations([...job.pendingIds], (current) => {
+            reportProgress('fetching_conversations', alreadyFetched + current, job.total);
+        }, async (id, conversation) => {
+            await saveFetchedConversation(job, id, conversation);
+
+            const projectInfo = job.projectInfo[id];
+            if (projectInfo) {
+                conversation._projectId = projectInfo._projectId;
+                conversation._projectName = projectInfo._projectName;
+            }
+            await addToPart(conversation);
+        });
+    }
+
+    await flushPart();
+    await saveProjectNotes(job, results);
+    await saveIndexNotes(job.formats, job.renderOptions, job.folder, job.target, results);
+    await clearJob();
+
+    updateExportState('complete', job.downloadedIds.length, job.downloadedIds.length);
+
+    return getJobResult(job, results);
+}
+
 /**
  * Export all conversations
  */
@@ -904,54 +1895,24 @@ async function exportAll(formats, onProgress, folder = '', limit = 0) {
     try {
         reportProgress('fetching_list', 0, 0);
 
-        // Pass limit to avoid fetching more metadata than needed
+        // Pass limit and filter to avoid fetching more metadata than needed
+        const filter = await loadExportFilter();
         const allMeta = await getAllConversationsMeta((current, total) => {
             reportProgress('fetching_list', current, total);
-        }, limit);
+        }, limit, await isArchivedIncluded(), filter);
 
         let toExport = allMeta;
         if (limit > 0 && limit < allMeta.length) {
             toExport = allMeta.slice(0, limit);
         }
 
-        reportProgress('fetching_conversations', 0, toExport.length);
-
-        // Build lookup map for project metadata before fetching full conversations
-        const projectLookup = new Map();
-        for (const meta of toExport) {
-            if (meta._projectId) {
-                projectLookup.set(meta.id, {
-                    _projectId: meta._projectId,
-                    _projectName: meta._projectName
-                });
-            }
-        }
-
-        const conversationIds = toExport.map(c => c.id);
-        const fullConversations = await getConversations(conversationIds, (current, total) => {
-            reportProgress('fetching_conversations', current, total);
+        const renderOptions = await loadRenderOptions();
+        const target = await loadExportTarget();
+        const job = await createJob({
+            type: 'all', formats, folder, target, renderOptions, conversations: toExport,
+            minMessages: filter?.minMessages || 0
         });
-
-        // Merge project metadata into full conversations
-        for (const conv of fullConversations) {
-            const projectInfo = projectLookup.get(conv.conversation_id || conv.id);
-            if (projectInfo) {
-                conv._projectId = projectInfo._projectId;
-                conv._projectName = projectInfo._projectName;
-            }
-        }
-
-        reportProgress('exporting', 0, fullConversations.length);
-
-        const filesToBundle = await buildExportFiles(fullConversations, formats, reportProgress);
-        const results = await downloadExportFiles(filesToBundle, folder);
-
-        await markConversationsAsExported(fullConversations);
-
-        return {
-            totalExported: fullConversations.length,
-            results
-        };
+        return await runExportJob(job, reportProgress);
     } finally {
         exportState.isRunning = false;
         exportState.phase = null;
@@ -995,9 +1956,17 @@ async function exportNewUpdated(formats, onProgress, folder = '', limit = 0) {
             }
         }
 
+        const filter = await loadExportFilter();
         const allMeta = await getAllConversationsMeta((current, total) => {
             reportProgress('fetching_list', current, total);
-        }, fetchLimit);
+        }, fetchLimit, await isArchivedIncluded(), filter);
+
+        const target = await loadExportTarget();
+
+        // Deleted and archived conversations can only be told from a complete list
+        const removed = fetchLimit === 0 && !filtersList(filter)
+            ? await checkRemovedConversations(allMeta, folder, target, reportProgress)
+            : { deleted: [], archived: [], restored: [] };
 
         let needExport = await filterNeedingExport(allMeta);
 
@@ -1005,7 +1974,8 @@ async function exportNewUpdated(formats, onProgress, folder = '', limit = 0) {
             return {
                 totalExported: 0,
                 message: 'All conversations are already up to date!',
-                results: []
+                results: [],
+                removed
             };
         }
 
@@ -1013,44 +1983,337 @@ async function exportNewUpdated(formats, onProgress, folder = '', limit = 0) {
             needExport = needExport.slice(0, limit);
         }
 
-        reportProgress('fetching_conversations', 0, needExport.length);
-
-        // Build lookup map for project metadata before fetching full conversations
-        const projectLookup = new Map();
-        for (const meta of needExport) {
-            if (meta._projectId) {
-                projectLookup.set(meta.id, {
-                    _projectId: meta._projectId,
-                    _projectName: meta._projectName
-                });
-            }
+        const renderOptions = await loadRenderOptions();
+        if (await isAppendModeEnabled()) {
+            renderOptions.appendAfter = await getLastNodeIds(needExport.map(c => c.id));
         }
+        const job = await createJob({
+            type: 'new', formats, folder, target, renderOptions, conversations: needExport,
+            minMessages: filter?.minMessages || 0
+        });
+        return { ...await runExportJob(job, reportProgress), removed };
+    } finally {
+        exportState.isRunning = false;
+        exportState.phase = null;
+        stopKeepAlive();
+    }
+}
+
+/**
+ * Resume the persisted export job from where it stopped
+ */
+async function resumeExport(onProgress) {
+    const job = await getJob();
+    if (!job) {
+        throw new Error('No unfinished export to resume.');
+    }
+
+    clearCachedTab();
+
+    exportState.isRunning = true;
+    exportState.cancelRequested = false;
+    exportState.startTime = Date.now();
+    startKeepAlive();
+
+    const reportProgress = (phase, current, total) => {
+        updateExportState(phase, current, total);
+        onProgress({ phase, current, total });
+    };
+
+    try {
+        console.log(`[BG] Resuming ${job.type} export: ${job.fetchedIds.length}/${job.total} fetched, ${job.pendingIds.length} pending`);
+        return await runExportJob(job, reportProgress);
+    } finally {
+        exportState.isRunning = false;
+        exportState.phase = null;
+        stopKeepAlive();
+    }
+}
+
+/**
+ * Fetch the conversation open in the active ChatGPT tab (used for previews on the options page)
+ */
+async function getPreviewConversation() {
+    const target = await getCurrentConversationTarget();
+    const conversation = await sendToTab(target.tab, {
+        action: 'getConversation',
+        id: target.conversationId
+    });
+
+    if (conversation.error) {
+        throw new Error(conversation.error);
+    }
+
+    if (target.projectId) {
+        conversation._projectId = target.projectId;
+        conversation._projectName = await getProjectNameForCurrentConversation(target.tab, target.projectId);
+    }
+
+    return conversation;
+}
 
-        const conversationIds = needExport.map(c => c.id);
-        const fullConversations = await getConversations(conversationIds, (current, total) => {
-            reportProgress('fetching_conversations', current, total);
+/**
+ * Convert a list time (seconds or ISO string) to an ISO string
+ */
+function toIsoTime(value) {
+    if (!value) {
+        return null;
+    }
+    return new Date(typeof value === 'number' ? value * 1000 : value).toISOString();
+}
+
+/**
+ * Get the last loaded conversation list with the current export status of each conversation
+ * The list is kept in storage, so the browser page can be reopened without fetching it again
+ *
+ * @returns {Promise<{listedAt: string|null, conversations: Array}>} Entries for the conversation browser
+ */
+async function getConversationList() {
+    const result = await chrome.storage.local.get(CONVERSATION_LIST_KEY);
+    const list = result[CONVERSATION_LIST_KEY];
+    if (!list) {
+        return { listedAt: null, conversations: [] };
+    }
+
+    const statuses = await getExportStatuses(list.conversations);
+    return {
+        listedAt: list.listedAt,
+        conversations: list.conversations.map(meta => ({
+            id: meta.id,
+            title: meta.title || 'Untitled Conversation',
+            projectName: meta._projectName || null,
+            archived: !!meta._archived,
+            createTime: toIsoTime(meta.create_time),
+            updateTime: toIsoTime(meta.update_time),
+            ...statuses[meta.id]
+        }))
+    };
+}
+
+/**
+ * Keep only what the browser, the project picker and the export job need of a list entry
+ */
+function toListEntry(meta) {
+    return {
+        id: meta.id,
+        title: meta.title,
+        create_time: meta.create_time,
+        update_time: meta.update_time,
+        _projectId: meta._projectId,
+        _projectName: meta._projectName,
+        _archived: meta._archived
+    };
+}
+
+/**
+ * Fetch the complete conversation list for the conversation browser
+ */
+async function listConversations(onProgress) {
+    clearCachedTab();
+
+    exportState.isRunning = true;
+    exportState.cancelRequested = false;
+    exportState.startTime = Date.now();
+    startKeepAlive();
+
+    const reportProgress = (phase, current, total) => {
+        updateExportState(phase, current, total);
+        onProgress({ phase, current, total });
+    };
+
+    try {
+        reportProgress('fetching_list', 0, 0);
+
+        const allMeta = await getAllConversationsMeta((current, total) => {
+            reportProgress('fetching_list', current, total);
+        }, 0, await isArchivedIncluded());
+
+        await chrome.storage.local.set({
+            [CONVERSATION_LIST_KEY]: { listedAt: new Date().toISOString(), conversations: allMeta.map(toListEntry) }
         });
 
-        // Merge project metadata into full conversations
-        for (const conv of fullConversations) {
-            const projectInfo = projectLookup.get(conv.conversation_id || conv.id);
-            if (projectInfo) {
-                conv._projectId = projectInfo._projectId;
-                conv._projectName = projectInfo._projectName;
+        return await getConversationList();
+    } finally {
+        exportState.isRunning = false;
+        exportState.phase = null;
+        stopKeepAlive();
+    }
+}
+
+/**
+ * Export the conversations chosen in the conversation browser
+ * They are exported in full, like with "Export All"
+ *
+ * @param {string[]} conversationIds - IDs from the last loaded conversation list
+ */
+async function exportSelected(formats, conversationIds, onProgress, folder = '') {
+    const result = await chrome.storage.local.get(CONVERSATION_LIST_KEY);
+    const listed = new Map((result[CONVERSATION_LIST_KEY]?.conversations || []).map(meta => [meta.id, meta]));
+    const selected = conversationIds.map(id => listed.get(id)).filter(Boolean);
+    if (selected.length === 0) {
+        throw new Error('None of the chosen conversations are in the conversation list. Load the list again.');
+    }
+
+    clearCachedTab();
+
+    exportState.isRunning = true;
+    exportState.cancelRequested = false;
+    exportState.startTime = Date.now();
+    startKeepAlive();
+
+    const reportProgress = (phase, current, total) => {
+        updateExportState(phase, current, total);
+        onProgress({ phase, current, total });
+    };
+
+    try {
+        const renderOptions = await loadRenderOptions();
+        const target = await loadExportTarget();
+        const job = await createJob({ type: 'selected', formats, folder, target, renderOptions, conversations: selected });
+        return await runExportJob(job, reportProgress);
+    } finally {
+        exportState.isRunning = false;
+        exportState.phase = null;
+        stopKeepAlive();
+    }
+}
+
+/**
+ * Get the project list last loaded in the project picker,
+ * with conversation counts and how many are new or updated since their export
+ */
+async function getProjectList() {
+    const result = await chrome.storage.local.get(PROJECT_LIST_KEY);
+    const list = result[PROJECT_LIST_KEY];
+    if (!list) {
+        return { listedAt: null, projects: [] };
+    }
+
+    const statuses = await getExportStatuses(list.projects.flatMap(project => project.conversations));
+    return {
+        listedAt: list.listedAt,
+        projects: countProjectStatuses(list.projects, statuses)
+    };
+}
+
+/**
+ * Fetch the projects and page through each one's conversations for the project picker
+ * Much quicker than the full conversation list, as the main list is not paged
+ */
+async function listProjects(onProgress) {
+    clearCachedTab();
+
+    exportState.isRunning = true;
+    exportState.cancelRequested = false;
+    exportState.startTime = Date.now();
+    startKeepAlive();
+
+    const reportProgress = (phase, current, total) => {
+        updateExportState(phase, current, total);
+        onProgress({ phase, current, total });
+    };
+
+    try {
+        reportProgress('fetching_projects', 0, 0);
+
+        const response = await getProjectsList();
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        const projects = [];
+        const items = response.items || [];
+        for (const project of items) {
+            checkCancellation();
+
+            const id = project.gizmo?.id || project.id;
+            if (!id) continue;
+            const name = project.gizmo?.display?.name || project.display?.name || id;
+
+            reportProgress('fetching_projects', projects.length, items.length);
+            if (projects.length > 0) {
+                await sleep(randomDelay(2000, 4000));
             }
+
+            const conversations = await getAllProjectConversationsMeta(id, name);
+            projects.push({ id, name, conversations: conversations.map(toListEntry) });
         }
 
-        reportProgress('exporting', 0, fullConversations.length);
+        projects.sort((a, b) => a.name.localeCompare(b.name));
+        await chrome.storage.local.set({
+            [PROJECT_LIST_KEY]: { listedAt: new Date().toISOString(), projects }
+        });
 
-        const filesToBundle = await buildExportFiles(fullConversations, formats, reportProgress);
-        const results = await downloadExportFiles(filesToBundle, folder);
+        return await getProjectList();
+    } finally {
+        exportState.isRunning = false;
+        exportState.phase = null;
+        stopKeepAlive();
+    }
+}
 
-        await markConversationsAsExported(fullConversations);
+/**
+ * Export the conversations of the projects chosen in the project picker
+ * Each project's conversations are listed again, so ones started since the
+ * picker was loaded are included
+ *
+ * @param {string[]} projectIds - IDs from the last loaded project list
+ * @param {boolean} newOnly - Only new or updated conversations, like "Export New/Updated"
+ */
+async function exportProjects(formats, projectIds, newOnly, onProgress, folder = '') {
+    const result = await chrome.storage.local.get(PROJECT_LIST_KEY);
+    const listed = new Map((result[PROJECT_LIST_KEY]?.projects || []).map(project => [project.id, project]));
+    const projects = projectIds.map(id => listed.get(id)).filter(Boolean);
+    if (projects.length === 0) {
+        throw new Error('None of the chosen projects are in the project list. Load the list again.');
+    }
 
-        return {
-            totalExported: fullConversations.length,
-            results
-        };
+    clearCachedTab();
+
+    exportState.isRunning = true;
+    exportState.cancelRequested = false;
+    exportState.startTime = Date.now();
+    startKeepAlive();
+
+    const reportProgress = (phase, current, total) => {
+        updateExportState(phase, current, total);
+        onProgress({ phase, current, total });
+    };
+
+    try {
+        reportProgress('fetching_list', 0, 0);
+
+        let allMeta = [];
+        for (const project of projects) {
+            if (allMeta.length > 0) {
+                await sleep(randomDelay(2000, 4000));
+            }
+            const conversations = await getAllProjectConversationsMeta(project.id, project.name, (current) => {
+                reportProgress('fetching_list', allMeta.length + current, 0);
+            });
+            allMeta.push(...conversations);
+        }
+
+        if (newOnly) {
+            allMeta = await filterNeedingExport(allMeta);
+        }
+        if (allMeta.length === 0) {
+            return {
+                totalExported: 0,
+                message: newOnly ? 'All conversations are already up to date!' : 'The chosen projects have no conversations.',
+                results: []
+            };
+        }
+
+        const renderOptions = await loadRenderOptions();
+        if (newOnly && await isAppendModeEnabled()) {
+            renderOptions.appendAfter = await getLastNodeIds(allMeta.map(c => c.id));
+        }
+        const target = await loadExportTarget();
+        const job = await createJob({
+            type: newOnly ? 'new' : 'project', formats, folder, target, renderOptions, conversations: allMeta
+        });
+        return await runExportJob(job, reportProgress);
     } finally {
         exportState.isRunning = false;
         exportState.phase = null;
@@ -1058,6 +2321,30 @@ async function exportNewUpdated(formats, onProgress, folder = '', limit = 0) {
     }
 }
 
+/**
+ * Look up project names for conversations imported from the official data export
+ * Best effort: without a ChatGPT tab (or if the request fails) no names are returned,
+ * and those conversations are exported without their project folder
+ *
+ * @returns {Promise<Object>} Project ID -> project name
+ */
+async function getProjectNames() {
+    const names = {};
+    try {
+        const response = await sendToTab(await findChatGPTTab(), { action: 'getProjectsList' });
+        for (const project of response?.items || []) {
+            const projectId = project.gizmo?.id || project.id;
+            const projectName = project.gizmo?.display?.name || project.display?.name;
+            if (projectId && projectName) {
+                names[projectId] = projectName;
+            }
+        }
+    } catch (error) {
+        console.log(`[BG] Project names not available: ${error.message}`);
+    }
+    return names;
+}
+
 /**
  * Export only the currently active conversation tab
  */
@@ -1096,10 +2383,13 @@ async function exportCurrentConversation(formats, onProgress, folder = '') {
         reportProgress('exporting', 0, 1);
 
         const fullConversations = [conversation];
-        const filesToBundle = await buildExportFiles(fullConversations, formats, reportProgress);
-        const results = await downloadExportFiles(filesToBundle, folder);
+        const renderOptions = await loadRenderOptions();
+        const filesToBundle = await buildExportFiles(fullConversations, formats, reportProgress, renderOptions);
+        const exportTarget = await loadExportTarget();
+        const results = await downloadExportFiles(filesToBundle, folder, exportTarget);
 
-        await markConversationsAsExported(fullConversations);
+        await markConversationsAsExported(fullConversations, renderOptions);
+        await saveIndexNotes(formats, renderOptions, folder, exportTarget, results);
 
         return {
             totalExported: 1,
@@ -1112,6 +2402,17 @@ async function exportCurrentConversation(formats, onProgress, folder = '') {
     }
 }
 
+/**
+ * Refuse to start an export or list while another one runs
+ * A second job would replace the running job's checkpoint (see sync/job.js),
+ * and a second resume would work through the same job twice
+ */
+function ensureNoExportRunning() {
+    if (exportState.isRunning) {
+        throw new Error('Another export is running. Wait for it to finish or cancel it first.');
+    }
+}
+
 /**
  * Handle messages from popup
  */
@@ -1137,7 +2438,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     };
                 }
 
+                case 'getPreviewConversation':
+                    return { conversation: await getPreviewConversation() };
+
+                case 'getRenderOptions':
+                    return { renderOptions: await loadRenderOptions() };
+
+                case 'getProjectNames':
+                    return { projects: await getProjectNames() };
+
+                case 'getGptNames':
+                    return { gpts: await getGptNames(message.gptIds || []) };
+
+                case 'markImported':
+                    await markMultipleExported(message.exported);
+                    return { success: true };
+
                 case 'exportAll':
+                    ensureNoExportRunning();
                     return await exportAll(
                         message.formats,
                         (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress }),
@@ -1146,6 +2464,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     );
 
                 case 'exportNewUpdated':
+                    ensureNoExportRunning();
                     return await exportNewUpdated(
                         message.formats,
                         (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress }),
@@ -1153,7 +2472,61 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                         message.limit || 0
                     );
 
+                case 'getConversationList':
+                    return await getConversationList();
+
+                case 'listConversations':
+                    ensureNoExportRunning();
+                    return await listConversations(
+                        (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress })
+                    );
+
+                case 'exportSelected':
+                    ensureNoExportRunning();
+                    return await exportSelected(
+                        message.formats,
+                        message.conversationIds || [],
+                        (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress }),
+                        message.downloadFolder || ''
+                    );
+
+                case 'getProjectList':
+                    return await getProjectList();
+
+                case 'listProjects':
+                    ensureNoExportRunning();
+                    return await listProjects(
+                        (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress })
+                    );
+
+                case 'exportProjects':
+                    ensureNoExportRunning();
+                    return await exportProjects(
+                        message.formats,
+                        message.projectIds || [],
+                        !!message.newOnly,
+                        (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress }),
+                        message.downloadFolder || ''
+                    );
+
+                case 'resumeExport':
+                    ensureNoExportRunning();
+                    return await resumeExport(
+                        (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress })
+                    );
+
+                case 'getPendingJob':
+                    return { job: await getJobSummary() };
+
+                case 'discardPendingJob':
+                    if (exportState.isRunning) {
+                        throw new Error('Cannot discard the export while it is running. Cancel it first.');
+                    }
+                    await clearJob();
+                    return { success: true };
+
                 case 'exportCurrentConversation':
+                    ensureNoExportRunning();
                     return await exportCurrentConversation(
                         message.formats,
                         (progress) => chrome.runtime.sendMessage({ type: 'progress', ...progress }),
@@ -0,0 +1,298 @@
+/**
+ * GPT Exporter - Conversation Browser
+ * Lists every conversation (title, project, dates, export status) with search,
+ * multi-select and "select all in project", and exports only the chosen ones
+ * through the background's export job
+ */
+
+import { hasSelectedFormat } from '../export/formats.js';
+import {
+    sendMessage,
+    getFormats,
+    showErrors,
+    hideProgress,
+    isBusy,
+    setBusy,
+    formatListedAt,
+    setSelected,
+    keepListed,
+    prepareExport,
+    waitForRunningExport,
+    initPage
+} from './page.js';
+
+const NO_PROJECT = 'No project';
+
+const STATUS_LABELS = {
+    new: 'Not exported',
+    updated: 'Updated since export',
+    exported: 'Exported'
+};
+
+// DOM Elements
+const searchInput = document.getElementById('searchInput');
+const btnLoadList = document.getElementById('btnLoadList');
+const selectVisible = document.getElementById('selectVisible');
+const listStatus = document.getElementById('listStatus');
+const conversationList = document.getElementById('conversationList');
+const btnExportSelected = document.getElementById('btnExportSelected');
+const btnClearSelection = document.getElementById('btnClearSelection');
+const exportStatus = document.getElementById('exportStatus');
+
+// Rendered list: one group per project, each with its rows
+let groups = [];
+const selected = new Set();
+
+/**
+ * Format an ISO time as YYYY-MM-DD
+ */
+function formatDay(iso) {
+    return iso ? iso.slice(0, 10) : '?';
+}
+
+/**
+ * Build the row of one conversation
+ */
+function createRow(conversation) {
+    const row = document.createElement('label');
+    row.className = 'conversation-row';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected.has(conversation.id);
+    checkbox.addEventListener('change', () => {
+        setSelected(selected, conversation.id, checkbox.checked);
+        updateSelectionState();
+    });
+
+    const title = document.createElement('span');
+    title.className = 'conversation-title';
+    title.textContent = conversation.archived ? `${conversation.title} (archived)` : conversation.title;
+    title.title = conversation.title;
+
+    const dates = document.createElement('span');
+    dates.className = 'conversation-dates';
+    dates.textContent = `created ${formatDay(conversation.createTime)} · updated ${formatDay(conversation.updateTime)}`;
+
+    const badge = document.createElement('span');
+    badge.className = `conversation-badge ${conversation.status}`;
+    badge.textContent = STATUS_LABELS[conversation.status] || conversation.status;
+    if (conversation.exportedAt) {
+        badge.title = `Last exported ${conversation.exportedAt.slice(0, 16).replace('T', ' ')}`;
+    }
+
+    row.append(checkbox, title, dates, badge);
+    return {
+        conversation,
+        element: row,
+        checkbox,
+        searchText: `${conversation.title} ${conversation.projectName || ''}`.toLowerCase()
+    };
+}
+
+/**
+ * Build the group of one project, with a checkbox selecting all its shown conversations
+ */
+function createGroup(name, conversations) {
+    const element = document.createElement('div');
+    element.className = 'conversation-group';
+
+    const header = document.createElement('label');
+    header.className = 'conversation-group-header';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    const title = document.createElement('span');
+    title.textContent = name;
+    const count = document.createElement('span');
+    count.className = 'conversation-group-count';
+    header.append(checkbox, title, count);
+
+    const rows = conversations.map(createRow);
+    element.append(header, ...rows.map(row => row.element));
+
+    const group = { name, element, checkbox, count, rows };
+    checkbox.addEventListener('change', () => {
+        for (const row of getVisibleRows(group)) {
+            setSelected(selected, row.conversation.id, checkbox.checked);
+        }
+        updateSelectionState();
+    });
+    return group;
+}
+
+function getVisibleRows(group) {
+    return group.rows.filter(row => !row.element.classList.contains('hidden'));
+}
+
+/**
+ * Show a loaded conversation list, grouped by project (projects first, by name)
+ * Conversations that are no longer listed are dropped from the selection
+ */
+function renderList({ listedAt, conversations }) {
+    const byProject = new Map();
+    for (const conversation of conversations) {
+        const name = conversation.projectName || NO_PROJECT;
+        if (!byProject.has(name)) {
+            byProject.set(name, []);
+        }
+        byProject.get(name).push(conversation);
+    }
+
+    const names = [...byProject.keys()].sort((a, b) => {
+        if (a === NO_PROJECT || b === NO_PROJECT) {
+            return a === NO_PROJECT ? 1 : -1;
+        }
+        return a.localeCompare(b);
+    });
+
+    keepListed(selected, new Set(conversations.map(conversation => conversation.id)));
+
+    groups = names.map(name => createGroup(name, byProject.get(name)));
+    conversationList.replaceChildren(...groups.map(group => group.element));
+
+    searchInput.disabled = conversations.length === 0;
+    selectVisible.disabled = conversations.length === 0;
+    btnLoadList.textContent = listedAt ? 'Reload conversation list' : 'Load conversation list';
+    listStatus.dataset.listedAt = listedAt || '';
+    applySearch();
+}
+
+/**
+ * Hide conversations not matching the search, then update counts and checkboxes
+ */
+function applySearch() {
+    const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+    for (const group of groups) {
+        for (const row of group.rows) {
+            row.element.classList.toggle('hidden', !terms.every(term => row.searchText.includes(term)));
+        }
+        group.element.classList.toggle('hidden', getVisibleRows(group).length === 0);
+    }
+    updateSelectionState();
+}
+
+/**
+ * Sync the checkboxes, counts and buttons with the selection
+ */
+function updateSelectionState() {
+    let shown = 0;
+    let shownSelected = 0;
+    let total = 0;
+
+    for (const group of groups) {
+        const visible = getVisibleRows(group);
+        const visibleSelected = visible.filter(row => selected.has(row.conversation.id)).length;
+        for (const row of group.rows) {
+            row.checkbox.checked = selected.has(row.conversation.id);
+        }
+        group.checkbox.checked = visible.length > 0 && visibleSelected === visible.length;
+        group.checkbox.indeterminate = visibleSelected > 0 && visibleSelected < visible.length;
+        group.count.textContent = visible.length === group.rows.length
+            ? `${group.rows.length}`
+            : `${visible.length} of ${group.rows.length}`;
+
+        shown += visible.length;
+        shownSelected += visibleSelected;
+        total += group.rows.length;
+    }
+
+    selectVisible.checked = shown > 0 && shownSelected === shown;
+    selectVisible.indeterminate = shownSelected > 0 && shownSelected < shown;
+
+    const listedAt = listStatus.dataset.listedAt;
+    listStatus.textContent = listedAt
+        ? `${total} conversations, ${shown} shown, ${selected.size} selected (list loaded ${formatListedAt(listedAt)})`
+        : 'No conversation list loaded yet.';
+
+    btnExportSelected.textContent = selected.size > 0 ? `Export ${selected.size} selected` : 'Export selected';
+    btnExportSelected.disabled = isBusy() || selected.size === 0 || !hasSelectedFormat(getFormats());
+    btnClearSelection.disabled = isBusy() || selected.size === 0;
+}
+
+async function handleLoadList() {
+    setBusy(true);
+    showErrors([]);
+    exportStatus.textContent = '';
+
+    try {
+        const response = await sendMessage({ action: 'listConversations' });
+        if (response?.error) {
+            throw new Error(response.error);
+        }
+        renderList(response);
+    } catch (error) {
+        showErrors([`The conversation list could not be loaded: ${error.message}`]);
+    } finally {
+        hideProgress();
+        setBusy(false);
+    }
+}
+
+async function handleExportSelected() {
+    showErrors([]);
+    exportStatus.textContent = '';
+
+    const settings = await prepareExport();
+    if (!settings) {
+        return;
+    }
+
+    setBusy(true);
+    try {
+        const response = await sendMessage({
+            action: 'exportSelected',
+            formats: getFormats(),
+            conversationIds: [...selected],
+            downloadFolder: settings.downloadFolder || ''
+        });
+        if (response?.error) {
+            throw new Error(response.error);
+        }
+
+        exportStatus.textContent = `✓ Exported ${response.totalExported} conversation(s)`;
+        selected.clear();
+        renderList(await sendMessage({ action: 'getConversationList' }));
+    } catch (error) {
+        showErrors([`Export failed: ${error.message}`]);
+    } finally {
+        hideProgress();
+        setBusy(false);
+    }
+}
+
+async function loadList() {
+    const response = await sendMessage({ action: 'getConversationList' });
+    if (response?.error) {
+        showErrors([response.error]);
+        return;
+    }
+    renderList(response);
+}
+
+async function init() {
+    await loadList();
+    // The running export may change the list and the export states
+    if (await waitForRunningExport()) {
+        await loadList();
+    }
+}
+
+initPage({ listPhase: 'fetching_list', onUpdate: updateSelectionState });
+
+searchInput.addEventListener('input', applySearch);
+selectVisible.addEventListener('change', () => {
+    for (const group of groups) {
+        for (const row of getVisibleRows(group)) {
+            setSelected(selected, row.conversation.id, selectVisible.checked);
+        }
+    }
+    updateSelectionState();
+});
+btnLoadList.addEventListener('click', handleLoadList);
+btnExportSelected.addEventListener('click', handleExportSelected);
+btnClearSelection.addEventListener('click', () => {
+    selected.clear();
+    updateSelectionState();
+});
+
+init();
@@ -0,0 +1,214 @@
+/**
+ * GPT Exporter - Browse Pages
+ * The parts the conversation browser and the project picker share: messages
+ * to the background, format checkboxes, progress bars, errors, the busy state
+ * and the selection
+ *
+ * Both pages use the same element IDs for these parts. Each page calls
+ * initPage() once with what differs: which progress phase belongs to the list
+ * and how it updates its own buttons.
+ */
+
+import { getVaultHandle, ensureVaultPermission } from '../lib/vault.js';
+
+const SETTINGS_KEY = 'gpt_exporter_settings';
+
+// DOM Elements
+const btnLoadList = document.getElementById('btnLoadList');
+const listProgress = document.getElementById('listProgress');
+const listProgressFill = document.getElementById('listProgressFill');
+const listProgressText = document.getElementById('listProgressText');
+const formatCheckboxes = document.querySelectorAll('#exportSection [data-format]');
+const btnCancel = document.getElementById('btnCancel');
+const exportProgress = document.getElementById('exportProgress');
+const exportProgressFill = document.getElementById('exportProgressFill');
+const exportProgressText = document.getElementById('exportProgressText');
+const exportStatus = document.getElementById('exportStatus');
+const exportErrors = document.getElementById('exportErrors');
+
+let busy = false;
+let listPhase = 'fetching_list';
+let updateSelectionState = () => {};
+
+/**
+ * Send message to background script
+ */
+async function sendMessage(message) {
+    try {
+        return await chrome.runtime.sendMessage(message);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function getFormats() {
+    const formats = {};
+    for (const checkbox of formatCheckboxes) {
+        formats[checkbox.dataset.format] = checkbox.checked;
+    }
+    return formats;
+}
+
+function showErrors(errors) {
+    exportErrors.replaceChildren(...errors.map(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        return item;
+    }));
+}
+
+/**
+ * Show progress messages of the background for the running list or export
+ */
+function showProgress(phase, current, total) {
+    const texts = {
+        fetching_projects: `Listing project conversations... ${current}/${total} projects`,
+        fetching_list: `Fetching conversation list... ${current}${total ? `/${total}` : ''}`,
+        fetching_conversations: `Downloading conversations... ${current}/${total}`,
+        exporting: `Preparing files... ${current}/${total}`,
+        zipping: `Creating ZIP archive... ${total} files`,
+        saving_part: `Saving ZIP part ${current} (${total} files)...`,
+        saving_vault: `Writing ${total} files to the vault folder...`,
+        complete: `Export complete! ${total} files`
+    };
+    const [progress, fill, text] = phase === listPhase
+        ? [listProgress, listProgressFill, listProgressText]
+        : [exportProgress, exportProgressFill, exportProgressText];
+
+    progress.classList.remove('hidden');
+    fill.style.width = total > 0 ? `${Math.min(Math.round(current / total * 100), 100)}%` : '10%';
+    text.textContent = texts[phase] || 'Processing...';
+}
+
+function hideProgress() {
+    listProgress.classList.add('hidden');
+    exportProgress.classList.add('hidden');
+}
+
+function isBusy() {
+    return busy;
+}
+
+function setBusy(isBusy) {
+    busy = isBusy;
+    btnLoadList.disabled = isBusy;
+    btnCancel.classList.toggle('hidden', !isBusy);
+    updateSelectionState();
+}
+
+/**
+ * Format when a list was loaded, e.g. "2026-01-05 10:00"
+ */
+function formatListedAt(listedAt) {
+    return listedAt.slice(0, 16).replace('T', ' ');
+}
+
+function setSelected(selected, id, isSelected) {
+    if (isSelected) {
+        selected.add(id);
+    } else {
+        selected.delete(id);
+    }
+}
+
+/**
+ * Drop entries that are no longer listed from a selection
+ */
+function keepListed(selected, listedIds) {
+    for (const id of [...selected]) {
+        if (!listedIds.has(id)) {
+            selected.delete(id);
+        }
+    }
+}
+
+/**
+ * Get ready for an export: vault access and the unfinished job
+ * Asked right after the click, like in the popup
+ *
+ * @returns {Promise<Object|null>} The settings, or null when the export should not start
+ */
+async function prepareExport() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    const settings = result[SETTINGS_KEY] || {};
+
+    if (settings.exportTarget === 'vault') {
+        const handle = await getVaultHandle();
+        if (!handle || !await ensureVaultPermission(handle, true)) {
+            showErrors(['Access to the vault folder was not allowed. Choose the folder again in the settings.']);
+            return null;
+        }
+    }
+
+    const { job } = await sendMessage({ action: 'getPendingJob' }) || {};
+    if (job && !confirm('An unfinished export exists. Starting a new export will discard it. Continue?')) {
+        return null;
+    }
+    return settings;
+}
+
+/**
+ * Keep the page busy while an export started elsewhere (popup, another page) runs
+ * Its job would be replaced by one started here, so the buttons stay disabled
+ *
+ * @returns {Promise<boolean>} Whether an export was running
+ */
+async function waitForRunningExport() {
+    let state = await sendMessage({ action: 'getExportState' });
+    if (!state?.isRunning) {
+        return false;
+    }
+
+    setBusy(true);
+    exportStatus.textContent = 'Another export is running. This page can be used again when it has finished.';
+    while (state?.isRunning) {
+        if (state.phase) {
+            showProgress(state.phase, state.current, state.total);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        state = await sendMessage({ action: 'getExportState' });
+    }
+
+    exportStatus.textContent = '';
+    hideProgress();
+    setBusy(false);
+    return true;
+}
+
+/**
+ * Set up the shared parts of a page
+ *
+ * @param {Object} options
+ * @param {string} options.listPhase - Progress phase shown in the list's progress bar
+ * @param {Function} options.onUpdate - Updates the page's checkboxes and buttons (after busy changes)
+ */
+function initPage(options) {
+    listPhase = options.listPhase;
+    updateSelectionState = options.onUpdate;
+
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'progress' && busy) {
+            showProgress(message.phase, message.current, message.total);
+        }
+    });
+    for (const checkbox of formatCheckboxes) {
+        checkbox.addEventListener('change', updateSelectionState);
+    }
+    btnCancel.addEventListener('click', () => sendMessage({ action: 'cancelExport' }));
+}
+
+export {
+    sendMessage,
+    getFormats,
+    showErrors,
+    showProgress,
+    hideProgress,
+    isBusy,
+    setBusy,
+    formatListedAt,
+    setSelected,
+    keepListed,
+    prepareExport,
+    waitForRunningExport,
+    initPage
+};
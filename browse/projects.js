@@ -0,0 +1,194 @@
+/**
+ * GPT Exporter - Project Picker
+ * Lists the projects with their conversation counts and exports the chosen
+ * ones, in full or only their new and updated conversations
+ */
+
+import { hasSelectedFormat } from '../export/formats.js';
+import {
+    sendMessage,
+    getFormats,
+    showErrors,
+    hideProgress,
+    isBusy,
+    setBusy,
+    formatListedAt,
+    setSelected,
+    keepListed,
+    prepareExport,
+    waitForRunningExport,
+    initPage
+} from './page.js';
+
+// DOM Elements
+const btnLoadList = document.getElementById('btnLoadList');
+const selectAll = document.getElementById('selectAll');
+const listStatus = document.getElementById('listStatus');
+const projectList = document.getElementById('projectList');
+const newOnly = document.getElementById('newOnly');
+const btnExportProjects = document.getElementById('btnExportProjects');
+const exportStatus = document.getElementById('exportStatus');
+
+let rows = [];
+let listedAt = null;
+const selected = new Set();
+
+/**
+ * Build the row of one project
+ */
+function createRow(project) {
+    const row = document.createElement('label');
+    row.className = 'conversation-row project-row';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', () => {
+        setSelected(selected, project.id, checkbox.checked);
+        updateSelectionState();
+    });
+
+    const name = document.createElement('span');
+    name.className = 'conversation-title';
+    name.textContent = project.name;
+    name.title = project.name;
+
+    const count = document.createElement('span');
+    count.className = 'conversation-dates';
+    count.textContent = `${project.count} conversation${project.count === 1 ? '' : 's'}`;
+
+    const badge = document.createElement('span');
+    const changed = project.newCount + project.updatedCount;
+    badge.className = `conversation-badge ${changed > 0 ? 'updated' : 'exported'}`;
+    badge.textContent = changed > 0
+        ? [project.newCount > 0 && `${project.newCount} new`, project.updatedCount > 0 && `${project.updatedCount} updated`]
+            .filter(Boolean).join(' · ')
+        : 'Up to date';
+
+    row.append(checkbox, name, count, badge);
+    return { project, element: row, checkbox };
+}
+
+/**
+ * Show a loaded project list
+ * Projects that are no longer listed are dropped from the selection
+ */
+function renderList(list) {
+    listedAt = list.listedAt;
+    keepListed(selected, new Set(list.projects.map(project => project.id)));
+
+    rows = list.projects.map(createRow);
+    projectList.replaceChildren(...rows.map(row => row.element));
+
+    selectAll.disabled = rows.length === 0;
+    btnLoadList.textContent = listedAt ? 'Reload project list' : 'Load project list';
+    updateSelectionState();
+}
+
+/**
+ * Sync the checkboxes, counts and buttons with the selection
+ */
+function updateSelectionState() {
+    let conversations = 0;
+    for (const row of rows) {
+        row.checkbox.checked = selected.has(row.project.id);
+        if (row.checkbox.checked) {
+            conversations += newOnly.checked ? row.project.newCount + row.project.updatedCount : row.project.count;
+        }
+    }
+
+    selectAll.checked = rows.length > 0 && selected.size === rows.length;
+    selectAll.indeterminate = selected.size > 0 && selected.size < rows.length;
+
+    listStatus.textContent = listedAt
+        ? `${rows.length} projects, ${selected.size} selected (list loaded ${formatListedAt(listedAt)})`
+        : 'No project list loaded yet.';
+
+    btnExportProjects.textContent = selected.size > 0
+        ? `Export ${selected.size} project${selected.size === 1 ? '' : 's'} (about ${conversations} conversations)`
+        : 'Export projects';
+    btnExportProjects.disabled = isBusy() || selected.size === 0 || !hasSelectedFormat(getFormats());
+}
+
+async function handleLoadList() {
+    setBusy(true);
+    showErrors([]);
+    exportStatus.textContent = '';
+
+    try {
+        const response = await sendMessage({ action: 'listProjects' });
+        if (response?.error) {
+            throw new Error(response.error);
+        }
+        renderList(response);
+    } catch (error) {
+        showErrors([`The project list could not be loaded: ${error.message}`]);
+    } finally {
+        hideProgress();
+        setBusy(false);
+    }
+}
+
+async function handleExportProjects() {
+    showErrors([]);
+    exportStatus.textContent = '';
+
+    const settings = await prepareExport();
+    if (!settings) {
+        return;
+    }
+
+    setBusy(true);
+    try {
+        const response = await sendMessage({
+            action: 'exportProjects',
+            formats: getFormats(),
+            projectIds: [...selected],
+            newOnly: newOnly.checked,
+            downloadFolder: settings.downloadFolder || ''
+        });
+        if (response?.error) {
+            throw new Error(response.error);
+        }
+
+        exportStatus.textContent = response.totalExported > 0
+            ? `✓ Exported ${response.totalExported} conversation(s)`
+            : response.message || 'Nothing to export!';
+        renderList(await sendMessage({ action: 'getProjectList' }));
+    } catch (error) {
+        showErrors([`Export failed: ${error.message}`]);
+    } finally {
+        hideProgress();
+        setBusy(false);
+    }
+}
+
+async function loadList() {
+    const response = await sendMessage({ action: 'getProjectList' });
+    if (response?.error) {
+        showErrors([response.error]);
+        return;
+    }
+    renderList(response);
+}
+
+async function init() {
+    await loadList();
+    // The running export may change the project counts
+    if (await waitForRunningExport()) {
+        await loadList();
+    }
+}
+
+initPage({ listPhase: 'fetching_projects', onUpdate: updateSelectionState });
+
+selectAll.addEventListener('change', () => {
+    for (const row of rows) {
+        setSelected(selected, row.project.id, selectAll.checked);
+    }
+    updateSelectionState();
+});
+newOnly.addEventListener('change', updateSelectionState);
+btnLoadList.addEventListener('click', handleLoadList);
+btnExportProjects.addEventListener('click', handleExportProjects);
+
+init();
@@ -0,0 +1,494 @@
+/**
+ * Command-line Converter
+ * Converts JSON backups of this extension and ChatGPT's official data export
+ * with the same export formats as the extension, in Node (no Chrome needed)
+ *
+ * Incremental runs keep a state file shaped like the extension's sync data
+ * (see sync/tracker.js) and only convert conversations that are new or whose
+ * messages, title or project changed since. With --append, notes of updated
+ * conversations only get their new messages.
+ */
+
+import { readFile, writeFile, mkdir, unlink } from 'fs/promises';
+import { dirname, join } from 'path';
+import { parseArgs } from 'util';
+
+import { buildAttachmentFilename } from '../export/markdown.js';
+import { getFormat, getSelectedFormats } from '../export/formats.js';
+import {
+    decodeJsonBytes,
+    findConversationFiles,
+    parseOfficialExport,
+    findExportAttachments
+} from '../export/official-export.js';
+import { findUnknownPlaceholders } from '../lib/frontmatter-template.js';
+import { findUnknownPathPlaceholders } from '../lib/path-pattern.js';
+import { hasManagedRegion, mergeManagedNote, appendToNote } from '../lib/managed-region.js';
+import { describeExport, compareWithExport } from '../sync/tracker.js';
+import { trackRename, markMovedFiles } from '../sync/renames.js';
+
+const STATE_FILENAME = '.gpt-exporter-state.json';
+const ATTACHMENTS_FOLDER = 'attachments';
+const DEFAULT_ATTACHMENT_MAX_MB = 20;
+const BRANCH_MODES = ['current', 'callouts', 'files'];
+const ATTACHMENT_KINDS = ['images', 'generated', 'files'];
+
+const USAGE = `Usage: gpt-exporter convert <conversations.json|backup.json|export.zip> [options]
+
+Options:
+  --out <dir>              Output folder (default: current folder)
+  --format <list>          Comma-separated formats: markdown, html, text, json (default: markdown)
+  --incremental            Only convert conversations that are new or updated since the last run
+  --state <file>           State file for --incremental (default: <out>/${STATE_FILENAME})
+  --branches <mode>        current, callouts or files (default: current)
+  --thoughts               Include reasoning as collapsed callouts
+  --tools                  Include searches, opened pages and Python runs
+  --canvas-history         Also write every version of canvas documents
+  --merge                  Keep edits made to notes in <out> (only the exporter's part is replaced)
+  --append                 With --incremental: add only new messages to existing notes
+  --template <file>        Frontmatter template file
+  --path-pattern <pattern> File path pattern, e.g. "{project}/{yyyy}/{title}_{shortId}"
+  --path-spaces <style>    underscore, hyphen or space (default: underscore)
+  --path-case <case>       keep or lower (default: keep)
+  --archived-folder        Put conversations archived in ChatGPT in an Archived folder
+  --gpt-folders            Put custom GPT conversations in a folder per GPT (named by GPT ID offline)
+  --gpt-tags               Tag custom GPT conversations with the GPT (its ID offline)
+  --attachments <list>     From export ZIPs: images, generated, files (default: none)
+  --attachment-max-mb <n>  Skip attachments larger than this (default: ${DEFAULT_ATTACHMENT_MAX_MB})
+  -h, --help               Show this help`;
+
+/**
+ * Error for invalid command-line arguments (printed with the usage)
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Split a comma-separated option value
+ */
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse the command line into a conversion request
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} {help} or {command, input, out, statePath, incremental, append, formats, renderOptions, templatePath}
+ */
+function parseCliArgs(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'out': { type: 'string', default: '.' },
+                'format': { type: 'string', default: 'markdown' },
+                'incremental': { type: 'boolean', default: false },
+                'state': { type: 'string' },
+                'branches': { type: 'string', default: 'current' },
+                'thoughts': { type: 'boolean', default: false },
+                'tools': { type: 'boolean', default: false },
+                'canvas-history': { type: 'boolean', default: false },
+                'merge': { type: 'boolean', default: false },
+                'append': { type: 'boolean', default: false },
+                'template': { type: 'string' },
+                'path-pattern': { type: 'string', default: '' },
+                'path-spaces': { type: 'string', default: 'underscore' },
+                'path-case': { type: 'string', default: 'keep' },
+                'archived-folder': { type: 'boolean', default: false },
+                'gpt-folders': { type: 'boolean', default: false },
+                'gpt-tags': { type: 'boolean', default: false },
+                'attachments': { type: 'string', default: '' },
+                'attachment-max-mb': { type: 'string' },
+                'help': { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        return { help: true };
+    }
+
+    const [command, input, ...rest] = positionals;
+    if (command !== 'convert') {
+        throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+    }
+    if (!input || rest.length > 0) {
+        throw new UsageError('Expected exactly one input file');
+    }
+
+    const formats = {};
+    for (const id of parseList(values.format)) {
+        if (!getFormat(id)) {
+            throw new UsageError(`Unknown format: ${id}`);
+        }
+        formats[id] = true;
+    }
+    if (Object.keys(formats).length === 0) {
+        throw new UsageError('Select at least one format');
+    }
+
+    if (values.append && !values.incremental) {
+        throw new UsageError('--append needs --incremental');
+    }
+    if (!BRANCH_MODES.includes(values.branches)) {
+        throw new UsageError(`--branches must be one of ${BRANCH_MODES.join(', ')}`);
+    }
+    if (!['underscore', 'hyphen', 'space'].includes(values['path-spaces'])) {
+        throw new UsageError('--path-spaces must be underscore, hyphen or space');
+    }
+    if (!['keep', 'lower'].includes(values['path-case'])) {
+        throw new UsageError('--path-case must be keep or lower');
+    }
+    const unknownPlaceholders = findUnknownPathPlaceholders(values['path-pattern']);
+    if (unknownPlaceholders.length > 0) {
+        throw new UsageError(`Unknown path placeholder: ${unknownPlaceholders.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    const attachmentKinds = parseList(values.attachments);
+    const unknownKind = attachmentKinds.find(kind => !ATTACHMENT_KINDS.includes(kind));
+    if (unknownKind) {
+        throw new UsageError(`Unknown attachment kind: ${unknownKind}`);
+    }
+    const maxSizeMB = values['attachment-max-mb'] === undefined
+        ? DEFAULT_ATTACHMENT_MAX_MB
+        : Number(values['attachment-max-mb']);
+    if (!(maxSizeMB > 0)) {
+        throw new UsageError('--attachment-max-mb must be a positive number');
+    }
+
+    return {
+        command,
+        input,
+        out: values.out,
+        statePath: values.state || join(values.out, STATE_FILENAME),
+        incremental: values.incremental,
+        append: values.append,
+        formats,
+        templatePath: values.template || null,
+        renderOptions: {
+            branches: values.branches,
+            thoughts: values.thoughts,
+            tools: values.tools,
+            canvasHistory: values['canvas-history'],
+            frontmatterTemplate: '',
+            pathPattern: values['path-pattern'],
+            pathSpaces: values['path-spaces'],
+            pathCase: values['path-case'],
+            archivedFolder: values['archived-folder'],
+            gptFolders: values['gpt-folders'],
+            gptTags: values['gpt-tags'],
+            managedRegion: values.merge,
+            attachments: {
+                images: attachmentKinds.includes('images'),
+                generated: attachmentKinds.includes('generated'),
+                files: attachmentKinds.includes('files'),
+                maxSizeMB
+            }
+        }
+    };
+}
+
+/**
+ * Read the conversations of an input file
+ * ZIPs are official exports; attachments are read from them on demand
+ *
+ * @param {string} path
+ * @returns {Promise<{conversations: Array, readAttachment: Function|null, paths: string[]}>}
+ */
+async function loadInput(path) {
+    const bytes = new Uint8Array(await readFile(path));
+
+    // ZIP files start with "PK"
+    if (bytes[0] !== 0x50 || bytes[1] !== 0x4B) {
+        return { conversations: parseOfficialExport(decodeJsonBytes(bytes)), readAttachment: null, paths: [] };
+    }
+
+    // The bundled JSZip is a UMD build; loaded as ES module it registers itself globally
+    await import('../lib/jszip.min.js');
+    const zip = await globalThis.JSZip.loadAsync(bytes);
+    const paths = Object.keys(zip.files).filter(name => !zip.files[name].dir);
+    const conversationFiles = findConversationFiles(paths);
+    if (conversationFiles.length === 0) {
+        throw new Error(`No conversations.json found in ${path}`);
+    }
+
+    const conversations = [];
+    for (const name of conversationFiles) {
+        conversations.push(...parseOfficialExport(decodeJsonBytes(await zip.file(name).async('uint8array'))));
+    }
+    return {
+        conversations,
+        readAttachment: name => zip.file(name).async('base64'),
+        paths
+    };
+}
+
+/**
+ * Read the state of previous incremental runs
+ */
+async function loadState(path) {
+    try {
+        return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { exportedConversations: {}, lastSyncTime: null };
+        }
+        throw new Error(`State file ${path} could not be read: ${error.message}`);
+    }
+}
+
+/**
+ * Check if a conversation is new or updated since it was last converted
+ */
+function needsConversion(conversation, state) {
+    const exported = state.exportedConversations[conversation.conversation_id];
+    if (!exported) {
+        return true;
+    }
+    const updateTime = conversation.update_time;
+    if (!updateTime) {
+        return true;
+    }
+    const time = typeof updateTime === 'number' ? updateTime * 1000 : new Date(updateTime).getTime();
+    return time > new Date(exported.updateTime).getTime();
+}
+
+/**
+ * Convert conversations into the files of the selected formats
+ *
+ * @param {Array} conversations
+ * @param {Object} options
+ * @param {Object} options.formats - Format ID -> boolean
+ * @param {Object} options.renderOptions - As for conversationToMarkdown, incl. attachments
+ * @param {Object} [options.state] - State of previous runs; only new and updated conversations are converted,
+ *   updated ones only if their messages, title or project changed
+ * @param {Function} [options.readAttachment] - ZIP path -> base64 content (official export ZIPs)
+ * @param {string[]} [options.paths] - Files in the export ZIP
+ * @returns {Promise<{files: Array, converted: Array, unchanged: Array, renames: Array, skipped: number}>}
+ *   unchanged holds updated conversations whose content did not change; they count as skipped.
+ *   renames holds the {from, to} paths of renamed or moved conversations
+ */
+async function convertConversations(conversations, { formats, renderOptions, state = null, readAttachment = null, paths = [] }) {
+    const selected = getSelectedFormats(formats);
+    const attachmentOptions = renderOptions.attachments;
+    const maxBytes = attachmentOptions.maxSizeMB * 1024 * 1024;
+    const withAttachments = !!readAttachment && selected.some(format => format.usesAttachments) &&
+        (attachmentOptions.images || attachmentOptions.generated || attachmentOptions.files);
+
+    const toConvert = [];
+    const unchanged = [];
+    for (const conversation of conversations) {
+        if (!state) {
+            toConvert.push(conversation);
+        } else if (!needsConversion(conversation, state)) {
+            continue;
+        } else if (compareWithExport(state.exportedConversations[conversation.conversation_id], conversation, renderOptions) === 'unchanged') {
+            // Only update_time was bumped (e.g. archived or opened)
+            unchanged.push(conversation);
+        } else {
+            toConvert.push(conversation);
+        }
+    }
+    const files = [];
+    const renames = [];
+
+    for (const conversation of toConvert) {
+        if (withAttachments) {
+            conversation._attachments = {};
+            for (const { ref, path, fileName } of findExportAttachments(conversation, paths, attachmentOptions)) {
+                const content = await readAttachment(path);
+                if (content.length * 3 / 4 > maxBytes) {
+                    continue;
+                }
+                const filename = buildAttachmentFilename(ref, '', fileName);
+                conversation._attachments[ref.fileId] = filename;
+                files.push({ filename: `${ATTACHMENTS_FOLDER}/${filename}`, content, isBase64: true });
+            }
+        }
+
+        // Renamed or moved since the last run: the files replace the old ones (see sync/renames.js)
+        const rename = state ? trackRename(conversation, state.exportedConversations[conversation.conversation_id], renderOptions) : null;
+        const conversationFiles = [];
+        for (const format of selected) {
+            if (format.renderConversation) {
+                conversationFiles.push(...format.renderConversation(conversation, renderOptions));
+            }
+        }
+        if (rename) {
+            markMovedFiles(conversationFiles, rename);
+            renames.push(rename);
+        }
+        files.push(...conversationFiles);
+    }
+
+    if (toConvert.length > 0) {
+        for (const format of selected) {
+            if (format.renderBundle) {
+                files.push(...format.renderBundle(toConvert));
+            }
+        }
+    }
+
+    return {
+        files,
+        converted: toConvert,
+        unchanged,
+        renames,
+        skipped: conversations.length - toConvert.length
+    };
+}
+
+/**
+ * Record converted conversations in the state
+ * @param {Object} [renderOptions] - Path pattern settings the files were written with
+ */
+function updateState(state, conversations, renderOptions = {}) {
+    const now = new Date().toISOString();
+    for (const conversation of conversations) {
+        const { id, ...exported } = describeExport(conversation, renderOptions);
+        state.exportedConversations[id] = { exportedAt: now, ...exported };
+    }
+    state.lastSyncTime = now;
+    return state;
+}
+
+/**
+ * Read a text file, or null if it does not exist
+ */
+async function readExisting(path) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write files below the output folder
+ * Notes with a managed region are merged with the existing file (see lib/managed-region.js),
+ * in append mode only their new messages are added to it. Files of renamed or
+ * moved conversations replace their old file.
+ */
+async function writeFiles(out, files) {
+    for (const file of files) {
+        const path = join(out, file.filename);
+        const previousPath = file.previousFilename && file.previousFilename !== file.filename
+            ? join(out, file.previousFilename)
+            : null;
+        await mkdir(dirname(path), { recursive: true });
+
+        let content = file.isBase64 ? Buffer.from(file.content, 'base64') : file.content;
+        if (!file.isBase64 && (file.appendContent || hasManagedRegion(content))) {
+            let existing = await readExisting(path);
+            if (existing === null && previousPath) {
+                existing = await readExisting(previousPath);
+            }
+            if (existing !== null) {
+                content = file.appendContent
+                    ? appendToNote(existing, content, file.appendContent)
+                    : mergeManagedNote(existing, content);
+            }
+        }
+        await writeFile(path, content);
+
+        if (previousPath) {
+            await unlink(previousPath).catch(error => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Run the command line
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, { log = console.log, error = console.error } = {}) {
+    let request;
+    try {
+        request = parseCliArgs(argv);
+    } catch (e) {
+        if (e instanceof UsageError) {
+            error(`${e.message}\n\n${USAGE}`);
+            return 2;
+        }
+        throw e;
+    }
+
+    if (request.help) {
+        log(USAGE);
+        return 0;
+    }
+
+    try {
+        if (request.templatePath) {
+            const template = (await readFile(request.templatePath, 'utf8')).trim();
+            const unknown = findUnknownPlaceholders(template);
+            if (unknown.length > 0) {
+                throw new Error(`Unknown template placeholder: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+            }
+            request.renderOptions.frontmatterTemplate = template;
+        }
+
+        const input = await loadInput(request.input);
+        const state = request.incremental ? await loadState(request.statePath) : null;
+        if (request.append) {
+            request.renderOptions.appendAfter = Object.fromEntries(
+                Object.entries(state.exportedConversations)
+                    .filter(([, exported]) => exported.lastNodeId)
+                    .map(([id, exported]) => [id, exported.lastNodeId])
+            );
+        }
+
+        const { files, converted, unchanged, renames, skipped } = await convertConversations(input.conversations, {
+            formats: request.formats,
+            renderOptions: request.renderOptions,
+            state,
+            readAttachment: input.readAttachment,
+            paths: input.paths
+        });
+
+        await writeFiles(request.out, files);
+        if (state) {
+            await mkdir(dirname(request.statePath), { recursive: true });
+            await writeFile(request.statePath, JSON.stringify(updateState(state, [...converted, ...unchanged], request.renderOptions), null, 2));
+        }
+
+        for (const rename of renames) {
+            log(`Moved ${rename.from} -> ${rename.to}`);
+        }
+        log(`Converted ${converted.length} conversation${converted.length === 1 ? '' : 's'} into ${files.length} files in ${request.out}` +
+            (skipped > 0 ? ` (${skipped} unchanged skipped)` : ''));
+        return 0;
+    } catch (e) {
+        error(`Error: ${e.message}`);
+        return 1;
+    }
+}
+
+export {
+    UsageError,
+    parseCliArgs,
+    loadInput,
+    loadState,
+    needsConversion,
+    convertConversations,
+    updateState,
+    writeFiles,
+    main
+};
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * GPT Exporter command line
+ * e.g. gpt-exporter convert conversations.json --out ./vault --incremental
+ */
+
+import { main } from './convert.mjs';
+
+process.exitCode = await main(process.argv.slice(2));
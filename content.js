@@ -122,9 +122,10 @@ async function apiRequest(endpoint, isRetryAfter401 = false) {
 
 /**
  * Get conversation list (main/non-project conversations)
+ * Archived conversations are only in the list with archived = true
  */
-async function getConversationsList(offset = 0, limit = 28) {
-    return apiRequest(`/conversations?offset=${offset}&limit=${limit}`);
+async function getConversationsList(offset = 0, limit = 28, archived = false) {
+    return apiRequest(`/conversations?offset=${offset}&limit=${limit}${archived ? '&is_archived=true' : ''}`);
 }
 
 /**
@@ -134,6 +135,26 @@ async function getConversation(id) {
     return apiRequest(`/conversation/${id}`);
 }
 
+/**
+ * Get a temporary download URL for an uploaded or generated file
+ * Newer files ("file_..." IDs from sediment:// pointers) need the conversation ID
+ */
+async function getFileDownloadInfo(fileId, conversationId) {
+    const endpoint = fileId.startsWith('file_') && conversationId
+        ? `/files/download/${fileId}?conversation_id=${conversationId}&inline=false`
+        : `/files/${fileId}/download`;
+
+    const response = await apiRequest(endpoint);
+    if (!response.download_url) {
+        throw new Error(`No download URL for file ${fileId}`);
+    }
+
+    return {
+        downloadUrl: response.download_url,
+        fileName: response.file_name || null
+    };
+}
+
 /**
  * Fetch all projects from the snorlax/sidebar API with cursor pagination
  * This endpoint returns all projects, not just the visible 5
@@ -360,6 +381,12 @@ async function getProjectConversations(projectId, cursor = '0') {
     }
 }
 
+/**
+ * Get a custom GPT (gizmo) with its display name
+ */
+async function getGizmo(gizmoId) {
+    return apiRequest(`/gizmos/${gizmoId}`);
+}
 
 /**
  * Listen for messages from the extension
@@ -371,7 +398,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         try {
             switch (message.action) {
                 case 'getConversationsList':
-                    return await getConversationsList(message.offset || 0, message.limit || 28);
+                    return await getConversationsList(message.offset || 0, message.limit || 28, !!message.archived);
 
                 case 'getConversation':
                     return await getConversation(message.id);
@@ -379,9 +406,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 case 'getProjectsList':
                     return await getProjectsList();
 
+                case 'getFileDownloadInfo':
+                    return await getFileDownloadInfo(message.fileId, message.conversationId);
+
                 case 'getProjectConversations':
                     return await getProjectConversations(message.projectId, message.cursor || '0');
 
+                case 'getGizmo':
+                    return await getGizmo(message.gizmoId);
+
                 case 'ping':
                     // Also verify we can get a token
                     try {
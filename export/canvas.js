@@ -0,0 +1,196 @@
+/**
+ * Canvas Export Module
+ * Reconstructs ChatGPT Canvas ("canmore") documents from the tool calls of a conversation
+ *
+ * A canvas is created by a `canmore.create_textdoc` call that carries the whole
+ * document and changed by `canmore.update_textdoc` calls that carry regex
+ * replacements. Replaying the calls along a conversation path gives every
+ * version of every document.
+ */
+
+/**
+ * File extensions for canvas document types ('document' or 'code/<language>')
+ */
+const CANVAS_EXTENSIONS = {
+    'document': 'md',
+    'code/python': 'py',
+    'code/javascript': 'js',
+    'code/typescript': 'ts',
+    'code/react': 'jsx',
+    'code/html': 'html',
+    'code/css': 'css',
+    'code/java': 'java',
+    'code/kotlin': 'kt',
+    'code/swift': 'swift',
+    'code/c': 'c',
+    'code/cpp': 'cpp',
+    'code/csharp': 'cs',
+    'code/go': 'go',
+    'code/rust': 'rs',
+    'code/ruby': 'rb',
+    'code/php': 'php',
+    'code/r': 'r',
+    'code/sql': 'sql',
+    'code/bash': 'sh',
+    'code/shell': 'sh',
+    'code/json': 'json',
+    'code/yaml': 'yml'
+};
+
+/**
+ * Get the file extension for a canvas document type
+ * Unknown code languages are saved as .txt, anything else as markdown
+ *
+ * @param {string} type - e.g. "document" or "code/python"
+ * @returns {string} Extension without the dot
+ */
+function getCanvasFileExtension(type) {
+    if (CANVAS_EXTENSIONS[type]) {
+        return CANVAS_EXTENSIONS[type];
+    }
+    return type?.startsWith('code/') ? 'txt' : 'md';
+}
+
+/**
+ * Check whether a message is a canvas tool call or a canvas tool response
+ */
+function isCanvasMessage(msg) {
+    return !!(msg?.recipient?.startsWith('canmore.') || msg?.author?.name?.startsWith('canmore.'));
+}
+
+/**
+ * Parse the JSON arguments of a canvas tool call
+ * @returns {Object|null}
+ */
+function parseCanvasCall(msg) {
+    const text = msg.content?.text ?? (msg.content?.parts || []).filter(part => typeof part === 'string').join('');
+    try {
+        const parsed = JSON.parse(text);
+        return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Convert a Python regex replacement (\1, \g<1>, \g<name>) to a JavaScript one ($1, $<name>)
+ */
+function toJsReplacement(replacement) {
+    return replacement
+        .replace(/\$/g, '$$$$')
+        .replace(/\\g<(\d+)>/g, '$$$1')
+        .replace(/\\g<(\w+)>/g, '$$<$1>')
+        .replace(/\\(\d+)/g, '$$$1');
+}
+
+/**
+ * Apply the updates of a `canmore.update_textdoc` call to a document
+ * Each update is {pattern, multiple, replacement}. Patterns that are not valid
+ * JavaScript regular expressions are skipped.
+ *
+ * @param {string} content - Current document content
+ * @param {Array<{pattern: string, multiple: boolean, replacement: string}>} updates
+ * @returns {string} Updated content
+ */
+function applyCanvasUpdates(content, updates) {
+    let result = content;
+
+    for (const update of updates || []) {
+        if (typeof update?.pattern !== 'string') {
+            continue;
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(update.pattern, update.multiple ? 'gs' : 's');
+        } catch (e) {
+            console.warn('[Canvas] Skipping update with unsupported pattern:', update.pattern);
+            continue;
+        }
+
+        result = result.replace(regex, toJsReplacement(update.replacement || ''));
+    }
+
+    return result;
+}
+
+/**
+ * Reconstruct the canvas documents of a conversation path
+ *
+ * @param {Object} nodes - conversation.mapping
+ * @param {string[]} nodeIds - Node IDs of the path, in conversation order
+ * @returns {{documents: Array, events: Object}}
+ *   documents: [{textdocId, title, type, versions: [{nodeId, content}]}] in creation order
+ *   events: node ID -> {action: 'created'|'updated', document, version} for the nodes that changed a document
+ */
+function extractCanvasDocuments(nodes, nodeIds) {
+    const documents = [];
+    const events = {};
+    let activeDocument = null;
+    let lastEventNodeId = null;
+
+    for (const nodeId of nodeIds) {
+        const msg = nodes[nodeId]?.message;
+        if (!isCanvasMessage(msg)) {
+            continue;
+        }
+
+        // Tool responses: learn the document ID and drop updates that failed
+        if (msg.author?.role === 'tool') {
+            const textdocId = msg.metadata?.canvas?.textdoc_id;
+            const responseText = (msg.content?.parts || []).filter(part => typeof part === 'string').join('') || msg.content?.text || '';
+
+            if (lastEventNodeId && /^Failed/i.test(responseText.trim())) {
+                const event = events[lastEventNodeId];
+                if (event.action === 'updated') {
+                    event.document.versions.pop();
+                    delete events[lastEventNodeId];
+                }
+            } else if (textdocId) {
+                const known = documents.find(doc => doc.textdocId === textdocId);
+                if (known) {
+                    activeDocument = known;
+                } else if (activeDocument && !activeDocument.textdocId) {
+                    activeDocument.textdocId = textdocId;
+                }
+            }
+            lastEventNodeId = null;
+            continue;
+        }
+
+        const call = parseCanvasCall(msg);
+        if (!call) {
+            continue;
+        }
+
+        if (msg.recipient === 'canmore.create_textdoc' && typeof call.content === 'string') {
+            activeDocument = {
+                textdocId: null,
+                title: call.name || 'Canvas',
+                type: call.type || 'document',
+                versions: [{ nodeId, content: call.content }]
+            };
+            documents.push(activeDocument);
+            events[nodeId] = { action: 'created', document: activeDocument, version: 1 };
+            lastEventNodeId = nodeId;
+        } else if (msg.recipient === 'canmore.update_textdoc' && activeDocument) {
+            const previous = activeDocument.versions[activeDocument.versions.length - 1].content;
+            const content = Array.isArray(call.updates)
+                ? applyCanvasUpdates(previous, call.updates)
+                : (typeof call.content === 'string' ? call.content : previous);
+
+            activeDocument.versions.push({ nodeId, content });
+            events[nodeId] = { action: 'updated', document: activeDocument, version: activeDocument.versions.length };
+            lastEventNodeId = nodeId;
+        }
+    }
+
+    return { documents, events };
+}
+
+export {
+    getCanvasFileExtension,
+    isCanvasMessage,
+    applyCanvasUpdates,
+    extractCanvasDocuments
+};
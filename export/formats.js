@@ -0,0 +1,108 @@
+/**
+ * Export Format Registry
+ * Every export format the popup can select is registered here
+ *
+ * A format is either rendered per conversation (`renderConversation`) or once
+ * for a whole batch of conversations (`renderBundle`, e.g. the JSON backup).
+ * Both return files shaped {filename, content, mimeType}.
+ *
+ * In append mode a note can also carry `appendContent` (its new messages, to
+ * add to the existing file) and `patchFile` (a note with just those messages,
+ * saved instead where existing files cannot be edited, e.g. Downloads).
+ */
+
+import { conversationToMarkdown } from './markdown.js';
+import { conversationToHtml } from './html.js';
+import { conversationToText } from './text.js';
+import { createBackupJson } from './json.js';
+
+const formats = new Map();
+
+/**
+ * Register an export format
+ *
+ * @param {Object} format
+ * @param {string} format.id - Key in the `formats` selection sent by the popup
+ * @param {string} format.label - Name shown to the user
+ * @param {Function} [format.renderConversation] - (conversation, renderOptions) => files
+ * @param {Function} [format.renderBundle] - (conversations) => files
+ * @param {boolean} [format.usesAttachments] - Whether the output embeds downloaded attachments
+ */
+function registerFormat(format) {
+    if (!format?.id || (!format.renderConversation && !format.renderBundle)) {
+        throw new Error('A format needs an id and a renderConversation or renderBundle function');
+    }
+    formats.set(format.id, format);
+}
+
+/**
+ * Get a registered format by ID
+ */
+function getFormat(id) {
+    return formats.get(id) || null;
+}
+
+/**
+ * Get the registered formats that are selected
+ * @param {Object} selection - Format ID -> boolean, as sent by the popup
+ */
+function getSelectedFormats(selection) {
+    return [...formats.values()].filter(format => selection?.[format.id]);
+}
+
+/**
+ * Check whether any format is selected
+ */
+function hasSelectedFormat(selection) {
+    return getSelectedFormats(selection).length > 0;
+}
+
+registerFormat({
+    id: 'markdown',
+    label: 'Markdown (.md)',
+    usesAttachments: true,
+    renderConversation(conversation, renderOptions) {
+        const md = conversationToMarkdown(conversation, renderOptions);
+        const note = { filename: md.filename, content: md.content, mimeType: 'text/markdown' };
+        if (md.append) {
+            note.appendContent = md.append.content;
+            note.patchFile = { ...md.append.patch, mimeType: 'text/markdown' };
+        }
+        return [note, ...md.extraFiles];
+    }
+});
+
+registerFormat({
+    id: 'html',
+    label: 'HTML page (.html)',
+    usesAttachments: true,
+    renderConversation(conversation, renderOptions) {
+        const html = conversationToHtml(conversation, renderOptions);
+        return [{ filename: html.filename, content: html.content, mimeType: 'text/html' }];
+    }
+});
+
+registerFormat({
+    id: 'text',
+    label: 'Plain text (.txt)',
+    renderConversation(conversation, renderOptions) {
+        const text = conversationToText(conversation, renderOptions);
+        return [{ filename: text.filename, content: text.content, mimeType: 'text/plain' }];
+    }
+});
+
+registerFormat({
+    id: 'json',
+    label: 'JSON Backup',
+    renderBundle(conversations) {
+        const json = createBackupJson(conversations);
+        return [{ filename: json.filename, content: json.content, mimeType: 'application/json' }];
+    }
+});
+
+export {
+    registerFormat,
+    getFormat,
+    getSelectedFormats,
+    hasSelectedFormat
+};
@@ -0,0 +1,397 @@
+/**
+ * HTML Export Module
+ * Converts a ChatGPT conversation to a self-contained, styled HTML page
+ * (no external resources) with code highlighting and a print stylesheet
+ */
+
+import { prepareConversation, getThinkingTitle, getModelDisplayName, formatTruncatedDate } from './markdown.js';
+
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp'];
+
+// URL schemes links may use; relative links and anchors have none
+const SAFE_LINK_SCHEMES = ['http', 'https', 'mailto'];
+
+// Languages that use # for line comments (the others use // and /* */)
+const HASH_COMMENT_LANGUAGES = ['python', 'py', 'bash', 'sh', 'shell', 'zsh', 'ruby', 'rb', 'r', 'yaml', 'yml', 'toml', 'perl', 'powershell', 'dockerfile', 'makefile'];
+
+const KEYWORDS = new Set([
+    'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+    'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends', 'false', 'False', 'finally', 'fn', 'for',
+    'from', 'func', 'function', 'if', 'impl', 'import', 'in', 'interface', 'is', 'lambda', 'let', 'match', 'mut',
+    'new', 'nil', 'None', 'not', 'null', 'or', 'package', 'pass', 'private', 'protected', 'pub', 'public', 'raise',
+    'return', 'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'true', 'True', 'try', 'type',
+    'typeof', 'undefined', 'use', 'var', 'void', 'while', 'with', 'yield',
+    'SELECT', 'FROM', 'WHERE', 'JOIN', 'GROUP', 'ORDER', 'BY', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'TABLE'
+]);
+
+const STYLES = `
+:root { --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --bg-user: #eef4ff; --bg-code: #f6f8fa; --accent: #0969da; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: var(--fg); background: #fff; }
+main { max-width: 860px; margin: 0 auto; padding: 32px 20px 64px; }
+header { border-bottom: 1px solid var(--border); margin-bottom: 24px; }
+h1 { font-size: 1.8em; margin: 0 0 8px; }
+.meta { color: var(--muted); font-size: 0.9em; margin: 0 0 16px; }
+a { color: var(--accent); }
+.message { margin: 0 0 24px; }
+.role { font-weight: 600; font-size: 0.85em; text-transform: uppercase; letter-spacing: 0.04em; color: var(--muted); margin-bottom: 4px; }
+.user .content { background: var(--bg-user); border-radius: 8px; padding: 8px 16px; }
+.content > :first-child { margin-top: 0; }
+.content > :last-child { margin-bottom: 0; }
+pre { background: var(--bg-code); border: 1px solid var(--border); border-radius: 6px; padding: 12px; overflow-x: auto; font-size: 0.875em; line-height: 1.45; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+:not(pre) > code { background: var(--bg-code); border-radius: 4px; padding: 0.1em 0.35em; font-size: 0.875em; }
+blockquote { margin: 0 0 16px; padding: 0 16px; border-left: 4px solid var(--border); color: var(--muted); }
+table { border-collapse: collapse; margin: 0 0 16px; display: block; overflow-x: auto; }
+th, td { border: 1px solid var(--border); padding: 6px 12px; }
+th { background: var(--bg-code); }
+img { max-width: 100%; }
+details { border: 1px solid var(--border); border-radius: 6px; padding: 8px 12px; margin: 0 0 16px; }
+details > summary { cursor: pointer; color: var(--muted); font-weight: 600; }
+details[open] > summary { margin-bottom: 8px; }
+.canvas { color: var(--muted); }
+.tok-comment { color: #6e7781; font-style: italic; }
+.tok-string { color: #0a3069; }
+.tok-number { color: #0550ae; }
+.tok-keyword { color: #cf222e; }
+@media print {
+  body { font-size: 11pt; }
+  main { max-width: none; padding: 0; }
+  a { color: inherit; }
+  pre { white-space: pre-wrap; word-break: break-word; }
+  .message, pre, table, details { break-inside: avoid; }
+  details > summary { list-style: none; }
+}
+`;
+
+// Open collapsed sections when printing so their content ends up on paper
+const PRINT_SCRIPT = "window.addEventListener('beforeprint', () => document.querySelectorAll('details').forEach(d => { d.open = true; }));";
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Highlight code with a small language-agnostic tokenizer
+ * Marks comments, strings, numbers and common keywords
+ *
+ * @param {string} code
+ * @param {string} language - Fence language, decides the comment syntax
+ * @returns {string} HTML
+ */
+function highlightCode(code, language = '') {
+    const lineComment = HASH_COMMENT_LANGUAGES.includes(language.toLowerCase()) ? '#[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+    const tokenPattern = new RegExp(
+        `(${lineComment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_]\\w*)`,
+        'g'
+    );
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of code.matchAll(tokenPattern)) {
+        html += escapeHtml(code.slice(lastIndex, match.index));
+        const [token, comment, string, number, word] = match;
+        if (comment) {
+            html += `<span class="tok-comment">${escapeHtml(token)}</span>`;
+        } else if (string) {
+            html += `<span class="tok-string">${escapeHtml(token)}</span>`;
+        } else if (number) {
+            html += `<span class="tok-number">${token}</span>`;
+        } else if (word && KEYWORDS.has(word)) {
+            html += `<span class="tok-keyword">${token}</span>`;
+        } else {
+            html += escapeHtml(token);
+        }
+        lastIndex = match.index + token.length;
+    }
+    return html + escapeHtml(code.slice(lastIndex));
+}
+
+/**
+ * Render an embedded or linked vault file (`![[file]]` / `[[file|label]]`)
+ *
+ * @param {string} target - Link target
+ * @param {string} label
+ * @param {boolean} embed - `![[...]]` embed
+ * @param {Object} context - {attachmentsPath}
+ */
+function renderWikilink(target, label, embed, context) {
+    const extension = target.includes('.') ? target.split('.').pop().toLowerCase() : '';
+
+    if (embed) {
+        const src = `${context.attachmentsPath}${target}`;
+        return IMAGE_EXTENSIONS.includes(extension)
+            ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(label)}">`
+            : `<a href="${escapeHtml(src)}">${escapeHtml(label)}</a>`;
+    }
+
+    // Links to notes in the vault have no extension
+    const href = extension ? target : `${target}.md`;
+    return isSafeHref(href) ? `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>` : escapeHtml(label);
+}
+
+/**
+ * Check whether a link target is safe to open from the page
+ * Other schemes (javascript:, data:, ...) could run code, so such links are shown as text
+ */
+function isSafeHref(href) {
+    // Browsers ignore control characters in URLs, e.g. "java\tscript:"
+    const scheme = href.replace(/[\u0000-\u001F\u007F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || SAFE_LINK_SCHEMES.includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Render inline markdown: code spans, links, wikilinks, images, bold, italic, strikethrough
+ */
+function renderInline(text, context) {
+    const placeholders = [];
+    const hold = html => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    let result = text
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/(!?)\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (m, bang, target, label) =>
+            hold(renderWikilink(target.trim(), (label || target).trim(), bang === '!', context)))
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, src) => hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => hold(isSafeHref(href)
+            ? `<a href="${escapeHtml(href)}">${renderInline(label, context)}</a>`
+            : renderInline(label, context)));
+
+    result = escapeHtml(result)
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/~~([^~]+)~~/g, '<del>$1</del>')
+        .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, '$1<a href="$2">$2</a>');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (m, index) => placeholders[Number(index)]);
+}
+
+/**
+ * Split a markdown table row into cells
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render markdown blocks as HTML
+ * Covers what ChatGPT answers use: fenced code, headings, lists, quotes, tables, rules and paragraphs
+ *
+ * @param {string} markdown
+ * @param {Object} context - {attachmentsPath, breaks}; breaks keeps single line breaks (for user messages)
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown, context) {
+    const lines = markdown.split('\n');
+    const html = [];
+    let i = 0;
+
+    const isListItem = line => /^\s*(?:[-*+]|\d+[.)])\s+/.test(line);
+    const isBlockStart = line => /^\s*(```|~~~|#{1,6}\s|>|\|)/.test(line) || isListItem(line) || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Fenced code
+        const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const language = fence[2] || '';
+            const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+            html.push(`<pre><code${languageClass}>${highlightCode(code.join('\n'), language)}</code></pre>`);
+            continue;
+        }
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2], context)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (line.trimStart().startsWith('>')) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trimStart().startsWith('>')) {
+                quoted.push(lines[i].trimStart().replace(/^> ?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderMarkdown(quoted.join('\n'), context)}</blockquote>`);
+            continue;
+        }
+
+        // Table: header row followed by a separator row
+        if (line.trim().startsWith('|') && /^\s*\|?\s*:?-{3,}/.test(lines[i + 1] || '')) {
+            const header = splitTableRow(line);
+            i += 2;
+            const rows = [];
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            const head = header.map(cell => `<th>${renderInline(cell, context)}</th>`).join('');
+            const body = rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell, context)}</td>`).join('')}</tr>`).join('');
+            html.push(`<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`);
+            continue;
+        }
+
+        if (isListItem(line)) {
+            const indent = line.match(/^\s*/)[0].length;
+            const ordered = /^\s*\d+[.)]/.test(line);
+            const items = [];
+
+            while (i < lines.length) {
+                const current = lines[i];
+                const currentIndent = current.match(/^\s*/)[0].length;
+
+                if (isListItem(current) && currentIndent === indent) {
+                    items.push([current.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')]);
+                } else if (current.trim() && currentIndent > indent && items.length > 0) {
+                    // Continuation or nested list: keep it in the item, relative to the item indent
+                    items[items.length - 1].push(current.slice(Math.min(currentIndent, indent + 2)));
+                } else if (!current.trim() && i + 1 < lines.length && lines[i + 1].match(/^\s*/)[0].length > indent && lines[i + 1].trim()) {
+                    items[items.length - 1].push('');
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            const tag = ordered ? 'ol' : 'ul';
+            const rendered = items.map(item => {
+                const [first, ...rest] = item;
+                const nested = rest.length > 0 ? renderMarkdown(rest.join('\n'), context) : '';
+                return `<li>${renderInline(first, context)}${nested}</li>`;
+            });
+            html.push(`<${tag}>${rendered.join('')}</${tag}>`);
+            continue;
+        }
+
+        // Paragraph
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !(paragraph.length > 0 && isBlockStart(lines[i]))) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${paragraph.map(part => renderInline(part, context)).join(context.breaks ? '<br>\n' : '\n')}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+/**
+ * Render one message as an HTML section
+ */
+function renderMessage(msg, context) {
+    if (msg.role === 'thinking') {
+        const body = msg.content ? renderMarkdown(msg.content, context) : '';
+        return `<details class="thinking"><summary>${escapeHtml(getThinkingTitle(msg))}</summary>${body}</details>`;
+    }
+    if (msg.role === 'tool') {
+        return `<details class="tool"><summary>${escapeHtml(msg.title)}</summary>${renderMarkdown(msg.content || '', context)}</details>`;
+    }
+    if (msg.role === 'canvas') {
+        // The canvas files belong to the markdown export, so show the document itself here
+        const action = msg.version === 1 ? 'Created canvas' : `Updated canvas (version ${msg.version})`;
+        const language = msg.type?.startsWith('code/') ? msg.type.slice(5) : '';
+        const body = language
+            ? `<pre><code class="language-${escapeHtml(language)}">${highlightCode(msg.versionContent, language)}</code></pre>`
+            : renderMarkdown(msg.versionContent, context);
+        return `<details class="canvas"><summary>${action}: ${escapeHtml(msg.title)}</summary>${body}</details>`;
+    }
+
+    const isUser = msg.role === 'user';
+    const content = renderMarkdown(msg.content, { ...context, breaks: isUser });
+    return [
+        `<section class="message ${isUser ? 'user' : 'assistant'}">`,
+        `<div class="role">${isUser ? 'You' : 'ChatGPT'}</div>`,
+        `<div class="content">${content}</div>`,
+        '</section>'
+    ].join('\n');
+}
+
+/**
+ * Convert conversation to a self-contained HTML page
+ *
+ * @param {Object} conversation - Full conversation object
+ * @param {Object} [options] - Render options, as for conversationToMarkdown (thoughts, tools)
+ * @returns {{filename: string, content: string}}
+ */
+function conversationToHtml(conversation, options = {}) {
+    const prepared = prepareConversation(conversation, options);
+    const { title, sourceUrl, modelSlug, baseName, folderPrefix, messages } = prepared;
+
+    // Attachments are saved in a top-level folder, the page may be in subfolders
+    const depth = folderPrefix.split('/').filter(Boolean).length;
+    const context = { attachmentsPath: `${'../'.repeat(depth)}attachments/`, breaks: false };
+
+    const meta = [
+        escapeHtml(getModelDisplayName(modelSlug)),
+        `Created ${escapeHtml(formatTruncatedDate(conversation.create_time).replace('T', ' '))}`,
+        `Updated ${escapeHtml(formatTruncatedDate(conversation.update_time).replace('T', ' '))}`,
+        prepared.projectName ? `Project: ${escapeHtml(prepared.projectName)}` : null,
+        `<a href="${escapeHtml(sourceUrl)}">Open in ChatGPT</a>`
+    ].filter(Boolean).join(' · ');
+
+    const content = [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<style>${STYLES}</style>`,
+        `<script>${PRINT_SCRIPT}</script>`,
+        '</head>',
+        '<body>',
+        '<main>',
+        '<header>',
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<p class="meta">${meta}</p>`,
+        '</header>',
+        messages.map(msg => renderMessage(msg, context)).join('\n'),
+        '</main>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+
+    return {
+        filename: `${folderPrefix}${baseName}.html`,
+        content
+    };
+}
+
+export {
+    conversationToHtml,
+    renderMarkdown,
+    highlightCode,
+    escapeHtml
+};
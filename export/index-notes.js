@@ -0,0 +1,168 @@
+/**
+ * Index Notes
+ * Builds the Map-of-Content notes of an export: a root `ChatGPT Index.md`
+ * listing every exported conversation and one index per project in its folder
+ *
+ * The notes are built from the tracker's exportedConversations (see
+ * sync/tracker.js), not from the conversations of a single export, so they
+ * list everything exported so far and are rewritten on every export.
+ */
+
+import {
+    generateFilename,
+    getModelDisplayName,
+    getProjectFolder,
+    sanitizeProjectTag,
+    sanitizeTitleForFrontmatter,
+    toLinkAlias
+} from './markdown.js';
+import { getTimestampFromConversationId, sanitizePathText } from '../lib/path-pattern.js';
+
+const ROOT_INDEX_NAME = 'ChatGPT Index';
+
+const UPSTREAM_LABELS = {
+    deleted: 'deleted in ChatGPT',
+    archived: 'archived in ChatGPT'
+};
+
+/**
+ * Get the name of a conversation's note for wikilinks
+ * The recorded note path wins, as custom path patterns name notes differently
+ */
+function getEntryNoteName(id, exported) {
+    return exported.path ? exported.path.split('/').pop() : generateFilename(exported.title || 'Untitled Conversation', id);
+}
+
+/**
+ * Get the creation time of an exported conversation in milliseconds
+ * Entries exported before creation times were kept fall back to the time in the ID
+ */
+function getEntryCreatedTime(id, exported) {
+    const time = exported.createTime ? Date.parse(exported.createTime) : NaN;
+    if (!Number.isNaN(time)) {
+        return time;
+    }
+    const seconds = getTimestampFromConversationId(id);
+    return seconds ? seconds * 1000 : 0;
+}
+
+/**
+ * Get the name of a project's index note (without extension)
+ */
+function getProjectIndexName(projectName) {
+    return `${sanitizePathText(toLinkAlias(projectName), 'space')} Index`;
+}
+
+/**
+ * Build the list line of one conversation
+ * e.g. "- [[My_Chat_6981fddd|My Chat]] · 2025-06-01 · GPT-4o · 12 messages"
+ */
+function describeEntry(entry, withProject) {
+    const title = toLinkAlias(entry.exported.title || 'Untitled Conversation');
+    const details = [entry.created > 0 ? new Date(entry.created).toISOString().slice(0, 10) : 'unknown date'];
+
+    if (entry.exported.model && entry.exported.model !== 'unknown') {
+        details.push(getModelDisplayName(entry.exported.model));
+    }
+    if (typeof entry.exported.messageCount === 'number') {
+        details.push(`${entry.exported.messageCount} message${entry.exported.messageCount === 1 ? '' : 's'}`);
+    }
+    if (withProject && entry.exported.projectName) {
+        details.push(`[[${getProjectIndexName(entry.exported.projectName)}|${toLinkAlias(entry.exported.projectName)}]]`);
+    }
+    if (UPSTREAM_LABELS[entry.exported.upstream]) {
+        details.push(UPSTREAM_LABELS[entry.exported.upstream]);
+    }
+
+    return `- [[${entry.name}|${title}]] · ${details.join(' · ')}`;
+}
+
+/**
+ * Build the root index and one index per project
+ *
+ * @param {Object} exportedConversations - From the sync data
+ * @param {Object} [options] - Path settings (pathSpaces, pathCase), for the project folders
+ * @returns {Array<{filename: string, content: string, mimeType: string}>}
+ */
+function buildIndexNotes(exportedConversations, options = {}) {
+    const entries = Object.entries(exportedConversations)
+        .map(([id, exported]) => ({
+            id,
+            exported,
+            name: getEntryNoteName(id, exported),
+            created: getEntryCreatedTime(id, exported)
+        }))
+        .sort((a, b) => a.created - b.created || a.name.localeCompare(b.name));
+
+    const projects = new Map();
+    for (const entry of entries) {
+        const projectName = entry.exported.projectName;
+        if (projectName) {
+            if (!projects.has(projectName)) {
+                projects.set(projectName, []);
+            }
+            projects.get(projectName).push(entry);
+        }
+    }
+    const projectNames = [...projects.keys()].sort((a, b) => a.localeCompare(b));
+    const updated = new Date().toISOString().slice(0, 16);
+
+    const root = [
+        '---',
+        'tags:',
+        '  - gpt-exporter-index',
+        `updated: ${updated}`,
+        '---',
+        '',
+        `# ${ROOT_INDEX_NAME}`,
+        '',
+        `${entries.length} exported conversation${entries.length === 1 ? '' : 's'}, oldest first.`
+    ];
+    if (projectNames.length > 0) {
+        root.push('', '## Projects', '');
+        for (const projectName of projectNames) {
+            const count = projects.get(projectName).length;
+            root.push(`- [[${getProjectIndexName(projectName)}|${toLinkAlias(projectName)}]] · ${count} conversation${count === 1 ? '' : 's'}`);
+        }
+    }
+    root.push('', '## Conversations', '');
+    root.push(...(entries.length > 0 ? entries.map(entry => describeEntry(entry, true)) : ['None.']));
+
+    const notes = [{
+        filename: `${ROOT_INDEX_NAME}.md`,
+        content: root.join('\n') + '\n',
+        mimeType: 'text/markdown'
+    }];
+
+    for (const projectName of projectNames) {
+        const projectEntries = projects.get(projectName);
+        const tag = sanitizeProjectTag(projectName);
+        const lines = [
+            '---',
+            'tags:',
+            '  - gpt-exporter-index',
+            ...(tag ? [`  - ${tag}`] : []),
+            `project: "${sanitizeTitleForFrontmatter(projectName)}"`,
+            `updated: ${updated}`,
+            '---',
+            '',
+            `# ${projectName}`,
+            '',
+            `${projectEntries.length} exported conversation${projectEntries.length === 1 ? '' : 's'}, oldest first. Back to [[${ROOT_INDEX_NAME}]].`,
+            '',
+            ...projectEntries.map(entry => describeEntry(entry, false))
+        ];
+        notes.push({
+            filename: `${getProjectFolder(projectEntries.map(entry => entry.exported.path).filter(Boolean), projectName, options)}${getProjectIndexName(projectName)}.md`,
+            content: lines.join('\n') + '\n',
+            mimeType: 'text/markdown'
+        });
+    }
+
+    return notes;
+}
+
+export {
+    ROOT_INDEX_NAME,
+    buildIndexNotes
+};
@@ -5,6 +5,24 @@
  * Based on message extraction pattern from: https://github.com/pionxzh/chatgpt-exporter
  */
 
+import { extractCanvasDocuments, getCanvasFileExtension, isCanvasMessage } from './canvas.js';
+import {
+    DEFAULT_FRONTMATTER_TEMPLATE,
+    renderFrontmatterTemplate,
+    findUnknownPlaceholders,
+    validateFrontmatterYaml
+} from '../lib/frontmatter-template.js';
+import { buildNotePath, sanitizePathText } from '../lib/path-pattern.js';
+import { wrapManagedRegion } from '../lib/managed-region.js';
+import { hashString } from '../lib/hash.js';
+import { BASE_TAG, sanitizeProjectTag } from '../lib/tags.js';
+
+// Folder for archived conversations (options.archivedFolder)
+const ARCHIVED_FOLDER = 'Archived';
+
+// Custom frontmatter templates already reported as invalid (warned once per template)
+const rejectedTemplates = new Set();
+
 /**
  * Normalize encoding issues from UTF-16LE JSON files
  * The box-drawing characters ┬╖ (U+252C U+2556) appear when a middle dot (·)
@@ -61,66 +79,6 @@ function getShortConversationId(conversationId) {
     return conversationId.substring(0, 8);
 }
 
-/**
- * Convert project name to valid Obsidian tag
- * Uses only lowercase letters, numbers, and hyphens (NO underscores)
- *
- * Rules:
- * - Convert to lowercase
- * - Transliterate diacritics to ASCII equivalents (a, e, o, u, s, n, z, etc.)
- * - Replace spaces and apostrophes with hyphens
- * - Remove all special characters (&#!,;$, etc.)
- * - Collapse multiple consecutive hyphens to single hyphen
- * - Remove leading/trailing hyphens
- *
- * @param {string} projectName - The project name to sanitize
- * @returns {string} Valid Obsidian tag
- */
-function sanitizeProjectTag(projectName) {
-    if (!projectName || typeof projectName !== 'string') {
-        return '';
-    }
-
-    // Step 1: Convert to lowercase
-    let tag = projectName.toLowerCase();
-
-    // Step 2: Transliterate common diacritics to ASCII equivalents
-    const diacriticMap = {
-        'á': 'a', 'à': 'a', 'ä': 'a', 'â': 'a', 'ã': 'a', 'å': 'a', 'ą': 'a', 'ă': 'a',
-        'é': 'e', 'è': 'e', 'ë': 'e', 'ê': 'e', 'ę': 'e', 'ě': 'e',
-        'í': 'i', 'ì': 'i', 'ï': 'i', 'î': 'i', 'ı': 'i',
-        'ó': 'o', 'ò': 'o', 'ö': 'o', 'ô': 'o', 'õ': 'o', 'ø': 'o', 'ő': 'o',
-        'ú': 'u', 'ù': 'u', 'ü': 'u', 'û': 'u', 'ű': 'u', 'ů': 'u',
-        'ý': 'y', 'ÿ': 'y',
-        'ñ': 'n', 'ń': 'n', 'ň': 'n',
-        'ç': 'c', 'č': 'c', 'ć': 'c',
-        'ß': 'ss',
-        'ś': 's', 'š': 's', 'ş': 's',
-        'ź': 'z', 'ž': 'z', 'ż': 'z',
-        'ł': 'l', 'ľ': 'l',
-        'ř': 'r',
-        'ť': 't',
-        'ď': 'd', 'đ': 'd',
-        'æ': 'ae', 'œ': 'oe',
-        'þ': 'th', 'ð': 'd'
-    };
-
-    tag = tag.split('').map(char => diacriticMap[char] || char).join('');
-
-    // Step 3: Replace spaces and apostrophes with hyphens
-    tag = tag.replace(/[\s']/g, '-');
-
-    // Step 4: Remove all characters except lowercase letters, numbers, and hyphens
-    tag = tag.replace(/[^a-z0-9-]/g, '');
-
-    // Step 5: Collapse multiple consecutive hyphens to single hyphen
-    tag = tag.replace(/-+/g, '-');
-
-    // Step 6: Remove leading/trailing hyphens
-    tag = tag.replace(/^-+|-+$/g, '');
-
-    return tag;
-}
 
 /**
  * Extract branching information from conversation mapping
@@ -206,7 +164,9 @@ function escapeHexColorCodes(text) {
         const line = lines[i];
 
         // Check if this line is a code fence marker
-        const isCodeFenceMarker = /^```/.test(line.trim()) || /^~~~/.test(line.trim());
+        // (callout prefixes are ignored so fences inside `> ` callouts are recognized too)
+        const bareLine = line.trim().replace(/^(>\s?)+/, '').trim();
+        const isCodeFenceMarker = /^```/.test(bareLine) || /^~~~/.test(bareLine);
 
         if (isCodeFenceMarker) {
             if (!insideCodeFence) {
@@ -409,16 +369,38 @@ function getModelDisplayName(modelSlug) {
     return modelNames[modelSlug] || modelSlug?.toUpperCase() || 'Unknown';
 }
 
+/**
+ * Get the file ID from an image asset pointer
+ * e.g. "file-service://file-AbC123" -> "file-AbC123", "sediment://file_00ab" -> "file_00ab"
+ *
+ * @param {string} assetPointer
+ * @returns {string|null}
+ */
+function getAssetFileId(assetPointer) {
+    if (!assetPointer || typeof assetPointer !== 'string') {
+        return null;
+    }
+    return assetPointer.replace(/^[a-z-]+:\/\//, '') || null;
+}
+
 /**
  * Extract text content from a message part (handles different content types)
+ *
+ * @param {string|Object} part - Content part
+ * @param {Object} [attachmentFiles] - Map of file ID to downloaded attachment filename
  */
-function extractTextFromPart(part) {
+function extractTextFromPart(part, attachmentFiles = null) {
     if (typeof part === 'string') {
         return part;
     }
     // Handle multimodal content - skip non-text parts
     if (part && typeof part === 'object') {
         if (part.content_type === 'image_asset_pointer') {
+            // Embed the image if it was downloaded as an attachment
+            const fileId = getAssetFileId(part.asset_pointer);
+            if (fileId && attachmentFiles?.[fileId]) {
+                return `![[${attachmentFiles[fileId]}]]`;
+            }
             return '[Image]';
         }
         if (part.text) {
@@ -430,18 +412,23 @@ function extractTextFromPart(part) {
 
 /**
  * Extract text content from a message's content object
+ *
+ * @param {Object} content - Message content
+ * @param {Object} [attachmentFiles] - Map of file ID to downloaded attachment filename
  */
-function extractMessageText(content) {
+function extractMessageText(content, attachmentFiles = null) {
     if (!content) return '';
 
+    const extractPart = part => extractTextFromPart(part, attachmentFiles);
+
     // Handle text content type
     if (content.content_type === 'text' && content.parts) {
-        return content.parts.map(extractTextFromPart).join('\n');
+        return content.parts.map(extractPart).join('\n');
     }
 
     // Handle multimodal_text content type
     if (content.content_type === 'multimodal_text' && content.parts) {
-        return content.parts.map(extractTextFromPart).join('\n');
+        return content.parts.map(extractPart).join('\n');
     }
 
     // Handle code execution output
@@ -462,6 +449,117 @@ function extractMessageText(content) {
     return '';
 }
 
+/**
+ * Check if an image part was generated by ChatGPT (DALL·E or native image generation)
+ */
+function isGeneratedImagePart(part) {
+    return !!(part?.metadata?.dalle || part?.metadata?.generation);
+}
+
+/**
+ * Collect the files a conversation references: uploaded images, generated
+ * images and uploaded files (from message metadata)
+ *
+ * @param {Object} conversation - The conversation object with mapping
+ * @param {Object} [types] - Which kinds to include: {images, generated, files}
+ * @returns {Array<{fileId: string, kind: string, name: string|null, sizeBytes: number|null, mimeType: string|null}>}
+ *   kind is 'image', 'generated' or 'file'
+ */
+function extractAttachmentRefs(conversation, types = { images: true, generated: true, files: true }) {
+    if (!conversation?.mapping) {
+        return [];
+    }
+
+    const refs = new Map();
+    const addRef = (ref) => {
+        if (ref.fileId && !refs.has(ref.fileId)) {
+            refs.set(ref.fileId, ref);
+        }
+    };
+
+    for (const node of Object.values(conversation.mapping)) {
+        const msg = node.message;
+        if (!msg) {
+            continue;
+        }
+
+        for (const part of msg.content?.parts || []) {
+            if (part?.content_type !== 'image_asset_pointer') {
+                continue;
+            }
+            const kind = isGeneratedImagePart(part) || msg.author?.role === 'tool' ? 'generated' : 'image';
+            if ((kind === 'generated' && types.generated) || (kind === 'image' && types.images)) {
+                addRef({
+                    fileId: getAssetFileId(part.asset_pointer),
+                    kind,
+                    name: null,
+                    sizeBytes: part.size_bytes || null,
+                    mimeType: null
+                });
+            }
+        }
+
+        if (types.files && msg.author?.role === 'user') {
+            for (const attachment of msg.metadata?.attachments || []) {
+                // Uploaded images also show up here - they are handled as image parts above
+                if (attachment.mime_type?.startsWith('image/')) {
+                    continue;
+                }
+                addRef({
+                    fileId: attachment.id,
+                    kind: 'file',
+                    name: attachment.name || null,
+                    sizeBytes: attachment.size || null,
+                    mimeType: attachment.mime_type || null
+                });
+            }
+        }
+    }
+
+    return [...refs.values()];
+}
+
+/**
+ * Build the filename an attachment is saved under in the attachments folder
+ * The file ID keeps names unique; the original name (if any) keeps them readable
+ *
+ * @param {{fileId: string, kind: string, name: string|null}} ref - Reference from extractAttachmentRefs
+ * @param {string} [mimeType] - Content type of the downloaded file
+ * @param {string} [downloadName] - Filename reported by the download endpoint
+ * @returns {string} e.g. "file-AbC123_report.pdf"
+ */
+function buildAttachmentFilename(ref, mimeType = '', downloadName = '') {
+    const extensions = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/webp': 'webp',
+        'image/gif': 'gif',
+        'application/pdf': 'pdf',
+        'text/plain': 'txt',
+        'text/csv': 'csv'
+    };
+
+    const originalName = ref.name || downloadName || (ref.kind === 'generated' ? 'generated-image' : 'image');
+    const nameMatch = originalName.match(/^(.*?)(?:\.([A-Za-z0-9]{1,8}))?$/);
+    const baseName = sanitizeFilename(nameMatch[1] || originalName);
+    const extension = (nameMatch[2] || extensions[(mimeType || '').split(';')[0].trim()] || 'bin').toLowerCase();
+
+    return `${sanitizeFilename(ref.fileId)}_${baseName}.${extension}`;
+}
+
+/**
+ * Embed lines for uploaded files of a user message that were downloaded as attachments
+ */
+function renderFileAttachmentEmbeds(msg, attachmentFiles) {
+    if (!attachmentFiles) {
+        return [];
+    }
+
+    return (msg.metadata?.attachments || [])
+        .filter(attachment => attachmentFiles[attachment.id] && !attachment.mime_type?.startsWith('image/'))
+        .map(attachment => `![[${attachmentFiles[attachment.id]}]]`);
+}
+
 /**
  * Transform content references (citations) to markdown links
  * Citations appear as "citeturn0search0" or "citeturn1view0turn2search3" in the text
@@ -557,38 +655,12 @@ function shouldSkipMessage(msg) {
 
     // Skip assistant messages that are just tool/search JSON commands
     if (role === 'assistant') {
-        let inner = text.trim();
-
-        // Strip code fences: ```...``` or ```json\n...\n```
-        if (inner.startsWith('```')) {
-            const endIdx = inner.lastIndexOf('```');
-            if (endIdx > 3) {
-                // Remove opening ``` (plus optional language tag and newline)
-                let start = inner.indexOf('\n');
-                if (start === -1 || start > endIdx) start = 3;
-                else start = start + 1;
-                inner = inner.substring(start, endIdx).trim();
-            }
-        }
-
-        // Check for JSON tool calls
-        if (inner.startsWith('{') && inner.endsWith('}')) {
-            try {
-                const parsed = JSON.parse(inner);
-                // Common tool call patterns from ChatGPT internal system
-                const toolKeys = [
-                    'search_query', 'open', 'find', 'image_query',
-                    'product_query', 'response_length', 'selections', 'tags'
-                ];
-                if (toolKeys.some(key => key in parsed)) {
-                    return true;
-                }
-            } catch (e) {
-                // Not valid JSON, might be actual content
-            }
+        if (parseToolCallJson(text)) {
+            return true;
         }
 
         // Skip function call patterns
+        const inner = stripCodeFence(text);
         if (inner.startsWith('mainline_search(') ||
             inner.match(/^products\s*\{/)) {
             return true;
@@ -599,33 +671,312 @@ function shouldSkipMessage(msg) {
 }
 
 /**
- * Extract messages from conversation in order
- * Uses the reference implementation approach: start from current_node and traverse backwards via parent
+ * Remove a code fence wrapped around the whole text: ```...``` or ```json\n...\n```
  */
-function extractMessages(conversation) {
-    const messages = [];
+function stripCodeFence(text) {
+    let inner = text.trim();
+
+    if (inner.startsWith('```')) {
+        const endIdx = inner.lastIndexOf('```');
+        if (endIdx > 3) {
+            // Remove opening ``` (plus optional language tag and newline)
+            let start = inner.indexOf('\n');
+            if (start === -1 || start > endIdx) start = 3;
+            else start = start + 1;
+            inner = inner.substring(start, endIdx).trim();
+        }
+    }
 
-    if (!conversation.mapping) {
-        return messages;
+    return inner;
+}
+
+/**
+ * Parse an assistant message that is a JSON tool call (web search, open page, ...)
+ *
+ * @param {string} text - Message text, optionally wrapped in a code fence
+ * @returns {Object|null} The parsed call, or null if the text is not a tool call
+ */
+function parseToolCallJson(text) {
+    const inner = stripCodeFence(text);
+    if (!inner.startsWith('{') || !inner.endsWith('}')) {
+        return null;
     }
 
-    const nodes = conversation.mapping;
+    try {
+        const parsed = JSON.parse(inner);
+        // Common tool call patterns from ChatGPT internal system
+        const toolKeys = [
+            'search_query', 'open', 'find', 'image_query',
+            'product_query', 'response_length', 'selections', 'tags'
+        ];
+        return toolKeys.some(key => key in parsed) ? parsed : null;
+    } catch (e) {
+        // Not valid JSON, might be actual content
+        return null;
+    }
+}
+
+/**
+ * Get the queries of a search tool call
+ * Queries are either strings or objects like {q: "..."}
+ */
+function getToolCallQueries(entries) {
+    return (Array.isArray(entries) ? entries : [entries])
+        .map(entry => typeof entry === 'string' ? entry : entry?.q || entry?.query || '')
+        .filter(Boolean);
+}
+
+/**
+ * Describe a JSON tool call as a tool transcript entry
+ *
+ * @param {Object} call - Parsed tool call (see parseToolCallJson)
+ * @returns {{tool: string, title: string, content: string}|null} null for calls that only carry settings
+ */
+function describeToolCall(call) {
+    const listItems = items => items.map(item => `- ${item}`).join('\n');
+
+    if (call.search_query) {
+        return { tool: 'search', title: 'Web search', content: listItems(getToolCallQueries(call.search_query)) };
+    }
+    if (call.image_query) {
+        return { tool: 'search', title: 'Image search', content: listItems(getToolCallQueries(call.image_query)) };
+    }
+    if (call.product_query) {
+        return { tool: 'search', title: 'Product search', content: listItems(getToolCallQueries(call.product_query)) };
+    }
+    if (call.open) {
+        const targets = (Array.isArray(call.open) ? call.open : [call.open])
+            .map(entry => typeof entry === 'string' ? entry : entry?.ref_id || entry?.url || '')
+            .filter(Boolean);
+        return { tool: 'open', title: 'Opened pages', content: listItems(targets) };
+    }
+    if (call.find) {
+        const patterns = (Array.isArray(call.find) ? call.find : [call.find])
+            .map(entry => typeof entry === 'string' ? entry : entry?.pattern || '')
+            .filter(Boolean);
+        return { tool: 'open', title: 'Searched in page', content: listItems(patterns) };
+    }
+    return null;
+}
+
+/**
+ * Add a tool call made by the assistant to the tool transcript
+ *
+ * @returns {boolean} True if the message was a tool call
+ */
+function collectToolCall(collectedNodes, msg, nodeId) {
+    const recipient = msg.recipient || 'all';
+    const text = extractMessageText(msg.content);
+
+    const call = parseToolCallJson(text);
+    if (call) {
+        const entry = describeToolCall(call);
+        if (entry) {
+            collectedNodes.push({ role: 'tool', ...entry, nodeId });
+        }
+        return true;
+    }
+
+    if (recipient === 'all') {
+        return false;
+    }
+
+    if (recipient.startsWith('python') && msg.content?.content_type === 'code') {
+        collectedNodes.push({
+            role: 'tool',
+            tool: 'python',
+            title: 'Python',
+            content: '```python\n' + msg.content.text + '\n```',
+            nodeId
+        });
+        return true;
+    }
+
+    // Older browser calls, e.g. search("query") or mclick([1, 4])
+    if (text.trim()) {
+        collectedNodes.push({
+            role: 'tool',
+            tool: recipient,
+            title: `Tool call (${recipient})`,
+            content: '```\n' + stripCodeFence(text) + '\n```',
+            nodeId
+        });
+    }
+    return true;
+}
+
+/**
+ * Get the pages listed in a browsing result as markdown links
+ */
+function getBrowsingResultLinks(msg) {
+    const links = [];
+    // URLs go in angle brackets so parentheses and spaces in them don't end the link
+    const addLink = (title, url) => {
+        if (url) {
+            links.push(`- [${(title || url).replace(/[\[\]]/g, '')}](<${url.replace(/[<>]/g, encodeURIComponent)}>)`);
+        }
+    };
+
+    for (const group of msg.metadata?.search_result_groups || []) {
+        for (const entry of group.entries || []) {
+            addLink(entry.title, entry.url);
+        }
+    }
+
+    // Opened pages and quotes
+    if (msg.content?.content_type === 'tether_quote') {
+        addLink(msg.content.title, msg.content.url);
+    }
+    for (const item of msg.metadata?._cite_metadata?.metadata_list || []) {
+        addLink(item.title, item.url);
+    }
+
+    return [...new Set(links)];
+}
+
+/**
+ * Add a tool result to the tool transcript
+ * Results are appended to the call they answer when it is the previous entry
+ *
+ * @param {Array} collectedNodes
+ * @param {Object} msg - Message with author role 'tool'
+ * @param {string} nodeId
+ * @param {Object} [attachmentFiles] - Map of file ID to downloaded attachment filename
+ */
+function collectToolResult(collectedNodes, msg, nodeId, attachmentFiles) {
+    const previous = collectedNodes[collectedNodes.length - 1];
+    const toolName = msg.author?.name || '';
+    const contentType = msg.content?.content_type;
+    const sections = [];
+
+    if (contentType === 'execution_output' || toolName.startsWith('python')) {
+        if (msg.content?.text) {
+            sections.push('Output:\n```\n' + msg.content.text + '\n```');
+        }
+
+        const files = (msg.content?.parts || [])
+            .filter(part => part?.content_type === 'image_asset_pointer')
+            .map(part => extractTextFromPart(part, attachmentFiles));
+        if (files.length > 0) {
+            sections.push(['Files:', ...files].join('\n'));
+        }
+
+        if (sections.length === 0) {
+            return;
+        }
+        if (previous?.role === 'tool' && previous.tool === 'python') {
+            previous.content += '\n\n' + sections.join('\n\n');
+            return;
+        }
+        collectedNodes.push({ role: 'tool', tool: 'python', title: 'Python output', content: sections.join('\n\n'), nodeId });
+        return;
+    }
+
+    const links = getBrowsingResultLinks(msg);
+    if (links.length === 0) {
+        return;
+    }
+
+    if (previous?.role === 'tool' && previous.tool !== 'python') {
+        previous.content += '\n\nResults:\n' + links.join('\n');
+        return;
+    }
+    collectedNodes.push({ role: 'tool', tool: 'browse', title: 'Browsing results', content: links.join('\n'), nodeId });
+}
+
+/**
+ * Check whether a message holds the model's reasoning (thoughts or the reasoning recap)
+ */
+function isReasoningMessage(msg) {
+    const contentType = msg?.content?.content_type;
+    return contentType === 'thoughts' || contentType === 'reasoning_recap';
+}
+
+/**
+ * Format a thinking duration in seconds
+ *
+ * @param {number} seconds
+ * @returns {string} e.g. "12 seconds" or "2m 5s"
+ */
+function formatThoughtDuration(seconds) {
+    const total = Math.round(seconds);
+    if (total < 60) {
+        return total === 1 ? '1 second' : `${total} seconds`;
+    }
+    const minutes = Math.floor(total / 60);
+    const rest = total % 60;
+    return rest ? `${minutes}m ${rest}s` : `${minutes}m`;
+}
+
+/**
+ * Get the text of a `thoughts` message
+ * Each thought has a short summary (rendered bold) and the reasoning itself
+ */
+function extractThoughtsText(content) {
+    return (content.thoughts || [])
+        .map(thought => {
+            const summary = thought.summary?.trim();
+            const body = (thought.content || '').trim();
+            return [summary ? `**${summary}**` : '', body].filter(Boolean).join('\n');
+        })
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Add a reasoning message to the collected messages
+ * A reasoning_recap ("Thought for 12s") that follows a thoughts message only
+ * completes it with the duration; a recap on its own becomes a thinking entry
+ */
+function collectReasoningMessage(collectedNodes, msg, nodeId) {
+    const duration = msg.metadata?.finished_duration_sec;
+    const previous = collectedNodes[collectedNodes.length - 1];
+
+    if (msg.content.content_type === 'reasoning_recap') {
+        if (previous?.role === 'thinking') {
+            previous.duration = previous.duration ?? duration;
+            previous.recap = previous.recap || msg.content.content;
+            return;
+        }
+        collectedNodes.push({ role: 'thinking', content: '', duration, recap: msg.content.content, nodeId });
+        return;
+    }
+
+    const text = extractThoughtsText(msg.content);
+    if (!text && duration === undefined) {
+        return;
+    }
+    collectedNodes.push({ role: 'thinking', content: text, duration, nodeId });
+}
+
+/**
+ * Find the node a conversation is currently showing (current_node or the first leaf node)
+ */
+function getCurrentNodeId(conversation) {
+    if (!conversation.mapping) {
+        return null;
+    }
 
-    // Find the starting node (current_node or the node with no children)
     let startNodeId = conversation.current_node;
     if (!startNodeId) {
         // Fallback: find node with no children (leaf node)
-        startNodeId = Object.values(nodes).find(node => !node.children || node.children.length === 0)?.id;
+        startNodeId = Object.values(conversation.mapping).find(node => !node.children || node.children.length === 0)?.id;
     }
 
-    if (!startNodeId) {
-        console.log('[Markdown] No start node found');
-        return messages;
-    }
+    return startNodeId || null;
+}
 
-    // Traverse backwards from current_node to root, collecting messages
-    let currentNodeId = startNodeId;
-    const collectedNodes = [];
+/**
+ * Get the node IDs on the path from the root down to the given node, in order
+ * The root node itself (no parent) is not included
+ *
+ * @param {Object} nodes - conversation.mapping
+ * @param {string} leafNodeId - Last node of the path
+ * @returns {string[]} Node IDs in conversation order
+ */
+function getPathNodeIds(nodes, leafNodeId) {
+    const path = [];
+    let currentNodeId = leafNodeId;
 
     while (currentNodeId) {
         const node = nodes[currentNodeId];
@@ -638,51 +989,285 @@ function extractMessages(conversation) {
             break;
         }
 
+        path.unshift(currentNodeId);
+
+        // Move to parent
+        currentNodeId = node.parent;
+    }
+
+    return path;
+}
+
+/**
+ * Convert the nodes of a path to exportable messages
+ * Each message keeps the ID of the node it came from
+ *
+ * @param {Object} nodes - conversation.mapping
+ * @param {string[]} nodeIds - Node IDs in conversation order
+ * @param {Object} [options]
+ * @param {Object} [options.attachmentFiles] - Map of file ID to downloaded attachment filename
+ * @param {boolean} [options.thoughts] - Keep reasoning as 'thinking' messages
+ * @param {boolean} [options.tools] - Keep tool calls and results as 'tool' messages
+ * @param {Object} [options.canvasLinks] - Map of node ID to the canvas link shown where a document was created or updated
+ * @returns {Array<{role: string, content: string, nodeId: string}>}
+ */
+function extractPathMessages(nodes, nodeIds, options = {}) {
+    const attachmentFiles = options.attachmentFiles || null;
+    const collectedNodes = [];
+
+    for (const nodeId of nodeIds) {
+        const node = nodes[nodeId];
+        const msg = node.message;
+
+        // Canvas tool calls are replaced by a link to the reconstructed document
+        if (isCanvasMessage(msg)) {
+            const link = options.canvasLinks?.[nodeId];
+            if (link) {
+                collectedNodes.push({ role: 'canvas', ...link, nodeId });
+            }
+            continue;
+        }
+
+        // Tool transcript: searches, opened pages and Python runs
+        if (options.tools && msg?.content && !msg.metadata?.is_visually_hidden_from_conversation) {
+            const role = msg.author?.role;
+            const isImageOnlyTool = role === 'tool' && msg.author?.name?.startsWith('dalle');
+
+            if (role === 'tool' && !isImageOnlyTool) {
+                collectToolResult(collectedNodes, msg, nodeId, attachmentFiles);
+                continue;
+            }
+            if (role === 'assistant' && collectToolCall(collectedNodes, msg, nodeId)) {
+                continue;
+            }
+        }
+
+        // Generated images arrive in tool messages, which are otherwise skipped.
+        // Keep them as assistant output when the images were downloaded.
+        if (msg?.author?.role === 'tool' && attachmentFiles) {
+            const embeds = (msg.content?.parts || [])
+                .filter(part => part?.content_type === 'image_asset_pointer')
+                .map(part => attachmentFiles[getAssetFileId(part.asset_pointer)])
+                .filter(Boolean)
+                .map(filename => `![[${filename}]]`);
+
+            if (embeds.length > 0) {
+                collectedNodes.push({ role: 'assistant', content: embeds.join('\n'), nodeId });
+            }
+            continue;
+        }
+
+        // Reasoning is skipped below unless it was asked for
+        if (options.thoughts && isReasoningMessage(msg)) {
+            collectReasoningMessage(collectedNodes, msg, nodeId);
+            continue;
+        }
+
         // Process this node if it has a valid message and shouldn't be skipped
-        if (node.message && node.message.content && !shouldSkipMessage(node.message)) {
-            const msg = node.message;
+        if (msg && msg.content && !shouldSkipMessage(msg)) {
             const role = msg.author?.role;
-            let text = extractMessageText(msg.content);
+            let text = extractMessageText(msg.content, attachmentFiles);
 
             // Process citations for assistant messages
             if (role === 'assistant' && msg.metadata) {
                 text = transformCitations(text, msg.metadata);
             }
 
+            if (role === 'user') {
+                text = [text, ...renderFileAttachmentEmbeds(msg, attachmentFiles)].join('\n');
+            }
+
             if (text.trim()) {
-                // Prepend to maintain correct order (we're traversing backwards)
-                collectedNodes.unshift({
+                collectedNodes.push({
                     role: role,
-                    content: text.trim()
+                    content: text.trim(),
+                    nodeId: nodeId
                 });
             }
         }
-
-        // Move to parent
-        currentNodeId = node.parent;
     }
 
-    // Filter to only user and assistant messages for the final output
-    return collectedNodes.filter(msg => msg.role === 'user' || msg.role === 'assistant');
+    // Filter to the roles renderMessageBlocks knows for the final output
+    return collectedNodes.filter(msg => ['user', 'assistant', 'thinking', 'tool', 'canvas'].includes(msg.role));
 }
 
 /**
- * Sanitize a title for use in frontmatter
- * Replaces double quotes with single quotes to avoid YAML parsing issues in Obsidian
+ * Extract messages from conversation in order
+ * Uses the reference implementation approach: start from current_node and traverse backwards via parent
  *
- * @param {string} title - The title to sanitize
- * @returns {string} Title safe for frontmatter (double quotes replaced with single quotes)
+ * @param {Object} conversation
+ * @param {Object} [options]
+ * @param {boolean} [options.thoughts] - Include reasoning as 'thinking' messages
+ * @param {boolean} [options.tools] - Include tool calls and results as 'tool' messages
+ * @param {Object} [options.canvasLinks] - Canvas links by node ID (see buildCanvasFiles)
  */
-function sanitizeTitleForFrontmatter(title) {
-    if (!title) return title;
-    return title.replace(/"/g, "'");
+function extractMessages(conversation, options = {}) {
+    if (!conversation.mapping) {
+        return [];
+    }
+
+    const startNodeId = getCurrentNodeId(conversation);
+    if (!startNodeId) {
+        console.log('[Markdown] No start node found');
+        return [];
+    }
+
+    return extractPathMessages(
+        conversation.mapping,
+        getPathNodeIds(conversation.mapping, startNodeId),
+        { ...options, attachmentFiles: conversation._attachments }
+    );
 }
 
 /**
- * Wrap image_group outputs in code fences
+ * Count your and ChatGPT's messages on the current path of a full conversation
+ * Tool results, reasoning and system messages are not counted
+ */
+function countMessages(conversation) {
+    return extractMessages(conversation)
+        .filter(message => message.role === 'user' || message.role === 'assistant')
+        .length;
+}
+
+/**
+ * Extract the messages added to the current path after a node (append mode)
  *
- * ChatGPT's image_group outputs appear with special Unicode markers:
- * \ue200image_group\ue202{JSON}\ue201
+ * @param {Object} conversation
+ * @param {string} lastNodeId - Last node of the previous export (its current_node)
+ * @param {Object} [options] - Message options, as for extractMessages
+ * @returns {Array|null} The new messages, or null if the node is no longer on
+ *   the current path (a message was edited or regenerated since)
+ */
+function extractMessagesAfter(conversation, lastNodeId, options = {}) {
+    const currentNodeId = getCurrentNodeId(conversation);
+    if (!currentNodeId) {
+        return null;
+    }
+
+    const path = getPathNodeIds(conversation.mapping, currentNodeId);
+    const index = path.indexOf(lastNodeId);
+    if (index === -1) {
+        return null;
+    }
+
+    return extractPathMessages(
+        conversation.mapping,
+        path.slice(index + 1),
+        { ...options, attachmentFiles: conversation._attachments }
+    );
+}
+
+/**
+ * Hash the messages of the current path
+ * Changes when a message is added, edited or regenerated, but not when only
+ * the title, the project or update_time changes
+ *
+ * @param {Object} conversation
+ * @returns {string|null} null for conversations without messages
+ */
+function getContentHash(conversation) {
+    const currentNodeId = getCurrentNodeId(conversation);
+    if (!currentNodeId) {
+        return null;
+    }
+
+    const text = getPathNodeIds(conversation.mapping, currentNodeId)
+        .map(nodeId => `${nodeId}\u0000${JSON.stringify(conversation.mapping[nodeId].message?.content ?? null)}`)
+        .join('\u0001');
+
+    return hashString(text);
+}
+
+/**
+ * Extract the alternate branches of a conversation
+ *
+ * Every regenerated answer and every edited-and-resent prompt creates a
+ * sibling node in the mapping. Each leaf node that is not on the current
+ * path ends one alternate branch. A branch is described by the point where
+ * it forks off the current path and the messages after that fork.
+ *
+ * @param {Object} conversation - The conversation object with mapping
+ * @param {Object} [options] - Message options, as for extractMessages
+ * @returns {Array<{leafNodeId: string, forkAfter: number, kind: string, messages: Array}>}
+ *   forkAfter is the number of current-path messages before the fork (0 = fork before the first message),
+ *   kind is 'edited-prompt' or 'regenerated-answer'
+ */
+function extractBranches(conversation, options = {}) {
+    const currentNodeId = getCurrentNodeId(conversation);
+    if (!currentNodeId) {
+        return [];
+    }
+
+    const nodes = conversation.mapping;
+    const mainPath = getPathNodeIds(nodes, currentNodeId);
+    const mainPathSet = new Set(mainPath);
+    const messageOptions = { ...options, attachmentFiles: conversation._attachments };
+    const mainMessages = extractPathMessages(nodes, mainPath, messageOptions);
+    const branches = [];
+
+    for (const node of Object.values(nodes)) {
+        const isLeaf = !node.children || node.children.length === 0;
+        if (!isLeaf || mainPathSet.has(node.id)) {
+            continue;
+        }
+
+        const path = getPathNodeIds(nodes, node.id);
+        const forkIndex = path.findIndex(nodeId => !mainPathSet.has(nodeId));
+        if (forkIndex === -1) {
+            continue;
+        }
+
+        const messages = extractPathMessages(nodes, path.slice(forkIndex), messageOptions);
+        if (messages.length === 0) {
+            continue;
+        }
+
+        // Count the current-path messages that come before the fork
+        const sharedNodes = new Set(path.slice(0, forkIndex));
+        const forkAfter = mainMessages.filter(msg => sharedNodes.has(msg.nodeId)).length;
+
+        branches.push({
+            leafNodeId: node.id,
+            forkAfter,
+            kind: messages[0].role === 'user' ? 'edited-prompt' : 'regenerated-answer',
+            messages,
+            createTime: nodes[path[forkIndex]].message?.create_time || 0
+        });
+    }
+
+    branches.sort((a, b) => (a.forkAfter - b.forkAfter) || (a.createTime - b.createTime));
+
+    return branches.map(({ createTime, ...branch }) => branch);
+}
+
+/**
+ * Sanitize a title for use in frontmatter
+ * Replaces double quotes with single quotes to avoid YAML parsing issues in Obsidian
+ *
+ * @param {string} title - The title to sanitize
+ * @returns {string} Title safe for frontmatter (double quotes replaced with single quotes)
+ */
+function sanitizeTitleForFrontmatter(title) {
+    if (!title) return title;
+    return title.replace(/"/g, "'");
+}
+
+/**
+ * Make text safe as the alias of a wikilink
+ * Brackets and pipes would end the link early
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toLinkAlias(text) {
+    return text.replace(/[[\]|]/g, ' ').trim();
+}
+
+/**
+ * Wrap image_group outputs in code fences
+ *
+ * ChatGPT's image_group outputs appear with special Unicode markers:
+ * \ue200image_group\ue202{JSON}\ue201
  *
  * This function:
  * 1. Detects lines containing this pattern
@@ -713,92 +1298,56 @@ function wrapImageGroupInCodeFences(text) {
 }
 
 /**
- * Convert conversation to Obsidian-compatible Markdown
+ * Get the title of a thinking message: how long the model thought, when known
  */
-function conversationToMarkdown(conversation) {
-    // Trim title and normalize encoding issues from UTF-16LE JSON files
-    const title = normalizeEncoding((conversation.title || 'Untitled Conversation').trim());
-    // Sanitize title for frontmatter (replace double quotes with single quotes)
-    const frontmatterTitle = sanitizeTitleForFrontmatter(title);
-    const modelSlug = detectModel(conversation);
-    const modelDisplayName = getModelDisplayName(modelSlug);
-    const created = formatTruncatedDate(conversation.create_time);
-    const updated = formatTruncatedDate(conversation.update_time);
-    const conversationId = conversation.conversation_id || conversation.id;
-
-    // Handle project conversations (marked with _projectId and _projectName)
-    const projectId = conversation._projectId;
-    const projectName = conversation._projectName?.trim();
-
-    // Build source URL - different format for project conversations
-    const sourceUrl = projectId
-        ? `https://chatgpt.com/g/${projectId}/c/${conversationId}`
-        : `https://chatgpt.com/c/${conversationId}`;
-
-    // Get chronum from create_time
-    const chronum = getChronum(conversation.create_time);
-
-    // Extract branching info for parent property
-    const branchingInfo = extractBranchingInfo(conversation);
-
-    // Build parent property - empty list item if no parent, or internal link if parent exists
-    let parentProperty = 'parent:\n  - ';
-    if (branchingInfo) {
-        const parentFilename = generateFilename(branchingInfo.parentTitle, branchingInfo.parentId);
-        parentProperty = `parent:\n  - "[[${parentFilename}]]"`;
+function getThinkingTitle(msg) {
+    if (typeof msg.duration === 'number') {
+        return `Thought for ${formatThoughtDuration(msg.duration)}`;
     }
+    return msg.recap?.trim() || 'Thinking';
+}
 
-    // Build aliases property (Modification #6)
-    // First alias: 8-character conversation ID
-    // Second alias: title + space + 8-character ID
-    // Each alias is wrapped in double quotes to ensure Obsidian treats them as strings
-    // (important when the first alias is just 8 hex digits, which could be interpreted as a number)
-    // Note: Use frontmatterTitle (with double quotes replaced by single quotes)
-    const shortId = getShortConversationId(conversationId);
-    const aliasesProperty = shortId
-        ? `aliases:\n  - "${shortId}"\n  - "${frontmatterTitle} ${shortId}"`
-        : 'aliases:\n  - ';
-
-    // Build tags property in YAML list format
-    // gpt-chat is always first; if project exists, add sanitized project tag second
-    let tagsProperty;
-    if (projectName) {
-        const projectTag = sanitizeProjectTag(projectName);
-        tagsProperty = `tags:\n  - gpt-chat\n  - ${projectTag}`;
-    } else {
-        tagsProperty = 'tags:\n  - gpt-chat';
+/**
+ * Render a thinking message as a collapsed `> [!thinking]-` callout
+ * The header shows how long the model thought, when known
+ */
+function renderThinkingCallout(msg) {
+    const lines = [`> [!thinking]- ${getThinkingTitle(msg)}`];
+    if (msg.content) {
+        lines.push(prefixCalloutLines(msg.content));
     }
+    return lines.join('\n');
+}
 
-    // Build YAML frontmatter (new format per spec)
-    // Property order: title, aliases, parent, type, model-name, chronum, created, updated, tags, project, source
-    // Note: Use frontmatterTitle for title property (double quotes replaced with single quotes)
-    const frontmatterLines = [
-        '---',
-        `title: "${frontmatterTitle}"`,
-        aliasesProperty,
-        parentProperty,
-        'type: gpt-chat',
-        `model-name: ${modelSlug}`,
-        `chronum: ${chronum}`,
-        `created: ${created}`,
-        `updated: ${updated}`,
-        tagsProperty,
-    ];
-
-    // Add project property if this is a project conversation
-    if (projectName) {
-        frontmatterLines.push(`project: "${projectName}"`);
+/**
+ * Render a tool transcript entry as a collapsed `> [!tool]-` callout
+ */
+function renderToolCallout(msg) {
+    const lines = [`> [!tool]- ${msg.title}`];
+    if (msg.content) {
+        lines.push(prefixCalloutLines(msg.content));
     }
+    return lines.join('\n');
+}
 
-    frontmatterLines.push(`source: ${sourceUrl}`);
-    frontmatterLines.push('---');
-
-    const frontmatter = frontmatterLines.join('\n');
-
-    // Build message content
-    const messages = extractMessages(conversation);
+/**
+ * Render messages as note body blocks
+ * User messages become `> [!me:]` callouts, assistant messages `#### ChatGPT:` sections,
+ * reasoning `> [!thinking]-` and tool activity `> [!tool]-` callouts and
+ * canvas changes `> [!canvas]` links
+ *
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string} Message blocks separated by blank lines
+ */
+function renderMessageBlocks(messages) {
     const messageBlocks = messages.map((msg, index) => {
-        if (msg.role === 'user') {
+        if (msg.role === 'thinking') {
+            return renderThinkingCallout(msg);
+        } else if (msg.role === 'tool') {
+            return renderToolCallout(msg);
+        } else if (msg.role === 'canvas') {
+            return `> [!canvas] ${msg.content}`;
+        } else if (msg.role === 'user') {
             // Format user messages as Obsidian callouts
             const calloutContent = formatUserContentAsCallout(msg.content);
             return `> [!me:]\n${calloutContent}`;
@@ -817,51 +1366,594 @@ function conversationToMarkdown(conversation) {
         }
     });
 
+    return messageBlocks.join('\n\n');
+}
+
+/**
+ * Prefix every line with `> ` so the text becomes the body of a callout
+ * Unlike formatUserContentAsCallout, code fences are prefixed too, so they stay inside the callout
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function prefixCalloutLines(text) {
+    return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Describe where a branch forks off the current path
+ *
+ * @param {{forkAfter: number, kind: string}} branch - Branch from extractBranches
+ * @returns {string} e.g. "regenerated answer after message 4"
+ */
+function describeBranchFork(branch) {
+    const kind = branch.kind === 'edited-prompt' ? 'edited prompt' : 'regenerated answer';
+    return branch.forkAfter === 0
+        ? `${kind} before the first message`
+        : `${kind} after message ${branch.forkAfter}`;
+}
+
+/**
+ * Render alternate branches as collapsed Obsidian callouts
+ *
+ * @param {Array} branches - Branches from extractBranches
+ * @returns {string} A "Branches" section with one `> [!branch]-` callout per branch
+ */
+function renderBranchCallouts(branches) {
+    const callouts = branches.map((branch, index) => {
+        const header = `> [!branch]- Branch ${index + 2}: ${describeBranchFork(branch)}`;
+        return `${header}\n${prefixCalloutLines(renderMessageBlocks(branch.messages))}`;
+    });
+
+    return ['## Branches', '', callouts.join('\n\n')].join('\n');
+}
+
+/**
+ * Wrap text in a code fence that is longer than any backtick run inside it
+ */
+function fenceCode(text, language = '') {
+    const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Build the files for the canvas documents of a conversation's current path
+ * Each document is saved with its final content next to the conversation note,
+ * optionally with a markdown note holding every version
+ *
+ * @param {Object} conversation
+ * @param {string} basePath - Folder prefix + base filename of the conversation note
+ * @param {boolean} includeHistory - Also write a `_history.md` note per document
+ * @returns {{files: Array<{filename: string, content: string, mimeType: string}>, links: Object}}
+ *   links maps node IDs to {content, title, type, version, versionContent}: the link text shown
+ *   in the conversation note and the document version the node produced
+ */
+function buildCanvasFiles(conversation, basePath, includeHistory) {
+    const currentNodeId = getCurrentNodeId(conversation);
+    if (!currentNodeId) {
+        return { files: [], links: {} };
+    }
+
+    const { documents, events } = extractCanvasDocuments(
+        conversation.mapping,
+        getPathNodeIds(conversation.mapping, currentNodeId)
+    );
+    const files = [];
+    const links = {};
+    const usedNames = new Set();
+
+    for (const doc of documents) {
+        // Keep names unique when several canvases share a title
+        let name = `${basePath}_canvas_${sanitizeFilename(doc.title)}`;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = `${basePath}_canvas_${sanitizeFilename(doc.title)}_${n}`;
+        }
+        usedNames.add(name);
+
+        const extension = getCanvasFileExtension(doc.type);
+        const linkTarget = name.split('/').pop();
+        doc.link = extension === 'md'
+            ? `[[${linkTarget}|${doc.title}]]`
+            : `[[${linkTarget}.${extension}|${doc.title}]]`;
+
+        files.push({
+            filename: `${name}.${extension}`,
+            content: doc.versions[doc.versions.length - 1].content,
+            mimeType: extension === 'md' ? 'text/markdown' : 'text/plain'
+        });
+
+        if (includeHistory) {
+            const language = extension === 'md' ? 'markdown' : doc.type.replace(/^code\//, '');
+            const versions = doc.versions.map((version, index) =>
+                `## Version ${index + 1}\n\n${fenceCode(version.content, language)}`
+            );
+            files.push({
+                filename: `${name}_history.md`,
+                content: [`# ${doc.title} (history)`, '', `Final version: ${doc.link}`, '', versions.join('\n\n')].join('\n'),
+                mimeType: 'text/markdown'
+            });
+        }
+    }
+
+    for (const [nodeId, event] of Object.entries(events)) {
+        links[nodeId] = {
+            content: event.action === 'created'
+                ? `Created canvas ${event.document.link}`
+                : `Updated canvas ${event.document.link} (version ${event.version})`,
+            title: event.document.title,
+            type: event.document.type,
+            version: event.version,
+            versionContent: event.document.versions[event.version - 1].content
+        };
+    }
+
+    return { files, links };
+}
+
+/**
+ * Apply the body escaping of notes (not used for frontmatter)
+ */
+function escapeNoteBody(text) {
+    // Feature #41: Wrap image_group outputs in code fences
+    // This must be done BEFORE hex color escaping so the code fences protect the content
+    return escapeHexColorCodes(wrapImageGroupInCodeFences(text));
+}
+
+/**
+ * Combine frontmatter, title header and message content into a note
+ * @param {boolean} [managed] - Wrap the body in managed-region markers (merge mode, see lib/managed-region.js)
+ */
+function buildNoteContent(frontmatter, title, messagesContent, managed = false) {
     // Build body content (title header + messages)
     // Feature #39: Escape hex color codes ONLY in body content, NOT in frontmatter
     // Backslashes in frontmatter break Obsidian's YAML parsing
-    let bodyContent = [
+    let bodyContent = escapeNoteBody([
         `# ${title}`,
         '',
-        messageBlocks.join('\n\n')
-    ].join('\n');
+        messagesContent
+    ].join('\n'));
 
-    // Feature #41: Wrap image_group outputs in code fences
-    // This must be done BEFORE hex color escaping so the code fences protect the content
-    bodyContent = wrapImageGroupInCodeFences(bodyContent);
-
-    // Apply hex color code escaping only to body content
-    bodyContent = escapeHexColorCodes(bodyContent);
+    if (managed) {
+        bodyContent = wrapManagedRegion(bodyContent);
+    }
 
     // Combine frontmatter and body
-    const markdown = [
+    return [
         frontmatter,
         '',
         bodyContent
     ].join('\n');
+}
+
+/**
+ * Get the note name of another conversation for links to it (e.g. the branch parent)
+ * Only the title and ID are known, so the creation date comes from the ID and
+ * the project is assumed to be the one of the linking conversation.
+ * Obsidian resolves links by note name, so the folder does not matter.
+ *
+ * @param {string} title
+ * @param {string} conversationId
+ * @param {Object} context - {projectName, modelSlug} of the linking conversation
+ * @param {Object} [options] - Path pattern settings (pathPattern, pathSpaces, pathCase)
+ */
+function getLinkedNoteName(title, conversationId, context, options = {}) {
+    return buildNotePath({
+        title: normalizeEncoding(title),
+        conversationId,
+        projectName: context.projectName ? normalizeEncoding(context.projectName) : '',
+        modelSlug: context.modelSlug
+    }, options).baseName;
+}
+
+/**
+ * Get where a conversation's files are written, without extension
+ * Every format uses it (".md", ".html", ".txt"), as do branch notes and canvas files as prefix
+ *
+ * @param {Object} conversation
+ * @param {Object} [options] - Path pattern settings (pathPattern, pathSpaces, pathCase)
+ * @returns {string} e.g. "My_Project/My_Chat_6981fddd"
+ */
+function getNotePath(conversation, options = {}) {
+    const { folder, baseName } = resolveNotePath(conversation, options);
+    return `${folder}${baseName}`;
+}
+
+/**
+ * Get the folder of a project from the note paths of its conversations
+ * That is the folder up to the project's own folder (the `{project}` or
+ * `{project-slug}` part of the path pattern), so notes about the project land
+ * next to its conversations. Without such a part, the folder of a conversation.
+ * Conversations below the Archived folder are only used if there are no others.
+ *
+ * @param {string[]} notePaths - Note paths of the project's conversations (see getNotePath)
+ * @param {string} projectName
+ * @param {Object} [options] - Path pattern settings (pathPattern, pathSpaces, pathCase)
+ * @returns {string} e.g. "Chats/My_Project/", '' for the root
+ */
+function getProjectFolder(notePaths, projectName, options = {}) {
+    const active = notePaths.filter(path => !path.startsWith(`${ARCHIVED_FOLDER}/`));
+    const notePath = active[0] || notePaths[0];
+    if (!notePath) {
+        return '';
+    }
+
+    const folders = notePath.split('/').slice(0, -1);
+    const info = { title: '', conversationId: '', projectName: normalizeEncoding(projectName.trim()) };
+    const projectSegments = ['{project}', '{project-slug}']
+        .map(pathPattern => buildNotePath(info, { ...options, pathPattern }).baseName);
+
+    let end = folders.length;
+    for (let i = folders.length - 1; i >= 0; i--) {
+        if (projectSegments.includes(folders[i])) {
+            end = i + 1;
+            break;
+        }
+    }
+    return end > 0 ? `${folders.slice(0, end).join('/')}/` : '';
+}
+
+/**
+ * Build the folder and base name of a conversation's files from the path pattern
+ * (default: project folder + generateFilename). Parent links use the same pattern, see getLinkedNoteName
+ * With options.archivedFolder, archived conversations go below the Archived folder
+ */
+function resolveNotePath(conversation, options) {
+    const projectName = conversation._projectName?.trim();
+    const gptName = getCustomGptName(conversation);
+    const path = buildNotePath({
+        title: normalizeEncoding((conversation.title || 'Untitled Conversation').trim()),
+        conversationId: conversation.conversation_id || conversation.id,
+        createTime: conversation.create_time,
+        projectName: projectName ? normalizeEncoding(projectName) : '',
+        gptName,
+        modelSlug: detectModel(conversation)
+    }, options);
+
+    // Project conversations stay in their project folder
+    if (options.gptFolders && gptName && !projectName) {
+        const gptFolder = sanitizePathText(gptName, options.pathSpaces);
+        path.folder = `${options.pathCase === 'lower' ? gptFolder.toLowerCase() : gptFolder}/${path.folder}`;
+    }
+    if (options.archivedFolder && isArchivedConversation(conversation)) {
+        path.folder = `${ARCHIVED_FOLDER}/${path.folder}`;
+    }
+    return path;
+}
+
+/**
+ * Get the ID of the custom GPT a conversation was held with
+ * Custom GPTs are gizmos like projects, but their IDs do not start with g-p-
+ *
+ * @param {Object} conversation
+ * @returns {string|null} e.g. "g-2DQzU5UZl"
+ */
+function getCustomGptId(conversation) {
+    const gizmoId = conversation.gizmo_id || conversation.conversation_template_id;
+    if (typeof gizmoId !== 'string' || !gizmoId.startsWith('g-') || gizmoId.startsWith('g-p-')) {
+        return null;
+    }
+    return gizmoId;
+}
 
-    // Build file path with project folder if applicable
-    // Use generateFilename for consistency with parent links
-    const baseFilename = generateFilename(title, conversationId) + '.md';
-    let filepath = baseFilename;
+/**
+ * Get the name of a conversation's custom GPT
+ * The name is looked up by the exporter (`conversation._gptName`); the ID stands in without it
+ *
+ * @returns {string} Empty for conversations without custom GPT
+ */
+function getCustomGptName(conversation) {
+    const gptId = getCustomGptId(conversation);
+    if (!gptId) {
+        return '';
+    }
+    return normalizeEncoding(conversation._gptName?.trim() || gptId);
+}
 
-    if (projectName) {
-        // Put project conversations in their project folder
-        const projectFolder = sanitizeFilename(projectName);
-        filepath = `${projectFolder}/${baseFilename}`;
+/**
+ * Check whether a conversation is archived in ChatGPT
+ * Full conversations and official exports carry is_archived; list entries
+ * from the archived list are marked with _archived
+ */
+function isArchivedConversation(conversation) {
+    return !!(conversation.is_archived || conversation._archived);
+}
+
+/**
+ * Pick the frontmatter template of a note
+ * A custom template that renders invalid YAML for this conversation, or uses
+ * unknown placeholders, would break the note's properties. The default
+ * template is used instead, with a warning.
+ *
+ * @param {string} template - Custom template, or empty for the default
+ * @param {Object} variables - Placeholder values of the note
+ * @returns {string} The template to render
+ */
+function selectFrontmatterTemplate(template, variables) {
+    if (!template) {
+        return DEFAULT_FRONTMATTER_TEMPLATE;
+    }
+
+    const errors = [
+        ...findUnknownPlaceholders(template).map(name => `Unknown placeholder {{${name}}}`),
+        ...validateFrontmatterYaml(renderFrontmatterTemplate(template, variables))
+    ];
+    if (errors.length === 0) {
+        return template;
+    }
+    if (!rejectedTemplates.has(template)) {
+        rejectedTemplates.add(template);
+        console.warn(`[Markdown] Frontmatter template is not valid, using the default template: ${errors.join('; ')}`);
+    }
+    return DEFAULT_FRONTMATTER_TEMPLATE;
+}
+
+/**
+ * Collect what every export format needs from a conversation: title, IDs,
+ * source URL, output path and the messages of the current path
+ *
+ * @param {Object} conversation - Full conversation object
+ * @param {Object} [options] - Render options, as for conversationToMarkdown (incl. path pattern settings)
+ * @returns {Object} {title, conversationId, projectId, projectName, gptId, gptName, sourceUrl, modelSlug,
+ *   baseName, folderPrefix, canvasFiles, messageOptions, messages}
+ */
+function prepareConversation(conversation, options = {}) {
+    // Trim title and normalize encoding issues from UTF-16LE JSON files
+    const title = normalizeEncoding((conversation.title || 'Untitled Conversation').trim());
+    const conversationId = conversation.conversation_id || conversation.id;
+
+    // Handle project conversations (marked with _projectId and _projectName)
+    const projectId = conversation._projectId;
+    const projectName = conversation._projectName?.trim();
+
+    // Conversations with a custom GPT (name looked up into _gptName)
+    const gptId = getCustomGptId(conversation);
+    const gptName = getCustomGptName(conversation);
+
+    // Build source URL - different format for project and custom GPT conversations
+    const gizmoId = projectId || gptId;
+    const sourceUrl = gizmoId
+        ? `https://chatgpt.com/g/${gizmoId}/c/${conversationId}`
+        : `https://chatgpt.com/c/${conversationId}`;
+
+    const modelSlug = detectModel(conversation);
+    const { folder: folderPrefix, baseName } = resolveNotePath(conversation, options);
+
+    const canvas = buildCanvasFiles(conversation, `${folderPrefix}${baseName}`, !!options.canvasHistory);
+
+    const messageOptions = {
+        thoughts: !!options.thoughts,
+        tools: !!options.tools,
+        canvasLinks: canvas.links
+    };
+
+    return {
+        title,
+        conversationId,
+        projectId,
+        projectName,
+        gptId,
+        gptName,
+        sourceUrl,
+        modelSlug,
+        baseName,
+        folderPrefix,
+        canvasFiles: canvas.files,
+        messageOptions,
+        messages: extractMessages(conversation, messageOptions)
+    };
+}
+
+/**
+ * Convert conversation to Obsidian-compatible Markdown
+ *
+ * @param {Object} conversation - Full conversation object
+ * @param {Object} [options]
+ * @param {string} [options.branches] - 'current' (default) exports only the current_node path,
+ *   'callouts' adds the other branches as collapsed callouts, 'files' writes one extra note per branch
+ * @param {boolean} [options.thoughts] - Render reasoning (thoughts) as collapsed callouts above the answers
+ * @param {boolean} [options.tools] - Render web searches, opened pages and Python runs as collapsed callouts
+ * @param {boolean} [options.canvasHistory] - Also write every version of each canvas document to a history note
+ * @param {string} [options.frontmatterTemplate] - Frontmatter template (see lib/frontmatter-template.js), default if
+ *   empty or if it does not render valid YAML for the conversation
+ * @param {boolean} [options.templateFallback] - false renders the template even if invalid (for the template preview)
+ * @param {string} [options.pathPattern] - File path pattern (see lib/path-pattern.js), default if empty
+ * @param {string} [options.pathSpaces] - How spaces in titles are written: 'underscore' (default), 'hyphen' or 'space'
+ * @param {string} [options.pathCase] - 'keep' (default) or 'lower'
+ * @param {boolean} [options.archivedFolder] - Put archived conversations below an Archived folder
+ * @param {boolean} [options.gptFolders] - Put custom GPT conversations (outside projects) in a folder per GPT
+ * @param {boolean} [options.gptTags] - Tag custom GPT conversations with the GPT's name
+ * @param {boolean} [options.managedRegion] - Mark the part of the note the exporter owns, so re-exports
+ *   can keep the user's edits (see lib/managed-region.js)
+ * @param {Object} [options.appendAfter] - Conversation ID -> last exported node ID (append mode). If the
+ *   node is still on the current path, the new messages after it are returned in `append` as well
+ *
+ * Canvas documents are always written next to the note with their final content
+ * and linked where they were created or updated.
+ *
+ * Attachments downloaded by the exporter are passed in `conversation._attachments`
+ * (file ID -> attachment filename) and embedded as `![[filename]]`.
+ * Earlier note names (`conversation._previousNames`) are added to the aliases.
+ * @returns {{filename: string, content: string, extraFiles: Array<{filename: string, content: string, mimeType: string}>,
+ *   append: {content: string, patch: {filename: string, content: string}}|null}}
+ *   append holds the new messages to add to the existing note and a patch note with just them
+ */
+function conversationToMarkdown(conversation, options = {}) {
+    const prepared = prepareConversation(conversation, options);
+    const { title, conversationId, projectName, gptId, gptName, sourceUrl, modelSlug, baseName, folderPrefix, messageOptions, messages } = prepared;
+    // Sanitize title for frontmatter (replace double quotes with single quotes)
+    const frontmatterTitle = sanitizeTitleForFrontmatter(title);
+    const created = formatTruncatedDate(conversation.create_time);
+    const updated = formatTruncatedDate(conversation.update_time);
+
+    // Get chronum from create_time
+    const chronum = getChronum(conversation.create_time);
+
+    // Extract branching info for parent property
+    const branchingInfo = extractBranchingInfo(conversation);
+
+    // Build parent list - empty if no parent, or internal link if parent exists
+    const parentLinks = [];
+    if (branchingInfo) {
+        const parentFilename = getLinkedNoteName(branchingInfo.parentTitle, branchingInfo.parentId, prepared, options);
+        parentLinks.push(`"[[${parentFilename}]]"`);
+    }
+
+    // Build aliases list (Modification #6)
+    // First alias: 8-character conversation ID
+    // Second alias: title + space + 8-character ID
+    // Each alias is wrapped in double quotes to ensure Obsidian treats them as strings
+    // (important when the first alias is just 8 hex digits, which could be interpreted as a number)
+    // Note: Use frontmatterTitle (with double quotes replaced by single quotes)
+    const shortId = getShortConversationId(conversationId);
+    const aliases = shortId ? [`"${shortId}"`, `"${frontmatterTitle} ${shortId}"`] : [];
+
+    // Earlier note names of renamed or moved conversations (see sync/renames.js),
+    // so links to the old name keep finding the note
+    for (const previousName of conversation._previousNames || []) {
+        aliases.push(`"${sanitizeTitleForFrontmatter(previousName)}"`);
+    }
+
+    // Build tags list
+    // gpt-chat is always first; if project exists, add sanitized project tag second
+    const projectTag = projectName ? sanitizeProjectTag(projectName) : '';
+    const tags = projectTag ? [BASE_TAG, projectTag] : [BASE_TAG];
+    // With options.gptTags, custom GPT conversations get a tag of the GPT's name, like projects
+    const gptTag = options.gptTags && gptName ? sanitizeProjectTag(gptName) : '';
+    if (gptTag && !tags.includes(gptTag)) {
+        tags.push(gptTag);
+    }
+
+    // Message statistics count your and ChatGPT's messages only
+    const conversationMessages = messages.filter(msg => msg.role === 'user' || msg.role === 'assistant');
+    const wordCount = conversationMessages
+        .reduce((sum, msg) => sum + (msg.content.match(/\S+/g) || []).length, 0);
+
+    // Build YAML frontmatter from the template (see lib/frontmatter-template.js)
+    // Default property order: title, aliases, parent, type, model-name, chronum, created, updated, tags, project, gpt, gpt-id, gpt-url, source, archived
+    // Note: Use frontmatterTitle for title property (double quotes replaced with single quotes)
+    // Branch notes (see below) reuse this with their own title, aliases and parent
+    const templateVariables = {
+        title: frontmatterTitle,
+        aliases,
+        parent: parentLinks,
+        tags,
+        model: modelSlug,
+        modelName: getModelDisplayName(modelSlug),
+        chronum,
+        created,
+        updated,
+        exported: formatTruncatedDate(Date.now() / 1000),
+        project: projectName || '',
+        projectTag,
+        gpt: gptName ? sanitizeTitleForFrontmatter(gptName) : '',
+        gptId: gptId || '',
+        gptUrl: gptId ? `https://chatgpt.com/g/${gptId}` : '',
+        source: sourceUrl,
+        conversationId,
+        shortId,
+        messageCount: conversationMessages.length,
+        wordCount,
+        archived: isArchivedConversation(conversation) ? true : ''
+    };
+    const template = options.templateFallback === false
+        ? options.frontmatterTemplate || DEFAULT_FRONTMATTER_TEMPLATE
+        : selectFrontmatterTemplate(options.frontmatterTemplate, templateVariables);
+    const buildFrontmatter = (overrides = {}) => [
+        '---',
+        renderFrontmatterTemplate(template, { ...templateVariables, ...overrides }),
+        '---'
+    ].join('\n');
+
+    const frontmatter = buildFrontmatter();
+    const filepath = `${folderPrefix}${baseName}.md`;
+
+    // Build message content
+    let messagesContent = renderMessageBlocks(messages);
+
+    const branches = options.branches === 'callouts' || options.branches === 'files'
+        ? extractBranches(conversation, messageOptions)
+        : [];
+
+    if (options.branches === 'callouts' && branches.length > 0) {
+        messagesContent += '\n\n' + renderBranchCallouts(branches);
+    }
+
+    const markdown = buildNoteContent(frontmatter, title, messagesContent, !!options.managedRegion);
+
+    // One extra note per alternate branch: the current path up to the fork,
+    // followed by the branch's own messages. Each links back to the main note.
+    const extraFiles = [...prepared.canvasFiles];
+    if (options.branches === 'files') {
+        branches.forEach((branch, index) => {
+            const branchNumber = index + 2; // The current path is branch 1
+            const branchTitle = `${title} (branch ${branchNumber})`;
+            const branchFrontmatter = buildFrontmatter({
+                title: sanitizeTitleForFrontmatter(branchTitle),
+                aliases: [],
+                parent: [`"[[${baseName}]]"`]
+            });
+            const branchMessages = messages.slice(0, branch.forkAfter).concat(branch.messages);
+
+            extraFiles.push({
+                filename: `${folderPrefix}${baseName}_branch${branchNumber}.md`,
+                content: buildNoteContent(branchFrontmatter, branchTitle, renderMessageBlocks(branchMessages), !!options.managedRegion),
+                mimeType: 'text/markdown'
+            });
+        });
+    }
+
+    // Append mode: only when the previous export is still part of the current path
+    // (branch callouts and branch notes are always rewritten completely)
+    let append = null;
+    const lastNodeId = options.appendAfter?.[conversationId];
+    if (lastNodeId && !branches.length) {
+        const newMessages = extractMessagesAfter(conversation, lastNodeId, messageOptions);
+        if (newMessages?.length > 0) {
+            const content = escapeNoteBody(renderMessageBlocks(newMessages));
+            append = {
+                content,
+                patch: {
+                    filename: `${folderPrefix}${baseName}_update_${updated.replace('T', '_').replace(':', '')}.md`,
+                    content: [
+                        `# ${title} (new messages)`,
+                        '',
+                        `New messages since the last export of [[${baseName}]].`,
+                        '',
+                        content
+                    ].join('\n')
+                }
+            };
+        }
     }
 
     return {
         filename: filepath,
-        content: markdown
+        content: markdown,
+        extraFiles,
+        append
     };
 }
 
 export {
     sanitizeFilename,
+    getNotePath,
+    getProjectFolder,
+    getCustomGptId,
+    prepareConversation,
+    getThinkingTitle,
+    getModelDisplayName,
+    detectModel,
     sanitizeProjectTag,
     conversationToMarkdown,
     extractMessages,
+    extractMessagesAfter,
+    countMessages,
+    getContentHash,
+    extractBranches,
+    extractAttachmentRefs,
+    buildAttachmentFilename,
+    getAssetFileId,
     formatDate,
     formatTruncatedDate,
     getShortConversationId,
@@ -871,5 +1963,6 @@ export {
     formatUserContentAsCallout,
     escapeHexColorCodes,
     sanitizeTitleForFrontmatter,
+    toLinkAlias,
     wrapImageGroupInCodeFences
 };
@@ -0,0 +1,115 @@
+/**
+ * Official Data Export Module
+ * Reads the ZIP or conversations.json from ChatGPT's "Export data" (Settings >
+ * Data controls) so it can be converted without a ChatGPT tab or API calls
+ *
+ * The conversations in that file have the same mapping/current_node structure
+ * the API returns. Project names are not part of it; project conversations
+ * only carry their project ID.
+ */
+
+import { extractAttachmentRefs } from './markdown.js';
+
+/**
+ * Decode a JSON file's bytes
+ * Handles UTF-16LE (with BOM, as written by some tools on Windows) and UTF-8 with or without BOM
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeJsonBytes(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+    }
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return new TextDecoder('utf-8').decode(bytes.subarray(3));
+    }
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Find the conversation files in the file list of an export ZIP
+ * Large accounts get their conversations split into conversations-000.json, conversations-001.json, ...
+ *
+ * @param {string[]} paths - Paths of the files in the ZIP
+ * @returns {string[]} Matching paths in order, empty if there are none
+ */
+function findConversationFiles(paths) {
+    return paths
+        .filter(path => /(^|\/)conversations(-\d+)?\.json$/i.test(path))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+/**
+ * Parse the conversations of an official export
+ * Also accepts the JSON backup written by this extension ({conversations: [...]})
+ *
+ * @param {string} text - Content of conversations.json
+ * @returns {Array} Conversations ready for the export formats
+ */
+function parseOfficialExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+
+    const conversations = Array.isArray(data) ? data : data?.conversations;
+    if (!Array.isArray(conversations)) {
+        throw new Error('No conversations found. Choose the ZIP from ChatGPT\'s "Export data" or its conversations.json.');
+    }
+
+    return conversations
+        .filter(conversation => conversation?.mapping && (conversation.conversation_id || conversation.id))
+        .map(conversation => {
+            const imported = {
+                ...conversation,
+                conversation_id: conversation.conversation_id || conversation.id
+            };
+
+            // Project conversations are started from the project's template
+            const templateId = conversation.conversation_template_id || conversation.gizmo_id;
+            if (!imported._projectId && typeof templateId === 'string' && templateId.startsWith('g-p-')) {
+                imported._projectId = templateId;
+            }
+
+            return imported;
+        });
+}
+
+/**
+ * Find the files of a conversation's attachments in an export ZIP
+ * Exported files are named after their file ID, followed by the original name
+ * (e.g. "file-AbC123-report.pdf" or "dalle-generations/file_00ab-3f2c.webp")
+ *
+ * @param {Object} conversation
+ * @param {string[]} paths - Paths of the files in the ZIP
+ * @param {Object} [types] - Which kinds to include: {images, generated, files}
+ * @returns {Array<{ref: Object, path: string, fileName: string}>} fileName is the original name, if any
+ */
+function findExportAttachments(conversation, paths, types) {
+    const byFileId = new Map();
+    for (const path of paths) {
+        const match = path.split('/').pop().match(/^(file[-_][A-Za-z0-9]+)(?:-(.+)|(\.[A-Za-z0-9]+))?$/);
+        if (match && !byFileId.has(match[1])) {
+            byFileId.set(match[1], { path, name: match[2] || '', extension: match[3] || '' });
+        }
+    }
+
+    return extractAttachmentRefs(conversation, types)
+        .filter(ref => byFileId.has(ref.fileId))
+        .map(ref => {
+            const { path, name, extension } = byFileId.get(ref.fileId);
+            // Without an original name, keep at least the extension
+            const fallback = extension ? `${ref.kind === 'generated' ? 'generated-image' : 'image'}${extension}` : '';
+            return { ref, path, fileName: name || fallback };
+        });
+}
+
+export {
+    decodeJsonBytes,
+    findConversationFiles,
+    parseOfficialExport,
+    findExportAttachments
+};
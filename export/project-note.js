@@ -0,0 +1,133 @@
+/**
+ * Project Note
+ * Builds the `_Project.md` note written into each project folder, with the
+ * project's description, its custom instructions in a callout and its
+ * uploaded knowledge files (linked when they were downloaded)
+ *
+ * Projects are gizmos with IDs starting with "g-p-"; their details come from
+ * the same /gizmos/{id} endpoint as custom GPTs.
+ */
+
+import { buildAttachmentFilename, sanitizeProjectTag, sanitizeTitleForFrontmatter, toLinkAlias } from './markdown.js';
+
+const PROJECT_NOTE_NAME = '_Project.md';
+
+/**
+ * Check whether a gizmo ID belongs to a project
+ */
+function isProjectId(gizmoId) {
+    return typeof gizmoId === 'string' && gizmoId.startsWith('g-p-');
+}
+
+/**
+ * Pick what the project note needs from a /gizmos/{id} response
+ *
+ * @param {Object} response - {gizmo: {id, display: {name, description}, instructions}, files: [...]}
+ * @param {string} [fallbackName] - Name from the project list, if the response has none
+ * @param {string} [fallbackId] - The requested project ID, if the response has none
+ * @returns {{id: string, name: string, description: string, instructions: string, files: Array}}
+ */
+function parseProjectDetails(response, fallbackName = '', fallbackId = '') {
+    const gizmo = response?.gizmo?.gizmo || response?.gizmo || response || {};
+    const files = (response?.files || gizmo.files || [])
+        .map(file => ({
+            fileId: file.file_id || file.id,
+            name: file.name || file.file_name || null,
+            size: file.size || null,
+            mimeType: file.type || file.mime_type || ''
+        }))
+        .filter(file => file.fileId);
+
+    const id = gizmo.id || fallbackId;
+    return {
+        id,
+        name: gizmo.display?.name || fallbackName || id,
+        description: gizmo.display?.description || '',
+        instructions: gizmo.instructions || '',
+        files
+    };
+}
+
+/**
+ * Get the name a project file is saved under in the project's attachments folder
+ */
+function getProjectFileName(file, mimeType = '', downloadName = '') {
+    return buildAttachmentFilename({ fileId: file.fileId, kind: 'file', name: file.name }, mimeType, downloadName);
+}
+
+/**
+ * Format a file size for the file list
+ */
+function formatFileSize(bytes) {
+    if (!bytes) {
+        return '';
+    }
+    if (bytes < 1024 * 1024) {
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Build the `_Project.md` note of a project
+ *
+ * @param {Object} project - From parseProjectDetails
+ * @param {string} folder - The project's folder (see getProjectFolder in export/markdown.js)
+ * @param {Object} [savedFiles] - File ID -> name in the attachments folder, for downloaded files
+ * @returns {{filename: string, content: string, mimeType: string}}
+ */
+function buildProjectNote(project, folder, savedFiles = {}) {
+    const tag = sanitizeProjectTag(project.name);
+    const lines = [
+        '---',
+        'type: gpt-project',
+        `project: "${sanitizeTitleForFrontmatter(project.name)}"`,
+        `project-id: ${project.id}`,
+        `project-url: https://chatgpt.com/g/${project.id}/project`,
+        'tags:',
+        '  - gpt-project',
+        ...(tag ? [`  - ${tag}`] : []),
+        `updated: ${new Date().toISOString().slice(0, 16)}`,
+        '---',
+        '',
+        `# ${project.name}`
+    ];
+
+    if (project.description) {
+        lines.push('', project.description);
+    }
+
+    lines.push('', '> [!info] Instructions');
+    if (project.instructions) {
+        lines.push(...project.instructions.split('\n').map(line => (line ? `> ${line}` : '>')));
+    } else {
+        lines.push('> No instructions set.');
+    }
+
+    lines.push('', '## Files', '');
+    if (project.files.length === 0) {
+        lines.push('None.');
+    }
+    for (const file of project.files) {
+        const label = file.name || file.fileId;
+        const size = formatFileSize(file.size);
+        const details = size ? ` (${size})` : '';
+        lines.push(savedFiles[file.fileId]
+            ? `- [[${savedFiles[file.fileId]}|${toLinkAlias(label)}]]${details}`
+            : `- ${label}${details} - not downloaded`);
+    }
+
+    return {
+        filename: `${folder}${PROJECT_NOTE_NAME}`,
+        content: lines.join('\n') + '\n',
+        mimeType: 'text/markdown'
+    };
+}
+
+export {
+    PROJECT_NOTE_NAME,
+    isProjectId,
+    parseProjectDetails,
+    getProjectFileName,
+    buildProjectNote
+};
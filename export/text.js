@@ -0,0 +1,86 @@
+/**
+ * Plain Text Export Module
+ * Converts a ChatGPT conversation to a readable plain-text transcript
+ */
+
+import { prepareConversation, getThinkingTitle, getModelDisplayName, formatTruncatedDate } from './markdown.js';
+
+const SEPARATOR = '-'.repeat(60);
+
+/**
+ * Replace Obsidian links with plain text
+ * `![[file.png]]` -> "[Attachment: file.png]", `[[target|label]]` -> "label"
+ */
+function stripWikilinks(text) {
+    return text
+        .replace(/!\[\[([^\]|]+)(?:\|[^\]]+)?\]\]/g, '[Attachment: $1]')
+        .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (m, target, label) => label || target);
+}
+
+/**
+ * Indent every line of a block
+ */
+function indent(text, prefix = '    ') {
+    return text.split('\n').map(line => line ? `${prefix}${line}` : line).join('\n');
+}
+
+/**
+ * Render one message as a transcript block
+ */
+function renderMessage(msg) {
+    if (msg.role === 'thinking') {
+        return msg.content
+            ? `[${getThinkingTitle(msg)}]\n${indent(msg.content)}`
+            : `[${getThinkingTitle(msg)}]`;
+    }
+    if (msg.role === 'tool') {
+        return `[${msg.title}]\n${indent(msg.content || '')}`;
+    }
+    if (msg.role === 'canvas') {
+        const action = msg.version === 1 ? 'Created canvas' : `Updated canvas (version ${msg.version})`;
+        return `[${action}: ${msg.title}]\n${indent(msg.versionContent)}`;
+    }
+
+    const speaker = msg.role === 'user' ? 'You' : 'ChatGPT';
+    return `${speaker}:\n${stripWikilinks(msg.content)}`;
+}
+
+/**
+ * Convert conversation to a plain-text transcript
+ *
+ * @param {Object} conversation - Full conversation object
+ * @param {Object} [options] - Render options, as for conversationToMarkdown (thoughts, tools)
+ * @returns {{filename: string, content: string}}
+ */
+function conversationToText(conversation, options = {}) {
+    const prepared = prepareConversation(conversation, options);
+    const { title, sourceUrl, modelSlug, baseName, folderPrefix, messages } = prepared;
+
+    const header = [
+        title,
+        '='.repeat(Math.min(title.length, 60) || 3),
+        `Model: ${getModelDisplayName(modelSlug)}`,
+        `Created: ${formatTruncatedDate(conversation.create_time).replace('T', ' ')}`,
+        `Updated: ${formatTruncatedDate(conversation.update_time).replace('T', ' ')}`
+    ];
+    if (prepared.projectName) {
+        header.push(`Project: ${prepared.projectName}`);
+    }
+    header.push(`Source: ${sourceUrl}`);
+
+    const content = [
+        header.join('\n'),
+        SEPARATOR,
+        messages.map(renderMessage).join('\n\n'),
+        ''
+    ].join('\n\n');
+
+    return {
+        filename: `${folderPrefix}${baseName}.txt`,
+        content
+    };
+}
+
+export {
+    conversationToText
+};
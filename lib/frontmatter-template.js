@@ -0,0 +1,278 @@
+/**
+ * Frontmatter Template
+ * Renders the YAML frontmatter of exported notes from a user-editable template
+ * and checks that the result is valid YAML
+ *
+ * Placeholders are written as {{name}}. Scalar placeholders are replaced in
+ * place; a line whose placeholders are all empty is left out (so `project:`
+ * only appears for project conversations). List placeholders (aliases, parent,
+ * tags) expand to YAML block lists, either as a whole property
+ * (`tags: {{tags}}`) or as items among static ones (`  - {{tags}}`).
+ * An empty list property is written as `[]`, or with one empty item for lists
+ * marked emptyItem (`parent:`, as in notes of earlier versions).
+ */
+
+/**
+ * The built-in template, matching the default frontmatter of the exporter
+ */
+const DEFAULT_FRONTMATTER_TEMPLATE = [
+    'title: "{{title}}"',
+    'aliases: {{aliases}}',
+    'parent: {{parent}}',
+    'type: gpt-chat',
+    'model-name: {{model}}',
+    'chronum: {{chronum}}',
+    'created: {{created}}',
+    'updated: {{updated}}',
+    'tags: {{tags}}',
+    'project: "{{project}}"',
+    'gpt: "{{gpt}}"',
+    'gpt-id: {{gptId}}',
+    'gpt-url: {{gptUrl}}',
+    'source: {{source}}',
+    'archived: {{archived}}'
+].join('\n');
+
+/**
+ * Placeholders available in templates
+ */
+const TEMPLATE_VARIABLES = [
+    { name: 'title', description: 'Conversation title (double quotes replaced with single quotes)' },
+    { name: 'aliases', description: 'List: short ID and "title short-ID", quoted', list: true },
+    { name: 'parent', description: 'List: link to the conversation this one was branched from', list: true, emptyItem: true },
+    { name: 'tags', description: 'List: gpt-chat and the project tag', list: true },
+    { name: 'model', description: 'Model slug, e.g. gpt-4o' },
+    { name: 'modelName', description: 'Model display name, e.g. GPT-4o' },
+    { name: 'chronum', description: 'Creation time as a sortable number' },
+    { name: 'created', description: 'Creation time (YYYY-MM-DDTHH:MM)' },
+    { name: 'updated', description: 'Last update time (YYYY-MM-DDTHH:MM)' },
+    { name: 'exported', description: 'Time of the export (YYYY-MM-DDTHH:MM)' },
+    { name: 'project', description: 'Project name (empty outside projects)' },
+    { name: 'projectTag', description: 'Project name as a tag' },
+    { name: 'gpt', description: 'Name of the custom GPT (empty for other conversations)' },
+    { name: 'gptId', description: 'ID of the custom GPT, e.g. g-2DQzU5UZl' },
+    { name: 'gptUrl', description: 'Link to the custom GPT on chatgpt.com' },
+    { name: 'source', description: 'Link to the conversation on chatgpt.com' },
+    { name: 'conversationId', description: 'Full conversation ID' },
+    { name: 'shortId', description: 'First 8 characters of the conversation ID' },
+    { name: 'messageCount', description: 'Number of messages (yours and ChatGPT\'s)' },
+    { name: 'wordCount', description: 'Number of words in those messages' },
+    { name: 'archived', description: 'true for conversations archived in ChatGPT (empty otherwise)' }
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const EMPTY_ITEM_LISTS = new Set(TEMPLATE_VARIABLES.filter(variable => variable.emptyItem).map(variable => variable.name));
+
+/**
+ * Check whether a placeholder value counts as empty
+ * null is a value: it renders as YAML null (e.g. `chronum: null` without a creation time)
+ */
+function isEmptyValue(value) {
+    return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render a frontmatter template (without the --- delimiters)
+ *
+ * @param {string} template
+ * @param {Object} variables - Placeholder name -> string, number or array of preformatted YAML scalars
+ * @returns {string} YAML
+ */
+function renderFrontmatterTemplate(template, variables) {
+    const output = [];
+
+    for (const line of template.split('\n')) {
+        const names = [...line.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+        if (names.length === 0) {
+            output.push(line);
+            continue;
+        }
+
+        // `  - {{list}}`: one item per value, nothing if the list is empty
+        const itemMatch = line.match(/^(\s*)-\s*\{\{\s*(\w+)\s*\}\}\s*$/);
+        if (itemMatch && Array.isArray(variables[itemMatch[2]])) {
+            for (const item of variables[itemMatch[2]]) {
+                output.push(`${itemMatch[1]}- ${item}`);
+            }
+            continue;
+        }
+
+        // `key: {{list}}`: a block list, `[]` (or an empty item) if the list is empty
+        const propertyMatch = line.match(/^(\s*)([^\s#:][^:]*):\s*\{\{\s*(\w+)\s*\}\}\s*$/);
+        if (propertyMatch && Array.isArray(variables[propertyMatch[3]])) {
+            const [, indent, key, name] = propertyMatch;
+            const items = variables[name];
+            if (items.length === 0 && !EMPTY_ITEM_LISTS.has(name)) {
+                output.push(`${indent}${key}: []`);
+                continue;
+            }
+            output.push(`${indent}${key}:`);
+            if (items.length === 0) {
+                output.push(`${indent}  - `);
+            }
+            for (const item of items) {
+                output.push(`${indent}  - ${item}`);
+            }
+            continue;
+        }
+
+        if (names.every(name => isEmptyValue(variables[name]))) {
+            continue;
+        }
+
+        output.push(line.replace(PLACEHOLDER_PATTERN, (match, name) => {
+            const value = variables[name];
+            if (isEmptyValue(value)) {
+                return '';
+            }
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        }));
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * Find placeholders in a template that are not known variables
+ *
+ * @param {string} template
+ * @returns {string[]} Unknown placeholder names
+ */
+function findUnknownPlaceholders(template) {
+    const known = new Set(TEMPLATE_VARIABLES.map(variable => variable.name));
+    const names = [...template.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(names.filter(name => !known.has(name)))];
+}
+
+/**
+ * Check a scalar value of a YAML property or list item
+ * @returns {string|null} Error message or null
+ */
+function validateScalar(value) {
+    if (!value) {
+        return null;
+    }
+
+    const quote = value[0];
+    if (quote === '"' || quote === "'") {
+        // Find the closing quote ('' is an escaped quote in single-quoted scalars)
+        let i = 1;
+        while (i < value.length) {
+            if (quote === '"' && value[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (value[i] === quote) {
+                if (quote === "'" && value[i + 1] === "'") {
+                    i += 2;
+                    continue;
+                }
+                break;
+            }
+            i++;
+        }
+        if (i >= value.length) {
+            return `unclosed ${quote === '"' ? 'double' : 'single'} quote`;
+        }
+        const rest = value.slice(i + 1).trim();
+        if (rest && !rest.startsWith('#')) {
+            return 'unexpected text after the closing quote';
+        }
+        return null;
+    }
+
+    if (quote === '[' || quote === '{') {
+        const close = quote === '[' ? ']' : '}';
+        return value.trimEnd().endsWith(close) ? null : `unclosed ${quote}`;
+    }
+
+    if (/^[&*!|>%@`]/.test(value)) {
+        return `a value starting with ${value[0]} has to be quoted`;
+    }
+    if (/:\s/.test(value) || value.endsWith(':')) {
+        return 'a value containing ": " has to be quoted';
+    }
+    return null;
+}
+
+/**
+ * Validate frontmatter YAML
+ * Covers the YAML that frontmatter uses: properties with scalar values,
+ * block lists and nested mappings. Reports tab indentation, malformed lines,
+ * unquoted special values, unclosed quotes and duplicate properties.
+ *
+ * @param {string} yaml - Frontmatter without the --- delimiters
+ * @returns {string[]} Error messages ("Line N: ..."), empty if valid
+ */
+function validateFrontmatterYaml(yaml) {
+    const errors = [];
+    // Keys seen per indentation level of the current mapping
+    const keysByIndent = new Map();
+    let previousKey = null;
+
+    yaml.split('\n').forEach((line, index) => {
+        const lineNumber = index + 1;
+        const error = message => errors.push(`Line ${lineNumber}: ${message}`);
+
+        if (!line.trim() || line.trim().startsWith('#')) {
+            return;
+        }
+        if (/^\s*\t/.test(line)) {
+            error('tabs are not allowed for indentation');
+            return;
+        }
+
+        const indent = line.match(/^ */)[0].length;
+        const content = line.trim();
+
+        // Forget keys of deeper mappings once we are back at a lower level
+        for (const level of [...keysByIndent.keys()]) {
+            if (level > indent) {
+                keysByIndent.delete(level);
+            }
+        }
+
+        if (content === '-' || content.startsWith('- ')) {
+            if (!previousKey) {
+                error('list item without a property');
+                return;
+            }
+            const message = validateScalar(content.slice(1).trim());
+            if (message) {
+                error(message);
+            }
+            return;
+        }
+
+        const propertyMatch = content.match(/^("[^"]*"|'[^']*'|[^\s#:"'][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!propertyMatch) {
+            error(indent === 0 ? 'expected "property: value"' : 'unexpected indentation');
+            return;
+        }
+
+        const [, key, value = ''] = propertyMatch;
+        const keys = keysByIndent.get(indent) || new Set();
+        if (keys.has(key)) {
+            error(`duplicate property "${key}"`);
+        }
+        keys.add(key);
+        keysByIndent.set(indent, keys);
+        previousKey = value.trim() ? null : key;
+
+        const message = validateScalar(value.trim());
+        if (message) {
+            error(message);
+        }
+    });
+
+    return errors;
+}
+
+export {
+    DEFAULT_FRONTMATTER_TEMPLATE,
+    TEMPLATE_VARIABLES,
+    renderFrontmatterTemplate,
+    findUnknownPlaceholders,
+    validateFrontmatterYaml
+};
@@ -0,0 +1,31 @@
+/**
+ * String Hashing
+ * A fast, non-cryptographic hash (cyrb53) for detecting changed content.
+ * It is synchronous and needs no Web Crypto, so it works the same in the
+ * extension and in Node.
+ */
+
+/**
+ * Hash a string
+ * @param {string} text
+ * @returns {string} 16 hex digits
+ */
+function hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+export {
+    hashString
+};
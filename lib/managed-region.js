@@ -0,0 +1,255 @@
+/**
+ * Managed Region
+ * Lets users edit exported notes without losing their changes on re-export
+ *
+ * In merge mode the exporter only owns part of a note: the frontmatter
+ * properties it generates and the conversation between two HTML comment
+ * markers (hidden in Obsidian's reading view). When a note is exported again,
+ * mergeManagedNote() replaces exactly that part and keeps the rest:
+ * - properties the user added to the frontmatter
+ * - tags the user added (merged with the generated ones; tags generated for the
+ *   note's previous project or GPT are dropped)
+ * - notes written above or below the markers
+ *
+ * A note without markers (exported before merge mode was turned on) is
+ * replaced, except for the user's frontmatter properties.
+ *
+ * In append mode only the new messages of a conversation are rendered, and
+ * appendToNote() adds them to the end of the existing note's conversation.
+ */
+
+import { BASE_TAG, sanitizeProjectTag } from './tags.js';
+
+const MANAGED_START = '<!-- gpt-exporter:start - edits between these markers are replaced on re-export -->';
+const MANAGED_END = '<!-- gpt-exporter:end -->';
+
+// Markers are matched by their fixed part so the explanation can change
+const START_PATTERN = /<!-- gpt-exporter:start\b.*?-->/;
+const END_PATTERN = /<!-- gpt-exporter:end\b.*?-->/;
+
+/**
+ * Wrap the exporter-owned body of a note in the markers
+ * @param {string} body
+ */
+function wrapManagedRegion(body) {
+    return `${MANAGED_START}\n${body}\n${MANAGED_END}`;
+}
+
+/**
+ * Check whether a note has a managed region
+ */
+function hasManagedRegion(content) {
+    return START_PATTERN.test(content) && END_PATTERN.test(content);
+}
+
+/**
+ * Split a note into its frontmatter YAML and the rest
+ * @returns {{yaml: string|null, body: string}} body starts right after the closing ---
+ */
+function splitFrontmatter(content) {
+    const normalized = content.replace(/\r\n/g, '\n');
+    const match = normalized.match(/^---\n([\s\S]*?)\n---(?=\n|$)/);
+    if (!match) {
+        return { yaml: null, body: normalized };
+    }
+    return { yaml: match[1], body: normalized.slice(match[0].length) };
+}
+
+/**
+ * Split frontmatter YAML into top-level properties
+ * Indented lines, list items and blank lines belong to the property above them
+ *
+ * @returns {Array<{key: string|null, lines: string[]}>} key is null for lines before the first property
+ */
+function parseProperties(yaml) {
+    const properties = [];
+    for (const line of yaml.split('\n')) {
+        const keyMatch = line.match(/^("[^"]*"|'[^']*'|[^\s#:'"-][^:]*?)\s*:(\s|$)/);
+        if (keyMatch) {
+            properties.push({ key: keyMatch[1].replace(/^["']|["']$/g, ''), lines: [line] });
+        } else if (properties.length > 0) {
+            properties[properties.length - 1].lines.push(line);
+        } else {
+            properties.push({ key: null, lines: [line] });
+        }
+    }
+    return properties;
+}
+
+/**
+ * Get the items of a list property (block list, flow list or single value)
+ * @returns {string[]} Items without quotes
+ */
+function getListItems(property) {
+    const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, '$2').trim();
+    const inline = property.lines[0].slice(property.lines[0].indexOf(':') + 1).trim();
+
+    if (inline.startsWith('[')) {
+        return inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+    }
+    if (inline) {
+        return [unquote(inline)];
+    }
+    return property.lines.slice(1)
+        .map(line => line.match(/^\s*-\s*(.*)$/))
+        .filter(Boolean)
+        .map(match => unquote(match[1]))
+        .filter(Boolean);
+}
+
+/**
+ * Get the tags the exporter generated for a note last time
+ * Worked out from its project and gpt properties, so a conversation moved to
+ * another project (or with GPT tags turned off) does not keep the old tags
+ * @returns {Set<string>}
+ */
+function getPreviousTags(properties) {
+    const tags = new Set([BASE_TAG]);
+    for (const key of ['project', 'gpt']) {
+        const property = properties.find(candidate => candidate.key === key);
+        const tag = property ? sanitizeProjectTag(getListItems(property)[0]) : '';
+        if (tag) {
+            tags.add(tag);
+        }
+    }
+    return tags;
+}
+
+/**
+ * Merge the generated frontmatter with the existing one
+ * Generated properties win, user-added properties are kept after them and
+ * user-added tags are appended to the generated tags
+ */
+function mergeFrontmatter(existingYaml, generatedYaml) {
+    const generated = parseProperties(generatedYaml);
+    const existing = parseProperties(existingYaml);
+    const generatedKeys = new Set(generated.map(property => property.key));
+    const existingTags = existing.find(property => property.key === 'tags');
+    const previousTags = getPreviousTags(existing);
+
+    const lines = [];
+    for (const property of generated) {
+        if (property.key === 'tags' && existingTags) {
+            const tags = getListItems(property);
+            const added = getListItems(existingTags).filter(tag => !tags.includes(tag) && !previousTags.has(tag));
+            if (added.length > 0) {
+                const indent = property.lines.slice(1).find(line => /^\s*-/.test(line))?.match(/^\s*/)[0] ?? '  ';
+                lines.push('tags:', ...[...tags, ...added].map(tag => `${indent}- ${tag}`));
+                continue;
+            }
+        }
+        lines.push(...property.lines);
+    }
+
+    for (const property of existing) {
+        if (property.key && !generatedKeys.has(property.key)) {
+            lines.push(...property.lines);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Merge a freshly generated note into the existing version of the file
+ *
+ * @param {string} existing - Current content of the note
+ * @param {string} generated - Newly exported content (with managed region)
+ * @returns {string} Content to write
+ */
+function mergeManagedNote(existing, generated) {
+    const current = splitFrontmatter(existing);
+    const fresh = splitFrontmatter(generated);
+
+    let body = fresh.body;
+    if (hasManagedRegion(current.body) && hasManagedRegion(fresh.body)) {
+        const startIndex = current.body.search(START_PATTERN);
+        const endMatch = current.body.slice(startIndex).match(END_PATTERN);
+        const freshStart = fresh.body.search(START_PATTERN);
+        const freshEndMatch = fresh.body.slice(freshStart).match(END_PATTERN);
+
+        const before = current.body.slice(0, startIndex);
+        const after = current.body.slice(startIndex + endMatch.index + endMatch[0].length);
+        const region = fresh.body.slice(freshStart, freshStart + freshEndMatch.index + freshEndMatch[0].length);
+        body = `${before}${region}${after}`;
+    }
+
+    if (fresh.yaml === null) {
+        return body;
+    }
+    const yaml = current.yaml === null ? fresh.yaml : mergeFrontmatter(current.yaml, fresh.yaml);
+    return `---\n${yaml}\n---${body}`;
+}
+
+/**
+ * Add new messages to the existing version of a note (append mode)
+ * The frontmatter is merged as in mergeManagedNote; the messages go right
+ * before the end marker, or to the end of notes without managed region
+ *
+ * @param {string} existing - Current content of the note
+ * @param {string} generated - Newly exported full note (only its frontmatter is used)
+ * @param {string} addition - Rendered new messages
+ * @returns {string} Content to write
+ */
+function appendToNote(existing, generated, addition) {
+    const current = splitFrontmatter(existing);
+    const fresh = splitFrontmatter(generated);
+
+    let body;
+    if (hasManagedRegion(current.body)) {
+        const startIndex = current.body.search(START_PATTERN);
+        const endIndex = startIndex + current.body.slice(startIndex).search(END_PATTERN);
+        const conversation = current.body.slice(0, endIndex).replace(/\s*$/, '');
+        body = `${conversation}\n\n${addition}\n${current.body.slice(endIndex)}`;
+    } else {
+        body = `${current.body.replace(/\s*$/, '')}\n\n${addition}\n`;
+    }
+
+    if (current.yaml === null) {
+        return body;
+    }
+    const yaml = fresh.yaml === null ? current.yaml : mergeFrontmatter(current.yaml, fresh.yaml);
+    return `---\n${yaml}\n---${body}`;
+}
+
+/**
+ * Set or remove top-level frontmatter properties of a note, leaving the rest as it is
+ * A note without frontmatter gets one
+ *
+ * @param {string} content - Current content of the note
+ * @param {Object} properties - Name -> value (written as is, e.g. true), or null to remove the property
+ * @returns {string} Content to write
+ */
+function setNoteProperties(content, properties) {
+    const { yaml, body } = splitFrontmatter(content);
+    const existing = yaml === null ? [] : parseProperties(yaml);
+    const lines = [];
+
+    for (const property of existing) {
+        if (property.key === null || !(property.key in properties)) {
+            lines.push(...property.lines);
+        } else if (properties[property.key] !== null) {
+            lines.push(`${property.key}: ${properties[property.key]}`);
+        }
+    }
+    for (const [key, value] of Object.entries(properties)) {
+        if (value !== null && !existing.some(property => property.key === key)) {
+            lines.push(`${key}: ${value}`);
+        }
+    }
+
+    if (yaml === null) {
+        return lines.length > 0 ? `---\n${lines.join('\n')}\n---\n${body}` : body;
+    }
+    return `---\n${lines.join('\n')}\n---${body}`;
+}
+
+export {
+    MANAGED_START,
+    MANAGED_END,
+    wrapManagedRegion,
+    hasManagedRegion,
+    mergeManagedNote,
+    appendToNote,
+    setNoteProperties
+};
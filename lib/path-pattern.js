@@ -0,0 +1,193 @@
+/**
+ * Path Pattern
+ * Builds the folder and file name of an exported note from a user-defined
+ * pattern such as `{project}/{yyyy}/{MM}/{date}-{title-slug}-{shortId}`
+ *
+ * Each `/`-separated part of the pattern becomes a folder; the last part is
+ * the file name (without extension). Parts that end up empty (e.g. `{project}`
+ * outside a project) are left out, and separators left dangling by an empty
+ * placeholder are trimmed.
+ */
+
+/**
+ * The built-in pattern, matching the default file names of the exporter
+ */
+const DEFAULT_PATH_PATTERN = '{project}/{title}_{shortId}';
+
+/**
+ * Placeholders available in path patterns
+ */
+const PATH_PLACEHOLDERS = [
+    { name: 'title', description: 'Conversation title' },
+    { name: 'title-slug', description: 'Title in lowercase with hyphens, e.g. my-first-chat' },
+    { name: 'project', description: 'Project name (empty outside projects)' },
+    { name: 'project-slug', description: 'Project name in lowercase with hyphens' },
+    { name: 'gpt', description: 'Custom GPT name (empty for other conversations)' },
+    { name: 'shortId', description: 'First 8 characters of the conversation ID' },
+    { name: 'id', description: 'Full conversation ID' },
+    { name: 'model', description: 'Model slug, e.g. gpt-4o' },
+    { name: 'date', description: 'Creation date, YYYY-MM-DD' },
+    { name: 'yyyy', description: 'Creation year' },
+    { name: 'MM', description: 'Creation month, 01-12' },
+    { name: 'dd', description: 'Creation day, 01-31' },
+    { name: 'HH', description: 'Creation hour, 00-23' },
+    { name: 'mm', description: 'Creation minute, 00-59' }
+];
+
+const SPACE_SEPARATORS = {
+    underscore: '_',
+    hyphen: '-',
+    space: ' '
+};
+
+const MAX_SEGMENT_LENGTH = 200;
+
+// Stands in for an empty placeholder while a pattern is rendered
+const EMPTY_MARK = '\u0000';
+
+/**
+ * Get the creation time encoded in a conversation ID
+ * The first 8 hex characters of a conversation ID are its creation time in seconds,
+ * which is all that is known about conversations that are only linked to (branch parents)
+ *
+ * @param {string} conversationId
+ * @returns {number|null} Unix timestamp in seconds
+ */
+function getTimestampFromConversationId(conversationId) {
+    const hex = conversationId?.slice(0, 8);
+    if (!hex || !/^[0-9a-f]{8}$/i.test(hex)) {
+        return null;
+    }
+    const seconds = parseInt(hex, 16);
+    // Conversations are newer than 2022 - anything else is not a timestamp
+    return seconds > 1640995200 ? seconds : null;
+}
+
+/**
+ * Make text safe for use in a file or folder name
+ * Spaces become the chosen separator, characters that are invalid on
+ * Windows (\ / : * ? " < > |) too; runs of separators are collapsed
+ *
+ * @param {string} text
+ * @param {string} [spaces] - 'underscore' (default), 'hyphen' or 'space'
+ */
+function sanitizePathText(text, spaces = 'underscore') {
+    const separator = SPACE_SEPARATORS[spaces] || '_';
+    const escaped = separator.replace(/[-]/g, '\\-');
+
+    let value = String(text || '')
+        .replace(/\s+/g, separator)
+        .replace(/[\\/:*?"<>|]/g, separator)
+        .replace(new RegExp(`[${escaped}]+`, 'g'), separator)
+        .replace(new RegExp(`^[${escaped}]+|[${escaped}]+$`, 'g'), '');
+
+    if (value.length > MAX_SEGMENT_LENGTH) {
+        value = value.substring(0, MAX_SEGMENT_LENGTH);
+    }
+    return value;
+}
+
+/**
+ * Turn text into a lowercase slug: diacritics removed, words joined with hyphens
+ */
+function slugify(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, MAX_SEGMENT_LENGTH);
+}
+
+/**
+ * Build the placeholder values for a conversation
+ *
+ * @param {Object} info
+ * @param {string} info.title - Conversation title
+ * @param {string} info.conversationId
+ * @param {number} [info.createTime] - Unix timestamp in seconds
+ * @param {string} [info.projectName]
+ * @param {string} [info.gptName] - Custom GPT name
+ * @param {string} [info.modelSlug]
+ * @param {string} spaces - Space style for title and project
+ */
+function getPathValues(info, spaces) {
+    const timestamp = info.createTime || getTimestampFromConversationId(info.conversationId) || Date.now() / 1000;
+    const iso = new Date(timestamp * 1000).toISOString();
+
+    return {
+        'title': sanitizePathText(info.title, spaces) || sanitizePathText('Untitled Conversation', spaces),
+        'title-slug': slugify(info.title),
+        'project': sanitizePathText(info.projectName, spaces),
+        'project-slug': slugify(info.projectName),
+        'gpt': sanitizePathText(info.gptName, spaces),
+        'shortId': (info.conversationId || '').substring(0, 8),
+        'id': info.conversationId || '',
+        'model': sanitizePathText(info.modelSlug || '', spaces),
+        'date': iso.slice(0, 10),
+        'yyyy': iso.slice(0, 4),
+        'MM': iso.slice(5, 7),
+        'dd': iso.slice(8, 10),
+        'HH': iso.slice(11, 13),
+        'mm': iso.slice(14, 16)
+    };
+}
+
+/**
+ * Build the folder and base file name of a conversation note
+ *
+ * @param {Object} info - See getPathValues
+ * @param {Object} [settings]
+ * @param {string} [settings.pathPattern] - Pattern, DEFAULT_PATH_PATTERN if empty
+ * @param {string} [settings.pathSpaces] - 'underscore' (default), 'hyphen' or 'space'
+ * @param {string} [settings.pathCase] - 'keep' (default) or 'lower'
+ * @returns {{folder: string, baseName: string}} folder is '' or ends with '/'
+ */
+function buildNotePath(info, settings = {}) {
+    const pattern = settings.pathPattern?.trim() || DEFAULT_PATH_PATTERN;
+    const spaces = settings.pathSpaces || 'underscore';
+    const values = getPathValues(info, spaces);
+    const separator = SPACE_SEPARATORS[spaces] || '_';
+
+    const segments = pattern
+        .split('/')
+        .map(part => part
+            // Invalid characters typed into the pattern itself
+            .replace(/[\\:*?"<>|]/g, separator)
+            // Mark empty placeholders, then drop them with the separator next to them
+            .replace(/\{([\w-]+)\}/g, (match, name) => values[name] || EMPTY_MARK)
+            .replace(new RegExp(`^(${EMPTY_MARK}[-_. ]*)+`), '')
+            .replace(new RegExp(`[-_ ]*${EMPTY_MARK}`, 'g'), '')
+            .trim()
+        )
+        .map(segment => settings.pathCase === 'lower' ? segment.toLowerCase() : segment)
+        .filter(Boolean);
+
+    const baseName = segments.pop() || sanitizePathText('Untitled Conversation', spaces);
+    return {
+        folder: segments.length > 0 ? `${segments.join('/')}/` : '',
+        baseName
+    };
+}
+
+/**
+ * Find placeholders in a pattern that are not known
+ * @returns {string[]}
+ */
+function findUnknownPathPlaceholders(pattern) {
+    const known = new Set(PATH_PLACEHOLDERS.map(placeholder => placeholder.name));
+    const names = [...(pattern || '').matchAll(/\{([\w-]+)\}/g)].map(match => match[1]);
+    return [...new Set(names.filter(name => !known.has(name)))];
+}
+
+export {
+    DEFAULT_PATH_PATTERN,
+    PATH_PLACEHOLDERS,
+    getTimestampFromConversationId,
+    sanitizePathText,
+    slugify,
+    buildNotePath,
+    findUnknownPathPlaceholders
+};
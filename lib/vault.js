@@ -0,0 +1,257 @@
+/**
+ * Vault Folder
+ * Writes exported files straight into a local folder (e.g. the Obsidian vault)
+ * through the File System Access API, instead of the Downloads folder
+ *
+ * The folder is picked once on the options page. Its handle cannot be kept in
+ * chrome.storage, so it is stored in the extension's IndexedDB, which every
+ * extension page (options, popup, offscreen document) shares. Chrome asks to
+ * confirm access again after a restart; that needs a click, so the popup calls
+ * ensureVaultPermission(handle, true) when an export is started.
+ *
+ * Notes exported in merge mode are merged with the version in the folder,
+ * keeping the user's edits (see lib/managed-region.js). In append mode only the
+ * new messages are added to them; a missing note is written in full. Files of
+ * renamed or moved conversations replace their old file (see sync/renames.js).
+ */
+
+import { hasManagedRegion, mergeManagedNote, appendToNote, setNoteProperties } from './managed-region.js';
+
+const DB_NAME = 'gpt_exporter_vault';
+const STORE_NAME = 'handles';
+const HANDLE_KEY = 'vault';
+
+/**
+ * Run one request against the handle store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - store => IDBRequest
+ */
+function withStore(mode, operation) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(STORE_NAME);
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
+
+/**
+ * Get the stored vault folder handle, or null if none was picked
+ * @returns {Promise<FileSystemDirectoryHandle|null>}
+ */
+async function getVaultHandle() {
+    return (await withStore('readonly', store => store.get(HANDLE_KEY))) || null;
+}
+
+/**
+ * Store the picked vault folder handle
+ * @param {FileSystemDirectoryHandle} handle
+ */
+async function saveVaultHandle(handle) {
+    await withStore('readwrite', store => store.put(handle, HANDLE_KEY));
+}
+
+/**
+ * Forget the vault folder
+ */
+async function clearVaultHandle() {
+    await withStore('readwrite', store => store.delete(HANDLE_KEY));
+}
+
+/**
+ * Check (and optionally ask for) read/write access to the vault folder
+ * Asking only works from a page, right after a click
+ *
+ * @param {FileSystemDirectoryHandle} handle
+ * @param {boolean} [request] - Ask the user if access is not granted yet
+ * @returns {Promise<boolean>} True if access is granted
+ */
+async function ensureVaultPermission(handle, request = false) {
+    const options = { mode: 'readwrite' };
+    if (await handle.queryPermission(options) === 'granted') {
+        return true;
+    }
+    return request && await handle.requestPermission(options) === 'granted';
+}
+
+/**
+ * Decode base64 content into bytes
+ */
+function base64ToBytes(content) {
+    const binary = atob(content);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Split a file path into its folders and file name, dropping segments that would leave the vault
+ */
+function splitVaultPath(path) {
+    const parts = path.split('/').filter(part => part && part !== '.' && part !== '..');
+    const fileName = parts.pop();
+    if (!fileName) {
+        throw new Error(`Invalid file path: ${path}`);
+    }
+    return { folders: parts, fileName };
+}
+
+/**
+ * Read a text file below the vault folder
+ *
+ * @param {FileSystemDirectoryHandle} root
+ * @param {string} path
+ * @returns {Promise<string|null>} Content, or null if the file does not exist
+ */
+async function readVaultFile(root, path) {
+    const { folders, fileName } = splitVaultPath(path);
+    try {
+        let folder = root;
+        for (const part of folders) {
+            folder = await folder.getDirectoryHandle(part);
+        }
+        const file = await (await folder.getFileHandle(fileName)).getFile();
+        return await file.text();
+    } catch (error) {
+        if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write a file below the vault folder, creating folders on the way and
+ * replacing an existing file of the same name
+ *
+ * @param {FileSystemDirectoryHandle} root
+ * @param {string} path - e.g. "Project/My_Chat_6981fddd.md"
+ * @param {string} content - Text, or base64 if isBase64 is true
+ * @param {boolean} [isBase64]
+ */
+async function writeVaultFile(root, path, content, isBase64 = false) {
+    const { folders, fileName } = splitVaultPath(path);
+
+    let folder = root;
+    for (const part of folders) {
+        folder = await folder.getDirectoryHandle(part, { create: true });
+    }
+
+    const fileHandle = await folder.getFileHandle(fileName, { create: true });
+    const writable = await fileHandle.createWritable();
+    try {
+        await writable.write(isBase64 ? base64ToBytes(content) : content);
+    } finally {
+        await writable.close();
+    }
+}
+
+/**
+ * Delete a file below the vault folder, if it exists
+ *
+ * @param {FileSystemDirectoryHandle} root
+ * @param {string} path
+ */
+async function removeVaultFile(root, path) {
+    const { folders, fileName } = splitVaultPath(path);
+    try {
+        let folder = root;
+        for (const part of folders) {
+            folder = await folder.getDirectoryHandle(part);
+        }
+        await folder.removeEntry(fileName);
+    } catch (error) {
+        if (error.name !== 'NotFoundError' && error.name !== 'TypeMismatchError') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Write files into the stored vault folder
+ *
+ * @param {Array<{filename: string, content: string, isBase64?: boolean, appendContent?: string, previousFilename?: string}>} files
+ * @returns {Promise<number>} Number of files written
+ */
+async function writeFilesToVault(files) {
+    const handle = await getVaultHandle();
+    if (!handle) {
+        throw new Error('No vault folder chosen. Pick one on the settings page.');
+    }
+    if (!await ensureVaultPermission(handle)) {
+        throw new Error(`Access to the vault folder "${handle.name}" has expired. Start the export from the popup to allow it again.`);
+    }
+
+    for (const file of files) {
+        const moved = file.previousFilename && file.previousFilename !== file.filename;
+        let content = file.content;
+        if (!file.isBase64 && (file.appendContent || hasManagedRegion(content))) {
+            // A moved note is merged with its old file, unless the new one exists already
+            let existing = await readVaultFile(handle, file.filename);
+            if (existing === null && moved) {
+                existing = await readVaultFile(handle, file.previousFilename);
+            }
+            if (existing !== null) {
+                content = file.appendContent
+                    ? appendToNote(existing, content, file.appendContent)
+                    : mergeManagedNote(existing, content);
+            }
+        }
+        await writeVaultFile(handle, file.filename, content, !!file.isBase64);
+
+        if (moved) {
+            await removeVaultFile(handle, file.previousFilename);
+        }
+    }
+    return files.length;
+}
+
+/**
+ * Set or remove frontmatter properties of notes in the stored vault folder
+ * Notes that do not exist are skipped
+ *
+ * @param {Array<{filename: string, properties: Object}>} updates - See setNoteProperties
+ * @returns {Promise<number>} Number of notes changed
+ */
+async function updateVaultNoteProperties(updates) {
+    const handle = await getVaultHandle();
+    if (!handle || !await ensureVaultPermission(handle)) {
+        throw new Error('The vault folder is not available. Start the export from the popup to allow access again.');
+    }
+
+    let updated = 0;
+    for (const { filename, properties } of updates) {
+        const existing = await readVaultFile(handle, filename);
+        if (existing !== null) {
+            await writeVaultFile(handle, filename, setNoteProperties(existing, properties));
+            updated++;
+        }
+    }
+    return updated;
+}
+
+export {
+    getVaultHandle,
+    saveVaultHandle,
+    clearVaultHandle,
+    ensureVaultPermission,
+    readVaultFile,
+    writeVaultFile,
+    removeVaultFile,
+    writeFilesToVault,
+    updateVaultNoteProperties
+};
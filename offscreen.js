@@ -5,9 +5,11 @@
  * system rejects data: URLs larger than ~2MB (the download fails with
  * NETWORK_FAILED, shown as "Check internet connection"). This document
  * creates real Blob URLs on behalf of the service worker so downloads of
- * any size work.
+ * any size work. It also writes files into the vault folder (see lib/vault.js).
  */
 
+import { writeFilesToVault, updateVaultNoteProperties } from './lib/vault.js';
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!message || message.target !== 'offscreen') {
         return; // Not for us
@@ -38,7 +40,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             try {
                 const zip = new JSZip();
                 for (const file of message.files) {
-                    zip.file(file.filename, file.content);
+                    zip.file(file.filename, file.content, { base64: !!file.isBase64 });
                 }
                 const blob = await zip.generateAsync({
                     type: 'blob',
@@ -51,6 +53,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             }
         })();
         return true; // Keep message channel open for async sendResponse
+    } else if (message.action === 'vault-write-files') {
+        (async () => {
+            try {
+                const written = await writeFilesToVault(message.files);
+                sendResponse({ success: true, written });
+            } catch (error) {
+                sendResponse({ success: false, error: error.message });
+            }
+        })();
+        return true; // Keep message channel open for async sendResponse
+    } else if (message.action === 'vault-update-properties') {
+        (async () => {
+            try {
+                const updated = await updateVaultNoteProperties(message.updates);
+                sendResponse({ success: true, updated });
+            } catch (error) {
+                sendResponse({ success: false, error: error.message });
+            }
+        })();
+        return true; // Keep message channel open for async sendResponse
     } else if (message.action === 'revoke-blob-url') {
         try {
             URL.revokeObjectURL(message.url);
@@ -0,0 +1,372 @@
+/**
+ * GPT Exporter - Import of ChatGPT's official data export
+ * Converts the export right in this page (no ChatGPT tab, no API calls) and
+ * downloads the result as vault ZIP, split into parts for large accounts, or
+ * writes it straight into the vault folder
+ */
+
+import { buildAttachmentFilename, getCustomGptId } from '../export/markdown.js';
+import { getSelectedFormats, hasSelectedFormat } from '../export/formats.js';
+import {
+    decodeJsonBytes,
+    findConversationFiles,
+    parseOfficialExport,
+    findExportAttachments
+} from '../export/official-export.js';
+import { getVaultHandle, ensureVaultPermission, writeFilesToVault } from '../lib/vault.js';
+import { getSyncData, describeExport } from '../sync/tracker.js';
+import { trackRename, markMovedFiles, buildRenameManifest } from '../sync/renames.js';
+
+const SETTINGS_KEY = 'gpt_exporter_settings';
+const ATTACHMENTS_FOLDER = 'attachments';
+const ZIP_PART_MAX_CONVERSATIONS = 1000; // Start a new ZIP part after this many conversations
+const ZIP_PART_MAX_BYTES = 50 * 1024 * 1024; // ...or once a part's files reach ~50 MB
+
+// DOM Elements
+const importFile = document.getElementById('importFile');
+const formatCheckboxes = document.querySelectorAll('#importSection [data-format]');
+const importMarkExported = document.getElementById('importMarkExported');
+const btnImport = document.getElementById('btnImport');
+const btnCancelImport = document.getElementById('btnCancelImport');
+const importProgress = document.getElementById('importProgress');
+const importProgressFill = document.getElementById('importProgressFill');
+const importProgressText = document.getElementById('importProgressText');
+const importStatus = document.getElementById('importStatus');
+const importErrors = document.getElementById('importErrors');
+
+let cancelRequested = false;
+
+/**
+ * Send message to background script
+ */
+async function sendMessage(message) {
+    try {
+        return await chrome.runtime.sendMessage(message);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function getFormats() {
+    const formats = {};
+    for (const checkbox of formatCheckboxes) {
+        formats[checkbox.dataset.format] = checkbox.checked;
+    }
+    return formats;
+}
+
+function updateImportButton() {
+    btnImport.disabled = !importFile.files.length || !hasSelectedFormat(getFormats());
+}
+
+function showProgress(current, total, text) {
+    importProgress.classList.remove('hidden');
+    importProgressFill.style.width = total > 0 ? `${Math.round(current / total * 100)}%` : '0%';
+    importProgressText.textContent = text;
+}
+
+function checkCancellation() {
+    if (cancelRequested) {
+        throw new Error('Import cancelled.');
+    }
+}
+
+/**
+ * Read the conversations from the chosen file
+ * @returns {Promise<{conversations: Array, zip: Object|null, paths: string[]}>}
+ *   zip and paths are set for ZIP files, so attachments can be taken from them
+ */
+async function readExport(file) {
+    if (/\.json$/i.test(file.name)) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        return { conversations: parseOfficialExport(decodeJsonBytes(bytes)), zip: null, paths: [] };
+    }
+
+    const zip = await JSZip.loadAsync(file);
+    const paths = Object.keys(zip.files).filter(path => !zip.files[path].dir);
+    const conversationFiles = findConversationFiles(paths);
+    if (conversationFiles.length === 0) {
+        throw new Error('No conversations.json found in the ZIP. Choose the ZIP from ChatGPT\'s "Export data".');
+    }
+
+    const conversations = [];
+    for (const path of conversationFiles) {
+        const bytes = await zip.file(path).async('uint8array');
+        conversations.push(...parseOfficialExport(decodeJsonBytes(bytes)));
+    }
+    return { conversations, zip, paths };
+}
+
+/**
+ * Take a conversation's attachments from the export ZIP
+ * Like downloaded attachments, they are recorded in conversation._attachments
+ * so the notes embed them
+ *
+ * @returns {Promise<Array>} Files to bundle (base64 content)
+ */
+async function collectAttachments(conversation, source, attachmentOptions) {
+    const maxBytes = attachmentOptions.maxSizeMB * 1024 * 1024;
+    const files = [];
+
+    conversation._attachments = {};
+
+    for (const { ref, path, fileName } of findExportAttachments(conversation, source.paths, attachmentOptions)) {
+        const content = await source.zip.file(path).async('base64');
+        if (content.length * 3 / 4 > maxBytes) {
+            continue;
+        }
+
+        const filename = buildAttachmentFilename(ref, '', fileName);
+        conversation._attachments[ref.fileId] = filename;
+        files.push({ filename: `${ATTACHMENTS_FOLDER}/${filename}`, content, isBase64: true });
+    }
+
+    return files;
+}
+
+/**
+ * Start a download of a Blob and wait until it has completed
+ */
+async function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    try {
+        const downloadId = await chrome.downloads.download({
+            url,
+            filename,
+            saveAs: false,
+            conflictAction: 'uniquify'
+        });
+
+        await new Promise((resolve, reject) => {
+            const onChanged = (delta) => {
+                if (delta.id !== downloadId || !delta.state) {
+                    return;
+                }
+                if (delta.state.current === 'complete') {
+                    chrome.downloads.onChanged.removeListener(onChanged);
+                    resolve();
+                } else if (delta.state.current === 'interrupted') {
+                    chrome.downloads.onChanged.removeListener(onChanged);
+                    reject(new Error(`Download interrupted: ${delta.error?.current || 'unknown error'}`));
+                }
+            };
+            chrome.downloads.onChanged.addListener(onChanged);
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Convert the chosen export and download the vault ZIP(s) or write the vault folder
+ * @param {Object} settings - Stored settings (download folder, export target)
+ * @returns {Promise<{converted: number, failed: string[], zipFilenames: string[]}>}
+ */
+async function runImport(settings) {
+    const formats = getFormats();
+    const selected = getSelectedFormats(formats);
+
+    showProgress(0, 0, 'Reading export...');
+    const source = await readExport(importFile.files[0]);
+    const { conversations } = source;
+    if (conversations.length === 0) {
+        throw new Error('The export contains no conversations.');
+    }
+
+    const response = await sendMessage({ action: 'getRenderOptions' });
+    if (response?.error || !response?.renderOptions) {
+        throw new Error(`Settings could not be loaded: ${response?.error || 'no response'}`);
+    }
+    const { renderOptions } = response;
+    const attachmentOptions = renderOptions.attachments;
+    const withAttachments = !!source.zip && selected.some(format => format.usesAttachments) &&
+        (attachmentOptions.images || attachmentOptions.generated || attachmentOptions.files);
+
+    if (conversations.some(conversation => conversation._projectId && !conversation._projectName)) {
+        showProgress(0, 0, 'Looking up project names...');
+        const { projects = {} } = await sendMessage({ action: 'getProjectNames' }) || {};
+        for (const conversation of conversations) {
+            if (conversation._projectId && !conversation._projectName && projects[conversation._projectId]) {
+                conversation._projectName = projects[conversation._projectId];
+            }
+        }
+    }
+
+    const gptIds = [...new Set(conversations.map(getCustomGptId).filter(Boolean))];
+    if (gptIds.length > 0) {
+        showProgress(0, 0, 'Looking up custom GPT names...');
+        const { gpts = {} } = await sendMessage({ action: 'getGptNames', gptIds }) || {};
+        for (const conversation of conversations) {
+            const gptId = getCustomGptId(conversation);
+            if (gptId && gpts[gptId]) {
+                conversation._gptName = gpts[gptId];
+            }
+        }
+    }
+
+    // Earlier exports, to move the files of renamed and moved conversations
+    const { exportedConversations } = await getSyncData();
+
+    const toVault = settings.exportTarget === 'vault';
+    const folder = (settings.downloadFolder || '').replace(/^[/\\]+|[/\\]+$/g, '');
+    const day = new Date().toISOString().split('T')[0];
+
+    const failed = [];
+    const zipFilenames = [];
+    let part = { zip: new JSZip(), conversations: [], movedFiles: [], bytes: 0 };
+    let partNumber = 0;
+
+    const flushPart = async (isLast) => {
+        const bundleFiles = selected
+            .filter(format => format.renderBundle)
+            .flatMap(format => format.renderBundle(part.conversations));
+
+        if (toVault) {
+            showProgress(1, 1, 'Writing to the vault folder...');
+            await writeFilesToVault(bundleFiles);
+        } else {
+            // Renamed and moved conversations cannot be moved in a ZIP - list them instead
+            const manifest = buildRenameManifest(part.movedFiles);
+            for (const file of manifest ? [...bundleFiles, manifest] : bundleFiles) {
+                part.zip.file(file.filename, file.content);
+            }
+
+            partNumber++;
+            const zipFilename = isLast && partNumber === 1
+                ? `ChatGPT_Import_${day}.zip`
+                : `ChatGPT_Import_${day}_part${String(partNumber).padStart(3, '0')}.zip`;
+            showProgress(1, 1, `Saving ${zipFilename}...`);
+
+            const blob = await part.zip.generateAsync({
+                type: 'blob',
+                compression: 'DEFLATE',
+                compressionOptions: { level: 6 }
+            });
+            await downloadBlob(blob, folder ? `${folder}/${zipFilename}` : zipFilename);
+            zipFilenames.push(zipFilename);
+        }
+
+        if (importMarkExported.checked) {
+            await sendMessage({
+                action: 'markImported',
+                exported: part.conversations.map(c => describeExport(c, renderOptions))
+            });
+        }
+
+        part = { zip: new JSZip(), conversations: [], movedFiles: [], bytes: 0 };
+    };
+
+    for (let i = 0; i < conversations.length; i++) {
+        checkCancellation();
+        const conversation = conversations[i];
+        showProgress(i, conversations.length, `Converting ${i + 1} / ${conversations.length}: ${conversation.title || 'Untitled'}`);
+
+        try {
+            const files = withAttachments ? await collectAttachments(conversation, source, attachmentOptions) : [];
+            const rename = trackRename(conversation, exportedConversations[conversation.conversation_id], renderOptions);
+            const renderedFiles = [];
+            for (const format of selected) {
+                if (format.renderConversation) {
+                    renderedFiles.push(...format.renderConversation(conversation, renderOptions));
+                }
+            }
+            if (rename) {
+                markMovedFiles(renderedFiles, rename);
+                part.movedFiles.push(...renderedFiles);
+            }
+            files.push(...renderedFiles);
+
+            if (toVault) {
+                // Written in place right away - nothing piles up in memory
+                await writeFilesToVault(files);
+            } else {
+                for (const file of files) {
+                    part.zip.file(file.filename, file.content, { base64: !!file.isBase64 });
+                    part.bytes += file.content.length;
+                }
+            }
+            part.conversations.push(conversation);
+        } catch (error) {
+            failed.push(`${conversation.title || conversation.conversation_id}: ${error.message}`);
+        }
+
+        const isLast = i === conversations.length - 1;
+        if (!isLast && (part.conversations.length >= ZIP_PART_MAX_CONVERSATIONS || part.bytes >= ZIP_PART_MAX_BYTES)) {
+            await flushPart(false);
+        }
+
+        // Rendering is synchronous - let the page repaint now and then
+        if (i % 20 === 19) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    if (part.conversations.length > 0) {
+        await flushPart(true);
+    }
+
+    return {
+        converted: conversations.length - failed.length,
+        failed,
+        zipFilenames
+    };
+}
+
+async function handleImport() {
+    cancelRequested = false;
+    btnImport.disabled = true;
+    importFile.disabled = true;
+    btnCancelImport.classList.remove('hidden');
+    importStatus.textContent = '';
+    importErrors.replaceChildren();
+
+    try {
+        const result = await chrome.storage.local.get(SETTINGS_KEY);
+        const settings = result[SETTINGS_KEY] || {};
+
+        // Asked right after the click - it is lost once reading a large export has begun
+        if (settings.exportTarget === 'vault') {
+            const handle = await getVaultHandle();
+            if (!handle || !await ensureVaultPermission(handle, true)) {
+                throw new Error('Access to the vault folder was not allowed. Choose the folder again above.');
+            }
+        }
+
+        const { converted, failed, zipFilenames } = await runImport(settings);
+        const conversationsText = `${converted} conversation${converted === 1 ? '' : 's'}`;
+        if (converted === 0) {
+            importStatus.textContent = 'No conversation could be converted.';
+        } else if (settings.exportTarget === 'vault') {
+            importStatus.textContent = `Converted ${conversationsText} into the vault folder "${settings.vaultName}".`;
+        } else {
+            importStatus.textContent = `Converted ${conversationsText} into ${zipFilenames.join(', ')}.`;
+        }
+        importErrors.replaceChildren(...failed.map(message => {
+            const item = document.createElement('li');
+            item.textContent = `Skipped ${message}`;
+            return item;
+        }));
+    } catch (error) {
+        const item = document.createElement('li');
+        item.textContent = error.message;
+        importErrors.replaceChildren(item);
+    } finally {
+        importProgress.classList.add('hidden');
+        btnCancelImport.classList.add('hidden');
+        importFile.disabled = false;
+        updateImportButton();
+    }
+}
+
+importFile.addEventListener('change', () => {
+    importStatus.textContent = '';
+    importErrors.replaceChildren();
+    updateImportButton();
+});
+for (const checkbox of formatCheckboxes) {
+    checkbox.addEventListener('change', updateImportButton);
+}
+btnImport.addEventListener('click', handleImport);
+btnCancelImport.addEventListener('click', () => {
+    cancelRequested = true;
+});
@@ -0,0 +1,374 @@
+/**
+ * GPT Exporter - Options Page
+ * Frontmatter template and path pattern editors with a live preview against the current conversation,
+ * the vault folder exports are written to, and what happens to conversations deleted or archived in ChatGPT
+ */
+
+import { conversationToMarkdown, prepareConversation } from '../export/markdown.js';
+import {
+    DEFAULT_FRONTMATTER_TEMPLATE,
+    TEMPLATE_VARIABLES,
+    findUnknownPlaceholders,
+    validateFrontmatterYaml
+} from '../lib/frontmatter-template.js';
+import { DEFAULT_PATH_PATTERN, PATH_PLACEHOLDERS, findUnknownPathPlaceholders } from '../lib/path-pattern.js';
+import { getVaultHandle, saveVaultHandle, clearVaultHandle } from '../lib/vault.js';
+
+const SETTINGS_KEY = 'gpt_exporter_settings';
+
+// Shown in the preview when no ChatGPT conversation is open
+const SAMPLE_CONVERSATION = {
+    title: 'Sample "Conversation"',
+    conversation_id: '6981fddd-2834-8394-9b08-a9b19891753c',
+    create_time: 1770126827.760625,
+    update_time: 1770130427.760625,
+    _projectId: 'g-p-sample',
+    _projectName: 'Research Notes',
+    mapping: {
+        'root': { id: 'root', message: null, parent: undefined, children: ['user1'] },
+        'user1': {
+            id: 'user1', parent: 'root', children: ['assistant1'],
+            message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['What is a frontmatter template?'] } }
+        },
+        'assistant1': {
+            id: 'assistant1', parent: 'user1', children: [],
+            message: {
+                author: { role: 'assistant' },
+                content: { content_type: 'text', parts: ['It defines the properties at the top of each note.'] },
+                metadata: { model_slug: 'gpt-4o' }
+            }
+        }
+    },
+    current_node: 'assistant1'
+};
+
+// DOM Elements
+const templateInput = document.getElementById('frontmatterTemplate');
+const btnSaveTemplate = document.getElementById('btnSaveTemplate');
+const btnResetTemplate = document.getElementById('btnResetTemplate');
+const templateStatus = document.getElementById('templateStatus');
+const previewSource = document.getElementById('previewSource');
+const frontmatterPreview = document.getElementById('frontmatterPreview');
+const templateErrors = document.getElementById('templateErrors');
+const templateVariables = document.getElementById('templateVariables');
+const pathPatternInput = document.getElementById('pathPattern');
+const pathSpacesSelect = document.getElementById('pathSpaces');
+const pathCaseSelect = document.getElementById('pathCase');
+const pathPreview = document.getElementById('pathPreview');
+const pathErrors = document.getElementById('pathErrors');
+const btnSavePath = document.getElementById('btnSavePath');
+const btnResetPath = document.getElementById('btnResetPath');
+const pathStatus = document.getElementById('pathStatus');
+const pathPlaceholders = document.getElementById('pathPlaceholders');
+const vaultName = document.getElementById('vaultName');
+const btnPickVault = document.getElementById('btnPickVault');
+const btnForgetVault = document.getElementById('btnForgetVault');
+const exportTargetSelect = document.getElementById('exportTarget');
+const keepEditsCheckbox = document.getElementById('keepEdits');
+const vaultStatus = document.getElementById('vaultStatus');
+const vaultErrors = document.getElementById('vaultErrors');
+const removedReportCheckbox = document.getElementById('removedReport');
+const flagRemovedNotesCheckbox = document.getElementById('flagRemovedNotes');
+const removedStatus = document.getElementById('removedStatus');
+
+let previewConversation = SAMPLE_CONVERSATION;
+
+/**
+ * Send message to background script
+ */
+async function sendMessage(message) {
+    try {
+        return await chrome.runtime.sendMessage(message);
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Read the stored settings
+ */
+async function getSettings() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    return result[SETTINGS_KEY] || {};
+}
+
+/**
+ * Merge changes into the stored settings (the popup owns the other keys)
+ */
+async function updateSettings(changes) {
+    const settings = await getSettings();
+    await chrome.storage.local.set({ [SETTINGS_KEY]: { ...settings, ...changes } });
+}
+
+/**
+ * Show a list of error messages
+ */
+function showErrors(list, errors) {
+    list.replaceChildren(...errors.map(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        return item;
+    }));
+}
+
+/**
+ * Get the path settings as entered
+ */
+function getPathSettings() {
+    return {
+        pathPattern: pathPatternInput.value.trim(),
+        pathSpaces: pathSpacesSelect.value,
+        pathCase: pathCaseSelect.value
+    };
+}
+
+/**
+ * Render the frontmatter of the preview conversation and list problems
+ * @returns {boolean} True if the template is valid
+ */
+function updatePreview() {
+    const template = templateInput.value;
+    const errors = [];
+
+    const unknown = findUnknownPlaceholders(template);
+    if (unknown.length > 0) {
+        errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+    }
+
+    let yaml = '';
+    try {
+        const { content } = conversationToMarkdown(previewConversation, {
+            ...getPathSettings(),
+            frontmatterTemplate: template,
+            templateFallback: false
+        });
+        yaml = content.slice('---\n'.length, content.indexOf('\n---', 3));
+        errors.push(...validateFrontmatterYaml(yaml));
+    } catch (error) {
+        errors.push(`Template could not be rendered: ${error.message}`);
+    }
+
+    frontmatterPreview.textContent = `---\n${yaml}\n---`;
+    showErrors(templateErrors, errors);
+
+    btnSaveTemplate.disabled = errors.length > 0 || !template.trim();
+    return errors.length === 0;
+}
+
+/**
+ * Show the path of the preview conversation's note
+ * @returns {boolean} True if the pattern is valid
+ */
+function updatePathPreview() {
+    const settings = getPathSettings();
+    const errors = [];
+
+    const unknown = findUnknownPathPlaceholders(settings.pathPattern);
+    if (unknown.length > 0) {
+        errors.push(`Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    const { folderPrefix, baseName } = prepareConversation(previewConversation, settings);
+    pathPreview.textContent = `${folderPrefix}${baseName}.md`;
+    showErrors(pathErrors, errors);
+
+    btnSavePath.disabled = errors.length > 0;
+    return errors.length === 0;
+}
+
+/**
+ * Fill a placeholder reference table
+ * @param {HTMLElement} table - tbody to fill
+ * @param {Array<{name: string, description: string}>} placeholders
+ * @param {Function} format - Placeholder name -> how it is written
+ */
+function renderPlaceholders(table, placeholders, format) {
+    table.replaceChildren(...placeholders.map(placeholder => {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        const code = document.createElement('code');
+        code.textContent = format(placeholder.name);
+        name.appendChild(code);
+        const description = document.createElement('td');
+        description.textContent = placeholder.description;
+        row.append(name, description);
+        return row;
+    }));
+}
+
+/**
+ * Use the conversation open in ChatGPT for the preview, if there is one
+ */
+async function loadPreviewConversation() {
+    const response = await sendMessage({ action: 'getPreviewConversation' });
+
+    if (response?.conversation) {
+        previewConversation = response.conversation;
+        previewSource.textContent = `Current conversation: ${response.conversation.title || 'Untitled'}`;
+    } else {
+        previewSource.textContent = 'No ChatGPT conversation open - showing a sample conversation.';
+    }
+    updatePreview();
+    updatePathPreview();
+}
+
+/**
+ * Save the template
+ * The default template is stored as empty so future default changes apply
+ */
+async function handleSaveTemplate() {
+    if (!updatePreview()) {
+        return;
+    }
+
+    const template = templateInput.value.trim();
+    await updateSettings({
+        frontmatterTemplate: template === DEFAULT_FRONTMATTER_TEMPLATE ? '' : template
+    });
+    templateStatus.textContent = 'Saved. Used for the next export.';
+}
+
+async function handleResetTemplate() {
+    templateInput.value = DEFAULT_FRONTMATTER_TEMPLATE;
+    await updateSettings({ frontmatterTemplate: '' });
+    updatePreview();
+    templateStatus.textContent = 'Default template restored.';
+}
+
+/**
+ * Save the path settings
+ * The default pattern is stored as empty so future default changes apply
+ */
+async function handleSavePath() {
+    if (!updatePathPreview()) {
+        return;
+    }
+
+    const settings = getPathSettings();
+    await updateSettings({
+        ...settings,
+        pathPattern: settings.pathPattern === DEFAULT_PATH_PATTERN ? '' : settings.pathPattern
+    });
+    pathStatus.textContent = 'Saved. Used for the next export.';
+}
+
+async function handleResetPath() {
+    pathPatternInput.value = DEFAULT_PATH_PATTERN;
+    pathSpacesSelect.value = 'underscore';
+    pathCaseSelect.value = 'keep';
+    await updateSettings({ pathPattern: '', pathSpaces: 'underscore', pathCase: 'keep' });
+    updatePathPreview();
+    updatePreview();
+    pathStatus.textContent = 'Default path pattern restored.';
+}
+
+/**
+ * Show the chosen vault folder; the vault target needs one
+ */
+async function updateVaultSection() {
+    const handle = await getVaultHandle();
+    const settings = await getSettings();
+
+    vaultName.textContent = handle ? handle.name : 'No folder chosen';
+    btnForgetVault.disabled = !handle;
+    exportTargetSelect.querySelector('option[value="vault"]').disabled = !handle;
+    exportTargetSelect.value = handle && settings.exportTarget === 'vault' ? 'vault' : 'downloads';
+    keepEditsCheckbox.checked = !!settings.keepEdits;
+}
+
+async function handlePickVault() {
+    showErrors(vaultErrors, []);
+    let handle;
+    try {
+        handle = await window.showDirectoryPicker({ id: 'gpt-exporter-vault', mode: 'readwrite' });
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            showErrors(vaultErrors, [`The folder could not be opened: ${error.message}`]);
+        }
+        return;
+    }
+
+    await saveVaultHandle(handle);
+    await updateSettings({ exportTarget: 'vault', vaultName: handle.name });
+    await updateVaultSection();
+    vaultStatus.textContent = `Exports are now written to "${handle.name}".`;
+}
+
+async function handleForgetVault() {
+    await clearVaultHandle();
+    await updateSettings({ exportTarget: 'downloads', vaultName: '' });
+    await updateVaultSection();
+    vaultStatus.textContent = 'Vault folder forgotten. Exports go to Downloads again.';
+}
+
+async function handleExportTargetChange() {
+    await updateSettings({ exportTarget: exportTargetSelect.value });
+    vaultStatus.textContent = exportTargetSelect.value === 'vault'
+        ? 'Exports are written to the vault folder.'
+        : 'Exports go to the Downloads folder.';
+}
+
+async function handleKeepEditsChange() {
+    await updateSettings({ keepEdits: keepEditsCheckbox.checked });
+    vaultStatus.textContent = keepEditsCheckbox.checked
+        ? 'Merge mode on: your edits are kept when notes are updated.'
+        : 'Merge mode off: updated notes are replaced.';
+}
+
+async function handleRemovedReportChange() {
+    await updateSettings({ removedReport: removedReportCheckbox.checked });
+    removedStatus.textContent = removedReportCheckbox.checked
+        ? 'New/Updated writes a report of deleted and archived conversations.'
+        : 'No report is written.';
+}
+
+async function handleFlagRemovedNotesChange() {
+    await updateSettings({ flagRemovedNotes: flagRemovedNotesCheckbox.checked });
+    removedStatus.textContent = flagRemovedNotesCheckbox.checked
+        ? 'Notes in the vault folder are marked when their conversation is deleted or archived.'
+        : 'Notes are not marked.';
+}
+
+async function init() {
+    const settings = await getSettings();
+    templateInput.value = settings.frontmatterTemplate || DEFAULT_FRONTMATTER_TEMPLATE;
+    pathPatternInput.value = settings.pathPattern || DEFAULT_PATH_PATTERN;
+    pathSpacesSelect.value = settings.pathSpaces || 'underscore';
+    pathCaseSelect.value = settings.pathCase || 'keep';
+    removedReportCheckbox.checked = !!settings.removedReport;
+    flagRemovedNotesCheckbox.checked = !!settings.flagRemovedNotes;
+
+    renderPlaceholders(templateVariables, TEMPLATE_VARIABLES, name => `{{${name}}}`);
+    renderPlaceholders(pathPlaceholders, PATH_PLACEHOLDERS, name => `{${name}}`);
+    updatePreview();
+    updatePathPreview();
+    await updateVaultSection();
+    await loadPreviewConversation();
+}
+
+templateInput.addEventListener('input', () => {
+    templateStatus.textContent = '';
+    updatePreview();
+});
+btnSaveTemplate.addEventListener('click', handleSaveTemplate);
+btnResetTemplate.addEventListener('click', handleResetTemplate);
+
+for (const input of [pathPatternInput, pathSpacesSelect, pathCaseSelect]) {
+    input.addEventListener('input', () => {
+        pathStatus.textContent = '';
+        updatePathPreview();
+        // Parent links in the frontmatter follow the pattern too
+        updatePreview();
+    });
+}
+btnSavePath.addEventListener('click', handleSavePath);
+btnResetPath.addEventListener('click', handleResetPath);
+
+btnPickVault.addEventListener('click', handlePickVault);
+btnForgetVault.addEventListener('click', handleForgetVault);
+exportTargetSelect.addEventListener('change', handleExportTargetChange);
+keepEditsCheckbox.addEventListener('change', handleKeepEditsChange);
+removedReportCheckbox.addEventListener('change', handleRemovedReportChange);
+flagRemovedNotesCheckbox.addEventListener('change', handleFlagRemovedNotesChange);
+
+init();
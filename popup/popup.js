@@ -8,16 +8,46 @@ const connectionStatus = document.getElementById('connectionStatus');
 const exportedCount = document.getElementById('exportedCount');
 const lastSync = document.getElementById('lastSync');
 const downloadFolder = document.getElementById('downloadFolder');
+const downloadFolderHint = document.getElementById('downloadFolderHint');
 const exportLimit = document.getElementById('exportLimit');
-const formatMarkdown = document.getElementById('formatMarkdown');
-const formatJson = document.getElementById('formatJson');
+const branchMode = document.getElementById('branchMode');
+const includeThoughts = document.getElementById('includeThoughts');
+const includeToolTranscript = document.getElementById('includeToolTranscript');
+const canvasHistory = document.getElementById('canvasHistory');
+const appendUpdates = document.getElementById('appendUpdates');
+const includeArchived = document.getElementById('includeArchived');
+const archivedFolder = document.getElementById('archivedFolder');
+const gptFolders = document.getElementById('gptFolders');
+const gptTags = document.getElementById('gptTags');
+const filterCreatedFrom = document.getElementById('filterCreatedFrom');
+const filterCreatedTo = document.getElementById('filterCreatedTo');
+const filterUpdatedFrom = document.getElementById('filterUpdatedFrom');
+const filterUpdatedTo = document.getElementById('filterUpdatedTo');
+const filterIncludeProjects = document.getElementById('filterIncludeProjects');
+const filterExcludeProjects = document.getElementById('filterExcludeProjects');
+const filterTitlePattern = document.getElementById('filterTitlePattern');
+const filterMinMessages = document.getElementById('filterMinMessages');
+const filterHint = document.getElementById('filterHint');
+const attachmentImages = document.getElementById('attachmentImages');
+const attachmentGenerated = document.getElementById('attachmentGenerated');
+const attachmentFiles = document.getElementById('attachmentFiles');
+const attachmentMaxSize = document.getElementById('attachmentMaxSize');
+// Format checkboxes carry the registry ID of their format (see export/formats.js)
+const formatCheckboxes = document.querySelectorAll('input[data-format]');
 const btnExportNew = document.getElementById('btnExportNew');
 const btnExportCurrent = document.getElementById('btnExportCurrent');
 const btnExportAll = document.getElementById('btnExportAll');
+const btnResumeExport = document.getElementById('btnResumeExport');
+const btnDiscardJob = document.getElementById('btnDiscardJob');
+const resumeSection = document.getElementById('resumeSection');
+const resumeText = document.getElementById('resumeText');
 const btnCancelProcess = document.getElementById('btnCancelProcess');
 const btnClearHistory = document.getElementById('btnClearHistory');
 const btnClearLog = document.getElementById('btnClearLog');
 const btnPopout = document.getElementById('btnPopout');
+const btnOptions = document.getElementById('btnOptions');
+const btnChooseConversations = document.getElementById('btnChooseConversations');
+const btnExportProject = document.getElementById('btnExportProject');
 const progressSection = document.getElementById('progressSection');
 const progressFill = document.getElementById('progressFill');
 const progressText = document.getElementById('progressText');
@@ -110,22 +140,99 @@ async function loadSettings() {
 
     downloadFolder.value = settings.downloadFolder || '';
     exportLimit.value = settings.exportLimit || '';
+    branchMode.value = settings.branches || 'current';
+    includeThoughts.checked = !!settings.thoughts;
+    includeToolTranscript.checked = !!settings.toolTranscript;
+    canvasHistory.checked = !!settings.canvasHistory;
+    appendUpdates.checked = !!settings.appendUpdates;
+    includeArchived.checked = !!settings.includeArchived;
+    archivedFolder.checked = !!settings.archivedFolder;
+    gptFolders.checked = !!settings.gptFolders;
+    gptTags.checked = !!settings.gptTags;
+    const filter = settings.filter || {};
+    filterCreatedFrom.value = filter.createdFrom || '';
+    filterCreatedTo.value = filter.createdTo || '';
+    filterUpdatedFrom.value = filter.updatedFrom || '';
+    filterUpdatedTo.value = filter.updatedTo || '';
+    filterIncludeProjects.value = filter.includeProjects || '';
+    filterExcludeProjects.value = filter.excludeProjects || '';
+    filterTitlePattern.value = filter.titlePattern || '';
+    filterMinMessages.value = filter.minMessages || '';
+    updateFilterHint(filter);
+    attachmentImages.checked = !!settings.attachmentImages;
+    attachmentGenerated.checked = !!settings.attachmentGenerated;
+    attachmentFiles.checked = !!settings.attachmentFiles;
+    attachmentMaxSize.value = settings.attachmentMaxSizeMB || '';
+
+    // Exports into the vault folder ignore the Downloads subfolder
+    if (settings.exportTarget === 'vault') {
+        downloadFolder.disabled = true;
+        downloadFolderHint.textContent = `Saving into the vault folder "${settings.vaultName}" (change in ⚙ settings)`;
+    }
     log('Settings loaded');
 }
 
 /**
  * Save settings to storage
+ * Settings edited on the options page are kept
  */
 async function saveSettings() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
     const settings = {
+        ...(result[SETTINGS_KEY] || {}),
         downloadFolder: downloadFolder.value.trim(),
-        exportLimit: parseInt(exportLimit.value) || 0
+        exportLimit: parseInt(exportLimit.value) || 0,
+        branches: branchMode.value,
+        thoughts: includeThoughts.checked,
+        toolTranscript: includeToolTranscript.checked,
+        canvasHistory: canvasHistory.checked,
+        appendUpdates: appendUpdates.checked,
+        includeArchived: includeArchived.checked,
+        archivedFolder: archivedFolder.checked,
+        gptFolders: gptFolders.checked,
+        gptTags: gptTags.checked,
+        filter: {
+            createdFrom: filterCreatedFrom.value,
+            createdTo: filterCreatedTo.value,
+            updatedFrom: filterUpdatedFrom.value,
+            updatedTo: filterUpdatedTo.value,
+            includeProjects: filterIncludeProjects.value.trim(),
+            excludeProjects: filterExcludeProjects.value.trim(),
+            titlePattern: filterTitlePattern.value.trim(),
+            minMessages: parseInt(filterMinMessages.value) || 0
+        },
+        attachmentImages: attachmentImages.checked,
+        attachmentGenerated: attachmentGenerated.checked,
+        attachmentFiles: attachmentFiles.checked,
+        attachmentMaxSizeMB: parseInt(attachmentMaxSize.value) || 0
     };
     await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    updateFilterHint(settings.filter);
     log('Settings saved');
     return settings;
 }
 
+/**
+ * Show whether filters are set, and warn about a title pattern that is no regular expression
+ * (the export itself rejects invalid filters, see sync/filter.js)
+ */
+function updateFilterHint(filter) {
+    let invalid = '';
+    if (filter.titlePattern) {
+        try {
+            new RegExp(filter.titlePattern, 'i');
+        } catch (error) {
+            invalid = `Invalid title pattern: ${error.message}`;
+        }
+    }
+
+    const active = Object.values(filter).some(value => value);
+    filterHint.textContent = invalid ||
+        (active ? 'Filters set - Export All and Export New/Updated only export matching conversations'
+            : 'Apply to Export All and Export New/Updated');
+    filterHint.classList.toggle('warning', !!invalid || active);
+}
+
 /**
  * Format relative time
  */
@@ -204,15 +311,37 @@ async function updateStats() {
     }
 }
 
+/**
+ * Unfinished export job persisted by the background worker (if any)
+ */
+let pendingJob = null;
+
+/**
+ * Show or hide the resume prompt for an unfinished export
+ */
+async function updatePendingJob() {
+    const result = await sendMessage({ action: 'getPendingJob' });
+    pendingJob = result && !result.error ? result.job : null;
+
+    if (!pendingJob) {
+        resumeSection.classList.add('hidden');
+        return;
+    }
+
+    const typeLabel = { new: 'New/Updated', selected: 'Selected', project: 'Project' }[pendingJob.type] || 'All';
+    resumeText.textContent = `Unfinished "${typeLabel}" export from ${formatRelativeTime(pendingJob.createdAt)}: ` +
+        `${pendingJob.fetched}/${pendingJob.total} conversations fetched.`;
+    resumeSection.classList.remove('hidden');
+}
+
 /**
  * Get selected formats and settings
  */
 function getExportOptions() {
     return {
-        formats: {
-            markdown: formatMarkdown.checked,
-            json: formatJson.checked
-        },
+        formats: Object.fromEntries(
+            [...formatCheckboxes].map(checkbox => [checkbox.dataset.format, checkbox.checked])
+        ),
         downloadFolder: downloadFolder.value.trim(),
         limit: parseInt(exportLimit.value) || 0
     };
@@ -244,6 +373,19 @@ function showProgress(phase, current, total) {
             phaseText = `Creating ZIP archive... ${total} files`;
             percent = 90;
             break;
+        case 'saving_part':
+            // Parts are saved while conversations are still being fetched - keep the bar where it is
+            phaseText = `Saving ZIP part ${current} (${total} files)...`;
+            percent = parseFloat(progressFill.style.width) || 50;
+            break;
+        case 'checking_removed':
+            phaseText = `Checking conversations missing from the list... ${current}/${total}`;
+            percent = 25;
+            break;
+        case 'saving_vault':
+            phaseText = `Writing ${total} files to the vault folder...`;
+            percent = parseFloat(progressFill.style.width) || 50;
+            break;
         case 'complete':
             phaseText = `Export complete! ${total} files`;
             percent = 100;
@@ -280,24 +422,112 @@ function showComplete(message) {
     }, 3000);
 }
 
+/**
+ * Summarize a finished export, including the conversations "New/Updated" skipped
+ * because only their update time changed, the ones that were renamed or moved
+ * and the ones found deleted or archived in ChatGPT
+ */
+function describeExportResult(result) {
+    const changes = result.changes || { unchanged: 0, renamed: [], moved: [] };
+    const removed = result.removed || { deleted: [], archived: [], restored: [] };
+    for (const entry of changes.renamed) {
+        log(`Renamed: "${entry.previousTitle}" → "${entry.title}"`);
+    }
+    for (const entry of changes.moved) {
+        log(`Moved: "${entry.title}" from ${entry.previousProject || 'no project'} to ${entry.project || 'no project'}`);
+    }
+
+    for (const title of removed.deleted) {
+        log(`Deleted in ChatGPT: "${title}"`);
+    }
+    for (const title of removed.archived) {
+        log(`Archived in ChatGPT: "${title}"`);
+    }
+    for (const title of removed.restored) {
+        log(`Back in ChatGPT: "${title}"`);
+    }
+
+    const notes = [];
+    if (changes.renamed.length > 0) {
+        notes.push(`${changes.renamed.length} renamed`);
+    }
+    if (changes.moved.length > 0) {
+        notes.push(`${changes.moved.length} moved`);
+    }
+    if (changes.unchanged > 0) {
+        notes.push(`${changes.unchanged} unchanged skipped`);
+    }
+    if (changes.short > 0) {
+        notes.push(`${changes.short} below the minimum messages skipped`);
+    }
+    if (removed.deleted.length > 0) {
+        notes.push(`${removed.deleted.length} deleted in ChatGPT`);
+    }
+    if (removed.archived.length > 0) {
+        notes.push(`${removed.archived.length} archived in ChatGPT`);
+    }
+
+    const summary = result.totalExported === 0
+        ? (result.message || 'Nothing to export!')
+        : `✓ Exported ${result.totalExported} conversation(s)`;
+    return notes.length > 0 ? `${summary} (${notes.join(', ')})` : summary;
+}
+
+/**
+ * When exports go to the vault folder, make sure it may still be written to
+ * Chrome asks again after a restart, and asking needs this click - so this runs
+ * before anything else
+ * @returns {Promise<boolean>} False if there is no folder or access was refused
+ */
+async function ensureVaultAccess() {
+    const result = await chrome.storage.local.get(SETTINGS_KEY);
+    if (result[SETTINGS_KEY]?.exportTarget !== 'vault') {
+        return true;
+    }
+
+    const { getVaultHandle, ensureVaultPermission } = await import('../lib/vault.js');
+    const handle = await getVaultHandle();
+    if (!handle) {
+        alert('No vault folder chosen. Pick one in the ⚙ settings, or save to Downloads there.');
+        return false;
+    }
+    if (!await ensureVaultPermission(handle, true)) {
+        log(`Access to vault folder "${handle.name}" refused`, 'error');
+        alert(`Access to the vault folder "${handle.name}" was not allowed.`);
+        return false;
+    }
+    return true;
+}
+
 /**
  * Handle export button click
  */
 async function handleExport(exportType) {
+    if (!await ensureVaultAccess()) {
+        return;
+    }
+
     const options = getExportOptions();
     log(`Starting export: ${exportType}, limit: ${options.limit}, folder: ${options.downloadFolder || '(default)'}`);
 
-    if (!options.formats.markdown && !options.formats.json) {
+    if (!Object.values(options.formats).some(Boolean)) {
         alert('Please select at least one export format.');
         return;
     }
 
+    if (pendingJob && exportType !== 'current' &&
+        !confirm('An unfinished export exists. Starting a new export will discard it. Continue?')) {
+        return;
+    }
+
     // Save settings before export
     await saveSettings();
 
     btnExportNew.disabled = true;
     btnExportCurrent.disabled = true;
     btnExportAll.disabled = true;
+    btnResumeExport.disabled = true;
+    resumeSection.classList.add('hidden');
 
     try {
         const actionMap = {
@@ -321,10 +551,8 @@ async function handleExport(exportType) {
             throw new Error(result.error);
         }
 
-        if (result?.totalExported === 0) {
-            showComplete(result.message || 'Nothing to export!');
-        } else if (result?.totalExported > 0) {
-            showComplete(`✓ Exported ${result.totalExported} conversation(s)`);
+        if (result?.totalExported >= 0) {
+            showComplete(describeExportResult(result));
         } else {
             log('Unexpected result format', 'error');
         }
@@ -336,15 +564,67 @@ async function handleExport(exportType) {
     } finally {
         btnExportNew.disabled = false;
         btnExportAll.disabled = false;
+        btnResumeExport.disabled = false;
+        await updateCurrentConversationAvailability();
+        await updatePendingJob();
+    }
+}
+
+/**
+ * Handle resume of an unfinished export
+ */
+async function handleResumeExport() {
+    if (!await ensureVaultAccess()) {
+        return;
+    }
+
+    btnExportNew.disabled = true;
+    btnExportCurrent.disabled = true;
+    btnExportAll.disabled = true;
+    btnResumeExport.disabled = true;
+    resumeSection.classList.add('hidden');
+
+    try {
+        const result = await sendMessage({ action: 'resumeExport' });
+
+        if (result?.error) {
+            throw new Error(result.error);
+        }
+
+        showComplete(describeExportResult(result));
+    } catch (error) {
+        log(`Resume failed: ${error.message}`, 'error');
+        hideProgress();
+        alert(`Resume failed: ${error.message}`);
+    } finally {
+        btnExportNew.disabled = false;
+        btnExportAll.disabled = false;
+        btnResumeExport.disabled = false;
         await updateCurrentConversationAvailability();
+        await updatePendingJob();
+    }
+}
+
+/**
+ * Handle discard of an unfinished export
+ */
+async function handleDiscardJob() {
+    if (!confirm('Discard the unfinished export? Conversations fetched so far will be lost.')) {
+        return;
+    }
+
+    const result = await sendMessage({ action: 'discardPendingJob' });
+    if (result && !result.error) {
+        log('Unfinished export discarded');
     }
+    await updatePendingJob();
 }
 
 /**
  * Handle cancel current process
  */
 async function handleCancelProcess() {
-    if (!confirm('Cancel the current export process? Progress will be lost.')) {
+    if (!confirm('Cancel the current export process? You can resume it later.')) {
         return;
     }
 
@@ -384,11 +664,30 @@ chrome.runtime.onMessage.addListener((message) => {
 // Auto-save settings on change
 downloadFolder.addEventListener('change', saveSettings);
 exportLimit.addEventListener('change', saveSettings);
+branchMode.addEventListener('change', saveSettings);
+includeThoughts.addEventListener('change', saveSettings);
+includeToolTranscript.addEventListener('change', saveSettings);
+canvasHistory.addEventListener('change', saveSettings);
+appendUpdates.addEventListener('change', saveSettings);
+includeArchived.addEventListener('change', saveSettings);
+archivedFolder.addEventListener('change', saveSettings);
+gptFolders.addEventListener('change', saveSettings);
+gptTags.addEventListener('change', saveSettings);
+for (const input of [filterCreatedFrom, filterCreatedTo, filterUpdatedFrom, filterUpdatedTo,
+    filterIncludeProjects, filterExcludeProjects, filterTitlePattern, filterMinMessages]) {
+    input.addEventListener('change', saveSettings);
+}
+attachmentImages.addEventListener('change', saveSettings);
+attachmentGenerated.addEventListener('change', saveSettings);
+attachmentFiles.addEventListener('change', saveSettings);
+attachmentMaxSize.addEventListener('change', saveSettings);
 
 // Event listeners
 btnExportNew.addEventListener('click', () => handleExport('new'));
 btnExportCurrent.addEventListener('click', () => handleExport('current'));
 btnExportAll.addEventListener('click', () => handleExport('all'));
+btnResumeExport.addEventListener('click', handleResumeExport);
+btnDiscardJob.addEventListener('click', handleDiscardJob);
 btnCancelProcess.addEventListener('click', handleCancelProcess);
 btnClearHistory.addEventListener('click', handleClearHistory);
 btnClearLog.addEventListener('click', clearLog);
@@ -396,20 +695,33 @@ if (btnPopout) {
     btnPopout.addEventListener('click', handlePopout);
 }
 
+btnOptions.addEventListener('click', () => chrome.runtime.openOptionsPage());
+btnChooseConversations.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('browse/browse.html') });
+});
+btnExportProject.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('browse/projects.html') });
+});
+
 /**
  * Check if an export is currently running and show progress
  */
 async function checkExportState() {
     const state = await sendMessage({ action: 'getExportState' });
 
-    if (state && state.isRunning && state.phase) {
-        log(`Export in progress: ${state.phase} ${state.current}/${state.total}`);
-        showProgress(state.phase, state.current, state.total);
+    if (state && state.isRunning) {
+        // The phase is only set once the export reports its first progress
+        if (state.phase) {
+            log(`Export in progress: ${state.phase} ${state.current}/${state.total}`);
+            showProgress(state.phase, state.current, state.total);
+        }
 
         // Disable buttons while export is running
         btnExportNew.disabled = true;
         btnExportCurrent.disabled = true;
         btnExportAll.disabled = true;
+        btnResumeExport.disabled = true;
+        resumeSection.classList.add('hidden');
     }
 }
 
@@ -420,5 +732,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     await updateConnectionStatus();
     await updateCurrentConversationAvailability();
     await updateStats();
+    await updatePendingJob();
     await checkExportState(); // Check if export is already running
 });
@@ -0,0 +1,214 @@
+/**
+ * Export Filter Module
+ * Narrows "Export All" and "Export New/Updated" down to the conversations
+ * matching the filters of the popup: created and updated date ranges,
+ * included or excluded projects, a title pattern and a minimum message count
+ *
+ * All filters but the message count are checked against the conversation
+ * list, before any conversation is downloaded, and projects that cannot match
+ * are not listed at all. The message count is only known once a conversation
+ * has been downloaded, so shorter conversations are downloaded but not saved.
+ */
+
+import { countMessages } from '../export/markdown.js';
+
+/**
+ * Split a comma-separated list of project names (compared without case)
+ */
+function parseProjectList(text) {
+    return String(text || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Get the first or last millisecond of a YYYY-MM-DD day in local time
+ * @returns {number|null}
+ */
+function parseDay(value, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+    const time = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Convert a list time (seconds or ISO string) to milliseconds
+ * @returns {number|null}
+ */
+function toTimestamp(value) {
+    if (!value) {
+        return null;
+    }
+    const time = typeof value === 'number' ? value * 1000 : new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Check the filter settings of the popup
+ *
+ * @param {Object} settings - {createdFrom, createdTo, updatedFrom, updatedTo, includeProjects,
+ *   excludeProjects, titlePattern, minMessages}, dates as YYYY-MM-DD, projects comma-separated
+ * @returns {string[]} Error messages, empty if valid
+ */
+function validateFilter(settings = {}) {
+    const errors = [];
+
+    for (const [from, to, label] of [['createdFrom', 'createdTo', 'Created'], ['updatedFrom', 'updatedTo', 'Updated']]) {
+        const start = parseDay(settings[from]);
+        const end = parseDay(settings[to], true);
+        if ((settings[from] && start === null) || (settings[to] && end === null)) {
+            errors.push(`${label}: invalid date`);
+        } else if (start !== null && end !== null && start > end) {
+            errors.push(`${label}: the start date is after the end date`);
+        }
+    }
+
+    if (settings.titlePattern) {
+        try {
+            new RegExp(settings.titlePattern, 'i');
+        } catch (error) {
+            errors.push(`Title pattern: ${error.message}`);
+        }
+    }
+
+    if (settings.minMessages && !(Number(settings.minMessages) >= 0)) {
+        errors.push('Minimum messages: not a number');
+    }
+
+    return errors;
+}
+
+/**
+ * Turn the filter settings into a filter
+ *
+ * @param {Object} [settings] - See validateFilter
+ * @returns {Object|null} null if no filter is set
+ * @throws {Error} If the settings are invalid
+ */
+function createFilter(settings) {
+    if (!settings) {
+        return null;
+    }
+    const errors = validateFilter(settings);
+    if (errors.length > 0) {
+        throw new Error(`Invalid filter - ${errors.join('; ')}`);
+    }
+
+    const filter = {
+        createdFrom: parseDay(settings.createdFrom),
+        createdTo: parseDay(settings.createdTo, true),
+        updatedFrom: parseDay(settings.updatedFrom),
+        updatedTo: parseDay(settings.updatedTo, true),
+        includeProjects: parseProjectList(settings.includeProjects),
+        excludeProjects: parseProjectList(settings.excludeProjects),
+        titlePattern: settings.titlePattern ? new RegExp(settings.titlePattern, 'i') : null,
+        minMessages: Number(settings.minMessages) || 0
+    };
+
+    return filtersList(filter) || filter.minMessages > 0 ? filter : null;
+}
+
+/**
+ * Check whether a project's conversations can match (so it needs to be listed)
+ * @param {string} projectName
+ * @param {Object|null} filter
+ */
+function matchesProject(projectName, filter) {
+    if (!filter) {
+        return true;
+    }
+    const name = (projectName || '').trim().toLowerCase();
+    if (filter.includeProjects.length > 0 && !filter.includeProjects.includes(name)) {
+        return false;
+    }
+    return !filter.excludeProjects.includes(name);
+}
+
+/**
+ * Check whether conversations outside projects can match
+ * Only included projects are exported once any is named
+ */
+function matchesUnfiled(filter) {
+    return !filter || filter.includeProjects.length === 0;
+}
+
+/**
+ * Check whether a time is in a range; unknown times never are
+ */
+function isInRange(value, from, to) {
+    if (from === null && to === null) {
+        return true;
+    }
+    const time = toTimestamp(value);
+    return time !== null && (from === null || time >= from) && (to === null || time <= to);
+}
+
+/**
+ * Check whether a filter leaves out conversations from the list
+ * (anything but the minimum message count, which is checked later)
+ */
+function filtersList(filter) {
+    return !!filter && (filter.createdFrom !== null || filter.createdTo !== null ||
+        filter.updatedFrom !== null || filter.updatedTo !== null ||
+        filter.includeProjects.length > 0 || filter.excludeProjects.length > 0 ||
+        filter.titlePattern !== null);
+}
+
+/**
+ * Check a conversation list entry against everything but the message count
+ *
+ * @param {Object} meta - Entry of the conversation list (title, create_time, update_time, _projectName)
+ * @param {Object|null} filter
+ */
+function matchesFilter(meta, filter) {
+    if (!filter) {
+        return true;
+    }
+    if (meta._projectName ? !matchesProject(meta._projectName, filter) : !matchesUnfiled(filter)) {
+        return false;
+    }
+    if (!isInRange(meta.create_time, filter.createdFrom, filter.createdTo) ||
+        !isInRange(meta.update_time, filter.updatedFrom, filter.updatedTo)) {
+        return false;
+    }
+    return !filter.titlePattern || filter.titlePattern.test(meta.title || '');
+}
+
+/**
+ * Check whether a list page is entirely older than the updated range
+ * The conversation list is sorted by update time, newest first, so the pages
+ * after it cannot match either
+ */
+function isBeforeUpdatedRange(items, filter) {
+    if (!filter || filter.updatedFrom === null || items.length === 0) {
+        return false;
+    }
+    return items.every(meta => {
+        const time = toTimestamp(meta.update_time);
+        return time !== null && time < filter.updatedFrom;
+    });
+}
+
+/**
+ * Check whether a downloaded conversation has fewer messages than the minimum
+ *
+ * @param {Object} conversation - Full conversation
+ * @param {number} minMessages - 0 for no minimum
+ */
+function isShortConversation(conversation, minMessages) {
+    return minMessages > 0 && countMessages(conversation) < minMessages;
+}
+
+export {
+    validateFilter,
+    createFilter,
+    matchesProject,
+    matchesUnfiled,
+    filtersList,
+    matchesFilter,
+    isBeforeUpdatedRange,
+    isShortConversation
+};
@@ -0,0 +1,194 @@
+/**
+ * Export Job Module
+ * Persists a checkpoint of the running export (pending, fetched and
+ * downloaded conversations) so it can be resumed after the service worker
+ * is killed or the browser is closed
+ */
+
+const JOB_KEY = 'gpt_exporter_export_job';
+const CONVERSATION_KEY_PREFIX = 'gpt_exporter_job_conversation_';
+
+/**
+ * Storage key for a fetched conversation of the current job
+ * Conversations are stored under their own keys so the job record itself
+ * stays small and can be rewritten after every fetch
+ * @param {string} conversationId
+ */
+function conversationKey(conversationId) {
+    return `${CONVERSATION_KEY_PREFIX}${conversationId}`;
+}
+
+/**
+ * Get the persisted export job, or null if there is none
+ */
+async function getJob() {
+    const result = await chrome.storage.local.get(JOB_KEY);
+    return result[JOB_KEY] || null;
+}
+
+/**
+ * Save the export job checkpoint
+ */
+async function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    await chrome.storage.local.set({ [JOB_KEY]: job });
+}
+
+/**
+ * Create and persist a new export job, replacing any previous one
+ * @param {Object} params
+ * @param {string} params.type - Export type ('all', 'new', 'selected' or 'project')
+ * @param {Object} params.formats - Selected export formats
+ * @param {string} params.folder - Download folder
+ * @param {string} [params.target] - Where files are saved: 'downloads' (default) or 'vault'
+ * @param {Object} params.renderOptions - Markdown rendering options (see conversationToMarkdown)
+ * @param {Array} params.conversations - Conversation metadata to export (in order)
+ * @param {number} [params.minMessages] - Skip conversations with fewer messages (see sync/filter.js)
+ */
+async function createJob({ type, formats, folder, target = 'downloads', renderOptions, conversations, minMessages = 0 }) {
+    await clearJob();
+
+    // Project metadata only exists in the list responses, so keep it in the
+    // job to merge into the full conversations after a resume
+    const projectInfo = {};
+    for (const meta of conversations) {
+        if (meta._projectId) {
+            projectInfo[meta.id] = {
+                _projectId: meta._projectId,
+                _projectName: meta._projectName
+            };
+        }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        type,
+        formats,
+        folder,
+        target,
+        renderOptions,
+        createdAt: now,
+        updatedAt: now,
+        total: conversations.length,
+        pendingIds: conversations.map(c => c.id),
+        fetchedIds: [],
+        downloadedIds: [],
+        partNumber: 0,
+        projectInfo,
+        minMessages,
+        // "new" jobs: candidates skipped as unchanged, and renamed or moved ones (see skipUnchangedConversations);
+        // short: conversations skipped for having fewer than minMessages messages
+        changes: { unchanged: 0, renamed: [], moved: [], short: 0 }
+    };
+
+    await saveJob(job);
+    return job;
+}
+
+/**
+ * Store a fetched conversation and move it from pending to fetched
+ * @param {Object} job - The current job (updated in place)
+ * @param {string} conversationId - The ID the conversation was requested with
+ * @param {Object} conversation - Full conversation object
+ */
+async function saveFetchedConversation(job, conversationId, conversation) {
+    await chrome.storage.local.set({ [conversationKey(conversationId)]: conversation });
+
+    job.pendingIds = job.pendingIds.filter(id => id !== conversationId);
+    if (!job.fetchedIds.includes(conversationId)) {
+        job.fetchedIds.push(conversationId);
+    }
+    await saveJob(job);
+}
+
+/**
+ * Load the fetched conversations of a job that were not downloaded yet, in fetch order
+ * Project metadata from the original list is merged back in
+ * @param {Object} job
+ */
+async function loadFetchedConversations(job) {
+    const ids = job.fetchedIds.filter(id => !job.downloadedIds.includes(id));
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const result = await chrome.storage.local.get(ids.map(conversationKey));
+    const conversations = [];
+
+    for (const id of ids) {
+        const conversation = result[conversationKey(id)];
+        if (!conversation) {
+            continue;
+        }
+
+        const projectInfo = job.projectInfo[id];
+        if (projectInfo) {
+            conversation._projectId = projectInfo._projectId;
+            conversation._projectName = projectInfo._projectName;
+        }
+        conversations.push(conversation);
+    }
+
+    return conversations;
+}
+
+/**
+ * Record conversations whose files were downloaded
+ * Their stored copies are no longer needed and are removed
+ * @param {Object} job - The current job (updated in place)
+ * @param {string[]} conversationIds
+ */
+async function markJobDownloaded(job, conversationIds) {
+    for (const id of conversationIds) {
+        if (!job.downloadedIds.includes(id)) {
+            job.downloadedIds.push(id);
+        }
+    }
+    await saveJob(job);
+    await chrome.storage.local.remove(conversationIds.map(conversationKey));
+}
+
+/**
+ * Delete the job checkpoint and all conversations stored for it
+ */
+async function clearJob() {
+    const job = await getJob();
+    const keys = [JOB_KEY];
+
+    if (job) {
+        keys.push(...job.fetchedIds.map(conversationKey));
+    }
+
+    await chrome.storage.local.remove(keys);
+}
+
+/**
+ * Get a summary of the persisted job for display in the popup
+ */
+async function getJobSummary() {
+    const job = await getJob();
+    if (!job) {
+        return null;
+    }
+
+    return {
+        type: job.type,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        total: job.total,
+        fetched: job.fetchedIds.length,
+        pending: job.pendingIds.length,
+        downloaded: job.downloadedIds.length
+    };
+}
+
+export {
+    getJob,
+    saveJob,
+    createJob,
+    saveFetchedConversation,
+    loadFetchedConversations,
+    markJobDownloaded,
+    clearJob,
+    getJobSummary
+};
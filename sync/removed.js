@@ -0,0 +1,116 @@
+/**
+ * Removed Conversations Module
+ * Notices exported conversations that were deleted or archived in ChatGPT
+ *
+ * The conversation list leaves out archived and deleted conversations, so an
+ * exported conversation missing from a complete list is looked up once: a
+ * 404 means it was deleted, is_archived that it was archived. The result is
+ * kept in its sync data entry as `upstream` ('deleted' or 'archived') and can
+ * be listed in a report note or set as a property of the note.
+ */
+
+const REPORT_FILENAME = 'Deleted_and_Archived_Conversations.md';
+
+// Frontmatter property set on notes of removed conversations
+const UPSTREAM_PROPERTIES = {
+    deleted: 'deleted-upstream',
+    archived: 'archived'
+};
+
+/**
+ * Find exported conversations that are missing from the conversation list
+ * Conversations already known to be removed are not looked up again
+ *
+ * @param {Object} exportedConversations - From the sync data
+ * @param {Set<string>} listedIds - IDs in the complete conversation list
+ * @returns {string[]}
+ */
+function findMissingConversations(exportedConversations, listedIds) {
+    return Object.keys(exportedConversations)
+        .filter(id => !listedIds.has(id) && !exportedConversations[id].upstream);
+}
+
+/**
+ * Find conversations known to be removed that are listed again (e.g. unarchived)
+ *
+ * @param {Object} exportedConversations - From the sync data
+ * @param {Set<string>} listedIds - IDs in the complete conversation list
+ * @returns {string[]}
+ */
+function findReappearedConversations(exportedConversations, listedIds) {
+    return Object.keys(exportedConversations)
+        .filter(id => listedIds.has(id) && exportedConversations[id].upstream);
+}
+
+/**
+ * Tell from the response to a conversation request whether it was removed
+ *
+ * @param {Object} response - Conversation, or {error} from the content script
+ * @returns {string|null} 'deleted', 'archived', or null if it still exists or the request failed otherwise
+ */
+function getUpstreamStatus(response) {
+    if (response?.error) {
+        return /\b404\b/.test(response.error) ? 'deleted' : null;
+    }
+    return response?.is_archived ? 'archived' : null;
+}
+
+/**
+ * Get the frontmatter property for a removed conversation's note
+ *
+ * @param {string} status - 'deleted' or 'archived'
+ * @returns {string} Property name, set to true
+ */
+function getUpstreamProperty(status) {
+    return UPSTREAM_PROPERTIES[status];
+}
+
+/**
+ * Build the report note listing all removed conversations
+ * Notes are linked by name (the last part of the recorded path)
+ *
+ * @param {Object} exportedConversations - From the sync data
+ * @returns {{filename: string, content: string, mimeType: string}}
+ */
+function buildRemovedReport(exportedConversations) {
+    const sections = { deleted: [], archived: [] };
+
+    for (const [id, exported] of Object.entries(exportedConversations)) {
+        if (!sections[exported.upstream]) {
+            continue;
+        }
+        const name = exported.path ? exported.path.split('/').pop() : null;
+        const link = name ? `[[${name}]]` : (exported.title || id);
+        sections[exported.upstream].push(`- ${link} (since ${exported.upstreamSince || 'unknown'})`);
+    }
+
+    const lines = [
+        '---',
+        'tags:',
+        '  - gpt-exporter-report',
+        `updated: ${new Date().toISOString().slice(0, 16)}`,
+        '---',
+        '',
+        '# Deleted and archived conversations',
+        '',
+        'Exported conversations that are no longer in your ChatGPT conversation list.'
+    ];
+    for (const [status, title] of [['deleted', 'Deleted in ChatGPT'], ['archived', 'Archived in ChatGPT']]) {
+        lines.push('', `## ${title}`, '');
+        lines.push(...(sections[status].length > 0 ? sections[status].sort() : ['None.']));
+    }
+
+    return {
+        filename: REPORT_FILENAME,
+        content: lines.join('\n'),
+        mimeType: 'text/markdown'
+    };
+}
+
+export {
+    findMissingConversations,
+    findReappearedConversations,
+    getUpstreamStatus,
+    getUpstreamProperty,
+    buildRemovedReport
+};
@@ -0,0 +1,88 @@
+/**
+ * Rename Tracking Module
+ * Follows conversations that were renamed or moved to another project
+ *
+ * The file path of a conversation depends on its title and project, so a
+ * rename or move writes new files and the old ones would stay behind. The
+ * sync data records the path of the last export (see describeExport). When
+ * it changed, the rendered files carry the path they replace in
+ * `previousFilename`: vault folders and the command line move the files,
+ * downloads get a rename manifest instead. Old note names are kept as aliases.
+ */
+
+import { getNotePath } from '../export/markdown.js';
+
+/**
+ * Get the last path segment (the note name)
+ */
+function getPathName(path) {
+    return path.split('/').pop();
+}
+
+/**
+ * Compare a conversation's path with the one of its last export
+ * Sets conversation._previousNames (earlier note names, used as aliases)
+ *
+ * @param {Object} conversation - Full conversation object (updated in place)
+ * @param {Object|undefined} exported - Its entry in exportedConversations
+ * @param {Object} [renderOptions] - Path pattern settings
+ * @returns {{from: string, to: string}|null} Old and new path (without extension), null if unchanged
+ */
+function trackRename(conversation, exported, renderOptions = {}) {
+    const path = getNotePath(conversation, renderOptions);
+    const previousNames = [...(exported?.previousNames || [])];
+    let rename = null;
+
+    if (exported?.path && exported.path !== path) {
+        rename = { from: exported.path, to: path };
+        previousNames.push(getPathName(exported.path));
+    }
+
+    const name = getPathName(path);
+    conversation._previousNames = [...new Set(previousNames)].filter(previousName => previousName !== name);
+    return rename;
+}
+
+/**
+ * Record the path each rendered file replaces
+ * Covers all files named after the note: every format, branch notes and canvas files
+ *
+ * @param {Array} files - Rendered files (updated in place)
+ * @param {{from: string, to: string}} rename
+ */
+function markMovedFiles(files, rename) {
+    for (const file of files) {
+        if (!file.isBase64 && file.filename.startsWith(rename.to)) {
+            file.previousFilename = rename.from + file.filename.slice(rename.to.length);
+        }
+    }
+}
+
+/**
+ * Build the rename manifest for files saved where they cannot be moved (Downloads, ZIPs)
+ *
+ * @param {Array} files - Files to save
+ * @returns {Object|null} JSON file listing {from, to} per moved file, null if nothing moved
+ */
+function buildRenameManifest(files) {
+    const moves = files
+        .filter(file => file.previousFilename)
+        .map(file => ({ from: file.previousFilename, to: file.filename }));
+
+    if (moves.length === 0) {
+        return null;
+    }
+
+    const day = new Date().toISOString().split('T')[0];
+    return {
+        filename: `ChatGPT_Renames_${day}.json`,
+        content: JSON.stringify({ generatedAt: new Date().toISOString(), moves }, null, 2),
+        mimeType: 'application/json'
+    };
+}
+
+export {
+    trackRename,
+    markMovedFiles,
+    buildRenameManifest
+};
@@ -1,8 +1,16 @@
 /**
  * Sync Tracker Module
  * Tracks which conversations have been exported and when
+ *
+ * Each entry of exportedConversations also keeps a hash of the exported
+ * messages, the title, the project and the note path, so a bumped update_time
+ * can be told apart from an actual change (see compareWithExport) and renamed
+ * notes can be moved (see sync/renames.js). Creation time, model and message
+ * count are kept for the index notes (see export/index-notes.js).
  */
 
+import { getContentHash, getNotePath, detectModel, countMessages } from '../export/markdown.js';
+
 const STORAGE_KEY = 'gpt_exporter_sync_data';
 
 /**
@@ -38,18 +46,86 @@ async function markExported(conversationId, updateTime) {
     await saveSyncData(data);
 }
 
+/**
+ * Convert a conversation time (seconds or ISO string) to an ISO string
+ */
+function toIsoTime(time) {
+    return typeof time === 'number' ? new Date(time * 1000).toISOString() : time;
+}
+
+/**
+ * Describe an exported conversation for its entry in exportedConversations
+ * @param {Object} conversation - Full conversation object
+ * @param {Object} [renderOptions] - Path pattern settings the files were written with
+ * @returns {Object} {id, updateTime, createTime, lastNodeId, contentHash, title, projectId, projectName,
+ *   path, previousNames, model, messageCount}
+ *   lastNodeId is the conversation's current_node, where append mode continues;
+ *   path and previousNames are the note path and earlier note names (see sync/renames.js)
+ */
+function describeExport(conversation, renderOptions = {}) {
+    const updateTime = conversation.update_time;
+
+    return {
+        id: conversation.conversation_id || conversation.id,
+        updateTime: updateTime ? toIsoTime(updateTime) : new Date().toISOString(),
+        createTime: conversation.create_time ? toIsoTime(conversation.create_time) : null,
+        lastNodeId: conversation.current_node || null,
+        contentHash: getContentHash(conversation),
+        title: conversation.title || '',
+        projectId: conversation._projectId || null,
+        projectName: conversation._projectName || null,
+        path: getNotePath(conversation, renderOptions),
+        previousNames: conversation._previousNames || [],
+        model: detectModel(conversation),
+        messageCount: countMessages(conversation)
+    };
+}
+
+/**
+ * Compare a fetched conversation with the entry of its last export
+ *
+ * @param {Object|undefined} exported - Its entry in exportedConversations
+ * @param {Object} conversation - Full conversation object
+ * @param {Object} [renderOptions] - Path pattern settings, to notice paths changed by the pattern
+ * @returns {string} 'new', 'changed' (other messages, or exported before hashes were kept),
+ *   'moved' (other project or folder, same messages), 'renamed' (other title or note name, same messages)
+ *   or 'unchanged'
+ */
+function compareWithExport(exported, conversation, renderOptions = {}) {
+    if (!exported) {
+        return 'new';
+    }
+    if (!exported.contentHash || exported.contentHash !== getContentHash(conversation)) {
+        return 'changed';
+    }
+    if ((exported.projectId || null) !== (conversation._projectId || null)) {
+        return 'moved';
+    }
+    if ((exported.title || '') !== (conversation.title || '')) {
+        return 'renamed';
+    }
+    if (exported.path) {
+        const path = getNotePath(conversation, renderOptions);
+        if (path !== exported.path) {
+            const folder = value => value.slice(0, value.lastIndexOf('/') + 1);
+            return folder(path) === folder(exported.path) ? 'renamed' : 'moved';
+        }
+    }
+    return 'unchanged';
+}
+
 /**
  * Mark multiple conversations as exported
- * @param {Array} conversations - Array of {id, updateTime} objects
+ * @param {Array} conversations - Array of entries from describeExport
  */
 async function markMultipleExported(conversations) {
     const data = await getSyncData();
     const now = new Date().toISOString();
 
-    for (const conv of conversations) {
-        data.exportedConversations[conv.id] = {
+    for (const { id, ...exported } of conversations) {
+        data.exportedConversations[id] = {
             exportedAt: now,
-            updateTime: conv.updateTime
+            ...exported
         };
     }
 
@@ -91,24 +167,118 @@ async function filterNeedingExport(conversations) {
         const updateTime = conv.update_time;
         const exported = data.exportedConversations[id];
 
-        if (!exported) {
+        if (!exported || isUpdatedSince(exported, updateTime)) {
             needExport.push(conv);
-        } else {
-            // Check if updated since last export
-            const exportedUpdateTime = new Date(exported.updateTime).getTime();
-            const currentTime = typeof updateTime === 'number'
-                ? updateTime * 1000
-                : new Date(updateTime).getTime();
-
-            if (currentTime > exportedUpdateTime) {
-                needExport.push(conv);
-            }
         }
     }
 
     return needExport;
 }
 
+/**
+ * Check if a conversation was updated since its last export
+ * @param {Object} exported - Sync data entry
+ * @param {number|string} updateTime - update_time from the conversation list (seconds or ISO string)
+ */
+function isUpdatedSince(exported, updateTime) {
+    const exportedUpdateTime = new Date(exported.updateTime).getTime();
+    const currentTime = typeof updateTime === 'number'
+        ? updateTime * 1000
+        : new Date(updateTime).getTime();
+
+    return currentTime > exportedUpdateTime;
+}
+
+/**
+ * Get the export status of listed conversations (for the conversation browser)
+ * @param {Array} conversations - Conversation metadata with id and update_time
+ * @returns {Promise<Object>} Conversation ID -> {status: 'new'|'updated'|'exported', exportedAt}
+ */
+async function getExportStatuses(conversations) {
+    const data = await getSyncData();
+    const statuses = {};
+
+    for (const conv of conversations) {
+        const exported = data.exportedConversations[conv.id];
+        if (!exported) {
+            statuses[conv.id] = { status: 'new', exportedAt: null };
+        } else {
+            statuses[conv.id] = {
+                status: isUpdatedSince(exported, conv.update_time) ? 'updated' : 'exported',
+                exportedAt: exported.exportedAt
+            };
+        }
+    }
+
+    return statuses;
+}
+
+/**
+ * Count the conversations of listed projects by export status (for the project picker)
+ * @param {Array} projects - {id, name, conversations} from the project list
+ * @param {Object} statuses - From getExportStatuses
+ * @returns {Array<{id: string, name: string, count: number, newCount: number, updatedCount: number}>}
+ */
+function countProjectStatuses(projects, statuses) {
+    return projects.map(project => {
+        const counts = { new: 0, updated: 0, exported: 0 };
+        for (const meta of project.conversations) {
+            counts[statuses[meta.id]?.status || 'new']++;
+        }
+        return {
+            id: project.id,
+            name: project.name,
+            count: project.conversations.length,
+            newCount: counts.new,
+            updatedCount: counts.updated
+        };
+    });
+}
+
+/**
+ * Get the last exported node of conversations (for append mode)
+ * @param {string[]} conversationIds
+ * @returns {Promise<Object>} Conversation ID -> node ID, for conversations exported with one
+ */
+async function getLastNodeIds(conversationIds) {
+    const data = await getSyncData();
+    const lastNodeIds = {};
+
+    for (const id of conversationIds) {
+        const lastNodeId = data.exportedConversations[id]?.lastNodeId;
+        if (lastNodeId) {
+            lastNodeIds[id] = lastNodeId;
+        }
+    }
+
+    return lastNodeIds;
+}
+
+/**
+ * Record which exported conversations were deleted or archived in ChatGPT (see sync/removed.js)
+ * @param {Object} updates - Conversation ID -> 'deleted', 'archived', or null if it is listed again
+ */
+async function setUpstreamStatus(updates) {
+    const data = await getSyncData();
+    const today = new Date().toISOString().split('T')[0];
+
+    for (const [id, status] of Object.entries(updates)) {
+        const exported = data.exportedConversations[id];
+        if (!exported) {
+            continue;
+        }
+        if (status) {
+            exported.upstream = status;
+            exported.upstreamSince = today;
+        } else {
+            delete exported.upstream;
+            delete exported.upstreamSince;
+        }
+    }
+
+    await saveSyncData(data);
+}
+
 /**
  * Get sync statistics
  */
@@ -132,10 +302,16 @@ async function clearHistory() {
 
 export {
     getSyncData,
+    describeExport,
+    compareWithExport,
     markExported,
     markMultipleExported,
     needsExport,
     filterNeedingExport,
+    getExportStatuses,
+    countProjectStatuses,
+    getLastNodeIds,
+    setUpstreamStatus,
     getStats,
     clearHistory
 };
@@ -10,7 +10,8 @@
  *   node test/runner.mjs --file <path>      # Test specific JSON file
  */
 
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join, resolve } from 'path';
 
@@ -25,6 +26,15 @@ import {
     sanitizeProjectTag,
     conversationToMarkdown,
     extractMessages,
+    extractMessagesAfter,
+    countMessages,
+    getContentHash,
+    getNotePath,
+    getProjectFolder,
+    getCustomGptId,
+    extractBranches,
+    extractAttachmentRefs,
+    buildAttachmentFilename,
     formatDate,
     formatTruncatedDate,
     getShortConversationId,
@@ -37,6 +47,46 @@ import {
     wrapImageGroupInCodeFences
 } from '../export/markdown.js';
 import { parseChatGPTConversationUrl } from '../lib/chatgpt-url.js';
+import { applyCanvasUpdates } from '../export/canvas.js';
+import { conversationToHtml, renderMarkdown, highlightCode } from '../export/html.js';
+import { conversationToText } from '../export/text.js';
+import { getFormat, getSelectedFormats, registerFormat } from '../export/formats.js';
+import { renderFrontmatterTemplate, findUnknownPlaceholders, validateFrontmatterYaml } from '../lib/frontmatter-template.js';
+import { buildNotePath, findUnknownPathPlaceholders } from '../lib/path-pattern.js';
+import { decodeJsonBytes, findConversationFiles, parseOfficialExport, findExportAttachments } from '../export/official-export.js';
+import { parseCliArgs, convertConversations, updateState, writeFiles, main as runCli } from '../cli/convert.mjs';
+import { writeVaultFile, removeVaultFile } from '../lib/vault.js';
+import { trackRename, markMovedFiles, buildRenameManifest } from '../sync/renames.js';
+import { describeExport, compareWithExport, getExportStatuses, countProjectStatuses } from '../sync/tracker.js';
+import { hashString } from '../lib/hash.js';
+import { mergeManagedNote, hasManagedRegion, appendToNote, setNoteProperties } from '../lib/managed-region.js';
+import {
+    findMissingConversations,
+    findReappearedConversations,
+    getUpstreamStatus,
+    getUpstreamProperty,
+    buildRemovedReport
+} from '../sync/removed.js';
+import {
+    getJob,
+    createJob,
+    saveFetchedConversation,
+    loadFetchedConversations,
+    markJobDownloaded,
+    clearJob,
+    getJobSummary
+} from '../sync/job.js';
+import { parseProjectDetails, buildProjectNote } from '../export/project-note.js';
+import { buildIndexNotes } from '../export/index-notes.js';
+import {
+    validateFilter,
+    createFilter,
+    matchesProject,
+    matchesUnfiled,
+    matchesFilter,
+    isBeforeUpdatedRange,
+    isShortConversation
+} from '../sync/filter.js';
 
 /**
  * Load a UTF-16LE encoded JSON file with BOM
@@ -2541,6 +2591,1402 @@ async function runHelperTests() {
         assert(escaped.includes('#FF0000'), 'Hex color inside code fence should NOT be escaped');
         assert(!escaped.includes('\\#FF0000'), 'Hex color should not have backslash escape');
     });
+
+    // Export job checkpoint
+    await test('export job checkpoint survives a round trip through storage', async () => {
+        const stored = {};
+        const keys = key => (Array.isArray(key) ? key : [key]);
+        globalThis.chrome = {
+            storage: {
+                local: {
+                    get: async key => Object.fromEntries(keys(key).filter(k => k in stored).map(k => [k, structuredClone(stored[k])])),
+                    set: async items => Object.assign(stored, structuredClone(items)),
+                    remove: async key => keys(key).forEach(k => delete stored[k])
+                }
+            }
+        };
+        try {
+            const job = await createJob({
+                type: 'all',
+                formats: { markdown: true },
+                folder: '',
+                renderOptions: {},
+                conversations: [{ id: 'a', _projectId: 'g-p-1', _projectName: 'Work' }, { id: 'b' }, { id: 'c' }]
+            });
+            assertEqual(job.pendingIds.join(','), 'a,b,c');
+            assertEqual(JSON.stringify((await getJob()).projectInfo), JSON.stringify({ a: { _projectId: 'g-p-1', _projectName: 'Work' } }));
+
+            await saveFetchedConversation(job, 'a', { id: 'a', title: 'First' });
+            await saveFetchedConversation(job, 'b', { id: 'b', title: 'Second' });
+            assertEqual(JSON.stringify(await getJobSummary()), JSON.stringify({
+                type: 'all', createdAt: job.createdAt, updatedAt: job.updatedAt, total: 3, fetched: 2, pending: 1, downloaded: 0
+            }));
+            assert('gpt_exporter_job_conversation_a' in stored, 'Fetched conversation stored under its own key');
+
+            await markJobDownloaded(job, ['b']);
+            assert(!('gpt_exporter_job_conversation_b' in stored), 'Stored copy removed once downloaded');
+
+            // After a restart only the persisted job is left
+            const resumed = await getJob();
+            assertEqual(resumed.downloadedIds.join(','), 'b');
+            assertEqual(resumed.pendingIds.join(','), 'c');
+            const remaining = await loadFetchedConversations(resumed);
+            assertEqual(remaining.map(conversation => conversation.title).join(','), 'First', 'Only fetched, not downloaded');
+            assertEqual(remaining[0]._projectName, 'Work', 'Project metadata merged back in');
+
+            await clearJob();
+            assertEqual(Object.keys(stored).length, 0, 'Job and stored conversations removed');
+            assertEqual(await getJobSummary(), null);
+        } finally {
+            delete globalThis.chrome;
+        }
+    });
+
+    // Branch export: regenerated answers and edited prompts
+    const createBranchingConversation = () => ({
+        title: 'Branch Test',
+        conversation_id: '6981fddd-branch-test',
+        create_time: 1770126827.760625,
+        update_time: 1770126827.760625,
+        mapping: {
+            'root': { id: 'root', message: null, parent: undefined, children: ['user1'] },
+            'user1': { id: 'user1', parent: 'root', children: ['assistant1', 'assistant1b'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Hello'] }, create_time: 1 }
+            },
+            'assistant1': { id: 'assistant1', parent: 'user1', children: ['user2', 'user2b'],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['First answer'] }, create_time: 2 }
+            },
+            'assistant1b': { id: 'assistant1b', parent: 'user1', children: [],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Regenerated answer'] }, create_time: 3 }
+            },
+            'user2': { id: 'user2', parent: 'assistant1', children: ['assistant2'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Second question'] }, create_time: 4 }
+            },
+            'assistant2': { id: 'assistant2', parent: 'user2', children: [],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Second answer'] }, create_time: 5 }
+            },
+            'user2b': { id: 'user2b', parent: 'assistant1', children: ['assistant2b'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Edited question'] }, create_time: 6 }
+            },
+            'assistant2b': { id: 'assistant2b', parent: 'user2b', children: [],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Answer to edit'] }, create_time: 7 }
+            }
+        },
+        current_node: 'assistant2'
+    });
+
+    await test('extractBranches finds every leaf that is not on the current path', () => {
+        const branches = extractBranches(createBranchingConversation());
+        assertEqual(branches.length, 2, 'Should find two alternate branches');
+        assertEqual(branches[0].leafNodeId, 'assistant1b');
+        assertEqual(branches[1].leafNodeId, 'assistant2b');
+    });
+
+    await test('extractBranches labels the fork point and kind of each branch', () => {
+        const branches = extractBranches(createBranchingConversation());
+        assertEqual(branches[0].forkAfter, 1, 'Regenerated answer forks after the first message');
+        assertEqual(branches[0].kind, 'regenerated-answer');
+        assertEqual(branches[1].forkAfter, 2, 'Edited prompt forks after the second message');
+        assertEqual(branches[1].kind, 'edited-prompt');
+        assertEqual(branches[1].messages.map(m => m.content).join('|'), 'Edited question|Answer to edit',
+            'Branch should only contain messages after the fork');
+    });
+
+    await test('extractBranches returns empty array for a linear conversation', () => {
+        const conv = createBranchingConversation();
+        conv.mapping.user1.children = ['assistant1'];
+        conv.mapping.assistant1.children = ['user2'];
+        delete conv.mapping.assistant1b;
+        delete conv.mapping.user2b;
+        delete conv.mapping.assistant2b;
+        assertEqual(extractBranches(conv).length, 0);
+    });
+
+    await test('conversationToMarkdown exports only the current path by default', () => {
+        const result = conversationToMarkdown(createBranchingConversation());
+        assert(!result.content.includes('Regenerated answer'), 'Other branches should not be exported by default');
+        assert(!result.content.includes('## Branches'), 'No branches section by default');
+        assertEqual(result.extraFiles.length, 0, 'No extra files by default');
+    });
+
+    await test('conversationToMarkdown renders branches as collapsed callouts', () => {
+        const result = conversationToMarkdown(createBranchingConversation(), { branches: 'callouts' });
+        assert(result.content.includes('## Branches'), 'Should have a branches section');
+        assert(result.content.includes('> [!branch]- Branch 2: regenerated answer after message 1\n> #### ChatGPT:\n> Regenerated answer'),
+            'Regenerated answer should be a collapsed callout labelled with its fork point');
+        assert(result.content.includes('> [!branch]- Branch 3: edited prompt after message 2\n> > [!me:]\n> > Edited question'),
+            'Edited prompt should be a collapsed callout with a nested user callout');
+    });
+
+    await test('conversationToMarkdown writes one extra note per branch in files mode', () => {
+        const result = conversationToMarkdown(createBranchingConversation(), { branches: 'files' });
+        assertEqual(result.extraFiles.length, 2, 'Should produce one file per alternate branch');
+        assertEqual(result.extraFiles[0].filename, 'Branch_Test_6981fddd_branch2.md');
+
+        const branchNote = result.extraFiles[1].content;
+        assert(branchNote.includes('title: "Branch Test (branch 3)"'), 'Branch note should have its own title');
+        assert(branchNote.includes('\naliases: []\nparent:'), 'Branch note should have no aliases');
+        assert(branchNote.includes('parent:\n  - "[[Branch_Test_6981fddd]]"'), 'Branch note should link to the main note');
+        assert(branchNote.includes('> Hello') && branchNote.includes('First answer'), 'Branch note should include the shared messages');
+        assert(branchNote.includes('Edited question') && !branchNote.includes('Second question'),
+            'Branch note should follow the branch after the fork');
+    });
+
+    // Attachments: uploaded images, generated images and uploaded files
+    const createAttachmentConversation = () => ({
+        title: 'Attachment Test',
+        conversation_id: '6981fddd-attachments',
+        create_time: 1770126827.760625,
+        update_time: 1770126827.760625,
+        mapping: {
+            'root': { id: 'root', message: null, parent: undefined, children: ['user1'] },
+            'user1': { id: 'user1', parent: 'root', children: ['tool1'],
+                message: {
+                    author: { role: 'user' },
+                    content: { content_type: 'multimodal_text', parts: [
+                        { content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-Photo1', size_bytes: 1000 },
+                        'Draw this as a cartoon'
+                    ] },
+                    metadata: { attachments: [
+                        { id: 'file-Photo1', name: 'photo.jpg', mime_type: 'image/jpeg' },
+                        { id: 'file-Doc1', name: 'brief.pdf', size: 5000, mime_type: 'application/pdf' }
+                    ] }
+                }
+            },
+            'tool1': { id: 'tool1', parent: 'user1', children: ['assistant1'],
+                message: {
+                    author: { role: 'tool', name: 'dalle.text2im' },
+                    content: { content_type: 'multimodal_text', parts: [
+                        { content_type: 'image_asset_pointer', asset_pointer: 'sediment://file_gen1', metadata: { dalle: { prompt: 'cartoon' } } }
+                    ] }
+                }
+            },
+            'assistant1': { id: 'assistant1', parent: 'tool1', children: [],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Here is your cartoon.'] } }
+            }
+        },
+        current_node: 'assistant1'
+    });
+
+    await test('extractAttachmentRefs finds uploaded images, generated images and files', () => {
+        const refs = extractAttachmentRefs(createAttachmentConversation());
+        assertEqual(refs.map(r => `${r.kind}:${r.fileId}`).join(','), 'image:file-Photo1,file:file-Doc1,generated:file_gen1');
+        assertEqual(refs.find(r => r.fileId === 'file-Doc1').name, 'brief.pdf');
+    });
+
+    await test('extractAttachmentRefs respects per-type include settings', () => {
+        const refs = extractAttachmentRefs(createAttachmentConversation(), { images: false, generated: true, files: false });
+        assertEqual(refs.map(r => r.fileId).join(','), 'file_gen1');
+    });
+
+    await test('buildAttachmentFilename keeps the original name and extension', () => {
+        assertEqual(buildAttachmentFilename({ fileId: 'file-Doc1', kind: 'file', name: 'Project brief.pdf' }),
+            'file-Doc1_Project_brief.pdf');
+    });
+
+    await test('buildAttachmentFilename derives the extension from the content type', () => {
+        assertEqual(buildAttachmentFilename({ fileId: 'file_gen1', kind: 'generated', name: null }, 'image/webp'),
+            'file_gen1_generated-image.webp');
+        assertEqual(buildAttachmentFilename({ fileId: 'file-Photo1', kind: 'image', name: null }, 'image/png'),
+            'file-Photo1_image.png');
+    });
+
+    await test('images stay [Image] placeholders when attachments were not downloaded', () => {
+        const result = conversationToMarkdown(createAttachmentConversation());
+        assert(result.content.includes('> [Image]\n> Draw this as a cartoon'), 'Image should be a placeholder');
+        assert(!result.content.includes('![['), 'Nothing should be embedded');
+    });
+
+    await test('downloaded attachments are embedded as wikilinks', () => {
+        const conv = createAttachmentConversation();
+        conv._attachments = {
+            'file-Photo1': 'file-Photo1_photo.jpg',
+            'file-Doc1': 'file-Doc1_brief.pdf',
+            'file_gen1': 'file_gen1_generated-image.png'
+        };
+        const result = conversationToMarkdown(conv);
+        assert(result.content.includes('> ![[file-Photo1_photo.jpg]]\n> Draw this as a cartoon\n> ![[file-Doc1_brief.pdf]]'),
+            'Uploaded image and file should be embedded in the user message');
+        assert(result.content.includes('#### ChatGPT:\n![[file_gen1_generated-image.png]]'),
+            'Generated image should be embedded as ChatGPT output');
+    });
+
+    // Reasoning (thoughts and reasoning_recap)
+    const createThinkingConversation = () => ({
+        title: 'Thinking Test',
+        conversation_id: '6981feee-thinking',
+        create_time: 1770126827.760625,
+        update_time: 1770126827.760625,
+        mapping: {
+            'root': { id: 'root', message: null, parent: undefined, children: ['user1'] },
+            'user1': { id: 'user1', parent: 'root', children: ['thoughts1'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Is 97 prime?'] } }
+            },
+            'thoughts1': { id: 'thoughts1', parent: 'user1', children: ['recap1'],
+                message: {
+                    author: { role: 'assistant' },
+                    content: { content_type: 'thoughts', thoughts: [
+                        { summary: 'Checking divisors', content: 'Only primes up to 9 matter.\n2, 3, 5 and 7 do not divide 97.' }
+                    ] },
+                    metadata: {}
+                }
+            },
+            'recap1': { id: 'recap1', parent: 'thoughts1', children: ['assistant1'],
+                message: {
+                    author: { role: 'assistant' },
+                    content: { content_type: 'reasoning_recap', content: 'Thought for 12s' },
+                    metadata: { finished_duration_sec: 12 }
+                }
+            },
+            'assistant1': { id: 'assistant1', parent: 'recap1', children: [],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Yes, 97 is prime.'] } }
+            }
+        },
+        current_node: 'assistant1'
+    });
+
+    await test('reasoning is skipped by default', () => {
+        const result = conversationToMarkdown(createThinkingConversation());
+        assert(!result.content.includes('[!thinking]'), 'No thinking callout expected');
+        assert(!result.content.includes('Checking divisors'), 'Thoughts should not be exported');
+    });
+
+    await test('thoughts option renders a collapsed callout above the answer', () => {
+        const result = conversationToMarkdown(createThinkingConversation(), { thoughts: true });
+        const expected = [
+            '> [!thinking]- Thought for 12 seconds',
+            '> **Checking divisors**',
+            '> Only primes up to 9 matter.',
+            '> 2, 3, 5 and 7 do not divide 97.',
+            '',
+            '#### ChatGPT:',
+            'Yes, 97 is prime.'
+        ].join('\n');
+        assert(result.content.includes(expected), 'Thinking callout should precede the answer');
+        assertEqual(result.content.split('[!thinking]').length - 1, 1, 'Recap should merge into the thoughts callout');
+    });
+
+    await test('a reasoning recap without thoughts uses its own text', () => {
+        const conv = createThinkingConversation();
+        conv.mapping.recap1.parent = 'user1';
+        conv.mapping.user1.children = ['recap1'];
+        delete conv.mapping.thoughts1;
+        delete conv.mapping.recap1.message.metadata.finished_duration_sec;
+        const result = conversationToMarkdown(conv, { thoughts: true });
+        assert(result.content.includes('> [!thinking]- Thought for 12s\n\n#### ChatGPT:'), 'Recap text should be the header');
+    });
+
+    await test('long thinking durations are shown in minutes', () => {
+        const conv = createThinkingConversation();
+        conv.mapping.recap1.message.metadata.finished_duration_sec = 125;
+        const result = conversationToMarkdown(conv, { thoughts: true });
+        assert(result.content.includes('> [!thinking]- Thought for 2m 5s'), 'Duration should be 2m 5s');
+    });
+
+    // Tool transcript: web searches, opened pages and Python runs
+    const createToolConversation = () => ({
+        title: 'Tool Test',
+        conversation_id: '6981ffff-tools',
+        create_time: 1770126827.760625,
+        update_time: 1770126827.760625,
+        mapping: {
+            'root': { id: 'root', message: null, parent: undefined, children: ['user1'] },
+            'user1': { id: 'user1', parent: 'root', children: ['search1'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Plot the Tokyo population'] } }
+            },
+            'search1': { id: 'search1', parent: 'user1', children: ['results1'],
+                message: {
+                    author: { role: 'assistant' }, recipient: 'web.run',
+                    content: { content_type: 'code', text: '{"search_query": [{"q": "Tokyo population 2025"}], "response_length": "short"}' }
+                }
+            },
+            'results1': { id: 'results1', parent: 'search1', children: ['code1'],
+                message: {
+                    author: { role: 'tool', name: 'web.run' },
+                    content: { content_type: 'text', parts: [''] },
+                    metadata: { search_result_groups: [
+                        { domain: 'example.org', entries: [{ url: 'https://example.org/tokyo', title: 'Tokyo [stats]' }] }
+                    ] }
+                }
+            },
+            'code1': { id: 'code1', parent: 'results1', children: ['output1'],
+                message: {
+                    author: { role: 'assistant' }, recipient: 'python',
+                    content: { content_type: 'code', language: 'unknown', text: 'print(37.1)' }
+                }
+            },
+            'output1': { id: 'output1', parent: 'code1', children: ['assistant1'],
+                message: {
+                    author: { role: 'tool', name: 'python' },
+                    content: { content_type: 'execution_output', text: '37.1' }
+                }
+            },
+            'assistant1': { id: 'assistant1', parent: 'output1', children: [],
+                message: { author: { role: 'assistant' }, recipient: 'all', content: { content_type: 'text', parts: ['About 37.1 million.'] } }
+            }
+        },
+        current_node: 'assistant1'
+    });
+
+    await test('tool activity is left out by default', () => {
+        const result = conversationToMarkdown(createToolConversation());
+        assert(!result.content.includes('[!tool]'), 'No tool callouts expected');
+        assert(!result.content.includes('search_query'), 'Search JSON should be skipped');
+    });
+
+    await test('tool transcript renders searches with their results', () => {
+        const result = conversationToMarkdown(createToolConversation(), { tools: true });
+        const expected = [
+            '> [!tool]- Web search',
+            '> - Tokyo population 2025',
+            '> ',
+            '> Results:',
+            '> - [Tokyo stats](<https://example.org/tokyo>)'
+        ].join('\n');
+        assert(result.content.includes(expected), 'Search callout should list queries and results');
+    });
+
+    await test('tool transcript keeps result URLs with parentheses and spaces in one link', () => {
+        const conv = createToolConversation();
+        conv.mapping.results1.message.metadata.search_result_groups[0].entries.push(
+            { url: 'https://en.wikipedia.org/wiki/Foo_(bar)', title: 'Foo' },
+            { url: 'https://example.org/a b', title: 'Spaced' }
+        );
+        const result = conversationToMarkdown(conv, { tools: true });
+        assert(result.content.includes('> - [Foo](<https://en.wikipedia.org/wiki/Foo_(bar)>)'), 'Parentheses should stay in the link');
+        assert(result.content.includes('> - [Spaced](<https://example.org/a b>)'), 'Spaces should stay in the link');
+    });
+
+    await test('tool transcript renders Python code with its output', () => {
+        const result = conversationToMarkdown(createToolConversation(), { tools: true });
+        const expected = [
+            '> [!tool]- Python',
+            '> ```python',
+            '> print(37.1)',
+            '> ```',
+            '> ',
+            '> Output:',
+            '> ```',
+            '> 37.1',
+            '> ```',
+            '',
+            '#### ChatGPT:',
+            'About 37.1 million.'
+        ].join('\n');
+        assert(result.content.includes(expected), 'Python callout should hold code and output');
+    });
+
+    await test('tool transcript embeds downloaded Python output files', () => {
+        const conv = createToolConversation();
+        conv.mapping.output1.message.content = {
+            content_type: 'multimodal_text',
+            parts: [{ content_type: 'image_asset_pointer', asset_pointer: 'sediment://file_chart1' }]
+        };
+        conv._attachments = { 'file_chart1': 'file_chart1_generated-image.png' };
+        const result = conversationToMarkdown(conv, { tools: true });
+        assert(result.content.includes('> Files:\n> ![[file_chart1_generated-image.png]]'), 'Chart should be embedded in the callout');
+    });
+
+    // Canvas (canmore) documents
+    const createCanvasConversation = () => ({
+        title: 'Canvas Test',
+        conversation_id: '6981aaaa-canvas',
+        create_time: 1770126827.760625,
+        update_time: 1770126827.760625,
+        mapping: {
+            'root': { id: 'root', message: null, parent: undefined, children: ['user1'] },
+            'user1': { id: 'user1', parent: 'root', children: ['create1'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Write a greeting script'] } }
+            },
+            'create1': { id: 'create1', parent: 'user1', children: ['created1'],
+                message: {
+                    author: { role: 'assistant' }, recipient: 'canmore.create_textdoc',
+                    content: { content_type: 'code', text: JSON.stringify({ name: 'Greeter', type: 'code/python', content: 'print("hello")\n' }) }
+                }
+            },
+            'created1': { id: 'created1', parent: 'create1', children: ['assistant1'],
+                message: {
+                    author: { role: 'tool', name: 'canmore.create_textdoc' },
+                    content: { content_type: 'text', parts: ["Successfully created text document 'Greeter'"] },
+                    metadata: { canvas: { textdoc_id: 'doc1', version: 1 } }
+                }
+            },
+            'assistant1': { id: 'assistant1', parent: 'created1', children: ['user2'],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Done.'] } }
+            },
+            'user2': { id: 'user2', parent: 'assistant1', children: ['update1'],
+                message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Greet the world'] } }
+            },
+            'update1': { id: 'update1', parent: 'user2', children: ['updated1'],
+                message: {
+                    author: { role: 'assistant' }, recipient: 'canmore.update_textdoc',
+                    content: { content_type: 'code', text: JSON.stringify({ updates: [{ pattern: 'hello', multiple: false, replacement: 'hello world' }] }) }
+                }
+            },
+            'updated1': { id: 'updated1', parent: 'update1', children: ['assistant2'],
+                message: {
+                    author: { role: 'tool', name: 'canmore.update_textdoc' },
+                    content: { content_type: 'text', parts: ["Successfully updated text document with textdoc_id 'doc1'"] },
+                    metadata: { canvas: { textdoc_id: 'doc1', version: 2 } }
+                }
+            },
+            'assistant2': { id: 'assistant2', parent: 'updated1', children: [],
+                message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Updated.'] } }
+            }
+        },
+        current_node: 'assistant2'
+    });
+
+    await test('canvas documents are written with their final content and extension', () => {
+        const result = conversationToMarkdown(createCanvasConversation());
+        const file = result.extraFiles.find(f => f.filename === 'Canvas_Test_6981aaaa_canvas_Greeter.py');
+        assert(file, 'Canvas file should be written next to the note');
+        assertEqual(file.content, 'print("hello world")\n');
+        assert(!result.content.includes('canmore') && !result.content.includes('"updates"'), 'Canvas tool JSON should not be in the note');
+    });
+
+    await test('canvas documents are linked where they were created and updated', () => {
+        const result = conversationToMarkdown(createCanvasConversation());
+        assert(result.content.includes('> [!canvas] Created canvas [[Canvas_Test_6981aaaa_canvas_Greeter.py|Greeter]]'), 'Creation link expected');
+        assert(result.content.includes('> [!canvas] Updated canvas [[Canvas_Test_6981aaaa_canvas_Greeter.py|Greeter]] (version 2)'), 'Update link expected');
+    });
+
+    await test('failed canvas updates are not applied', () => {
+        const conv = createCanvasConversation();
+        conv.mapping.updated1.message.content.parts = ['Failed with error: pattern not found'];
+        const result = conversationToMarkdown(conv);
+        assertEqual(result.extraFiles[0].content, 'print("hello")\n');
+        assert(!result.content.includes('Updated canvas'), 'Failed update should not be linked');
+    });
+
+    await test('canvas history note lists every version', () => {
+        const result = conversationToMarkdown(createCanvasConversation(), { canvasHistory: true });
+        const history = result.extraFiles.find(f => f.filename === 'Canvas_Test_6981aaaa_canvas_Greeter_history.md');
+        assert(history, 'History note expected');
+        assert(history.content.includes('## Version 1\n\n```python\nprint("hello")\n'), 'Version 1 expected');
+        assert(history.content.includes('## Version 2\n\n```python\nprint("hello world")\n'), 'Version 2 expected');
+    });
+
+    await test('applyCanvasUpdates converts Python backreferences and full rewrites', () => {
+        assertEqual(applyCanvasUpdates('a1 b2', [{ pattern: '(\\w)(\\d)', multiple: true, replacement: '\\2\\1' }]), '1a 2b');
+        assertEqual(applyCanvasUpdates('old\ntext', [{ pattern: '.*', replacement: 'new $5' }]), 'new $5');
+    });
+
+    // Export format registry, HTML and plain text
+    await test('format registry returns the selected formats', () => {
+        const ids = getSelectedFormats({ markdown: true, html: true, text: false, json: true }).map(f => f.id);
+        assertEqual(ids.join(','), 'markdown,html,json');
+        assert(getFormat('json').renderBundle, 'JSON is a bundle format');
+        assert(getFormat('text').renderConversation, 'Text is a per-conversation format');
+    });
+
+    await test('registerFormat rejects formats without a renderer', () => {
+        let threw = false;
+        try {
+            registerFormat({ id: 'broken' });
+        } catch (e) {
+            threw = true;
+        }
+        assert(threw, 'Expected an error');
+        assertEqual(getFormat('broken'), null);
+    });
+
+    await test('markdown format returns the note and its extra files', () => {
+        const files = getFormat('markdown').renderConversation(createCanvasConversation(), {});
+        assertEqual(files[0].filename, 'Canvas_Test_6981aaaa.md');
+        assertEqual(files[0].mimeType, 'text/markdown');
+        assert(files.some(f => f.filename.endsWith('_canvas_Greeter.py')), 'Canvas file expected');
+    });
+
+    await test('conversationToHtml builds a self-contained page', () => {
+        const result = conversationToHtml(createToolConversation());
+        assertEqual(result.filename, 'Tool_Test_6981ffff.html');
+        assert(result.content.startsWith('<!DOCTYPE html>'), 'HTML document expected');
+        assert(result.content.includes('<style>') && result.content.includes('@media print'), 'Inline print stylesheet expected');
+        assert(!/<link|src="http/.test(result.content), 'No external resources expected');
+        assert(result.content.includes('<div class="role">You</div>\n<div class="content"><p>Plot the Tokyo population</p></div>'), 'User message expected');
+        assert(result.content.includes('<p>About 37.1 million.</p>'), 'Answer expected');
+    });
+
+    await test('conversationToHtml renders thinking and tool activity as details', () => {
+        const result = conversationToHtml(createThinkingConversation(), { thoughts: true });
+        assert(result.content.includes('<details class="thinking"><summary>Thought for 12 seconds</summary><p><strong>Checking divisors</strong>'), 'Thinking details expected');
+        const tools = conversationToHtml(createToolConversation(), { tools: true });
+        assert(tools.content.includes('<details class="tool"><summary>Python</summary><pre><code class="language-python">'), 'Tool details expected');
+    });
+
+    await test('renderMarkdown handles lists, tables, quotes and escaping', () => {
+        const context = { attachmentsPath: 'attachments/' };
+        assertEqual(renderMarkdown('- one\n- two\n  - nested', context), '<ul><li>one</li><li>two<ul><li>nested</li></ul></li></ul>');
+        assertEqual(renderMarkdown('| a | b |\n|---|---|\n| 1 | 2 |', context),
+            '<table><thead><tr><th>a</th><th>b</th></tr></thead><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+        assertEqual(renderMarkdown('> quoted', context), '<blockquote><p>quoted</p></blockquote>');
+        assertEqual(renderMarkdown('Use <b> and `x < y` **now**', context), '<p>Use &lt;b&gt; and <code>x &lt; y</code> <strong>now</strong></p>');
+        assertEqual(renderMarkdown('![[file-1_photo.jpg]]', context), '<p><img src="attachments/file-1_photo.jpg" alt="file-1_photo.jpg"></p>');
+    });
+
+    await test('renderMarkdown only links safe URLs', () => {
+        const context = { attachmentsPath: 'attachments/' };
+        assertEqual(renderMarkdown('[web](https://example.com) [mail](mailto:a@b.c) [doc](notes/a.md) [top](#top)', context),
+            '<p><a href="https://example.com">web</a> <a href="mailto:a@b.c">mail</a> <a href="notes/a.md">doc</a> <a href="#top">top</a></p>');
+        assertEqual(renderMarkdown('[click](javascript:void%200) [**me**](JavaScript:alert%281%29)', context), '<p>click <strong>me</strong></p>',
+            'javascript: links become text');
+        assertEqual(renderMarkdown('[x](data:text/html,hi) [[javascript:alert(1)|y]]', context), '<p>x y</p>', 'Other schemes and wikilinks');
+    });
+
+    await test('highlightCode marks keywords, strings, numbers and comments', () => {
+        assertEqual(highlightCode('return "a" # 1', 'python'),
+            '<span class="tok-keyword">return</span> <span class="tok-string">&quot;a&quot;</span> <span class="tok-comment"># 1</span>');
+        assertEqual(highlightCode('x = 42; // done', 'js'),
+            'x = <span class="tok-number">42</span>; <span class="tok-comment">// done</span>');
+    });
+
+    await test('conversationToText writes a plain transcript', () => {
+        const conv = createAttachmentConversation();
+        conv._attachments = { 'file-Photo1': 'file-Photo1_photo.jpg' };
+        const result = conversationToText(conv);
+        assertEqual(result.filename, 'Attachment_Test_6981fddd.txt');
+        assert(result.content.startsWith('Attachment Test\n==============='), 'Title header expected');
+        assert(result.content.includes('You:\n[Attachment: file-Photo1_photo.jpg]\nDraw this as a cartoon'), 'User message expected');
+        assert(result.content.includes('ChatGPT:\nHere is your cartoon.'), 'Answer expected');
+        assert(!result.content.includes('[!me:]') && !result.content.includes('---\ntitle'), 'No Obsidian markup expected');
+    });
+
+    // Frontmatter templates
+    await test('renderFrontmatterTemplate expands lists and drops empty lines', () => {
+        const template = 'date: {{created}}\ncategories: {{tags}}\nextra:\n  - {{tags}}\n  - research\nproject: "{{project}}"';
+        const yaml = renderFrontmatterTemplate(template, { created: '2026-02-03T13:53', tags: ['gpt-chat', 'ai'], project: '' });
+        assertEqual(yaml, 'date: 2026-02-03T13:53\ncategories:\n  - gpt-chat\n  - ai\nextra:\n  - gpt-chat\n  - ai\n  - research');
+    });
+
+    await test('renderFrontmatterTemplate keeps an empty item for empty list properties', () => {
+        assertEqual(renderFrontmatterTemplate('parent: {{parent}}', { parent: [] }), 'parent:\n  - ');
+    });
+
+    await test('renderFrontmatterTemplate writes other empty list properties as []', () => {
+        assertEqual(renderFrontmatterTemplate('aliases: {{aliases}}\ntags:\n  - {{tags}}\n  - static', { aliases: [], tags: [] }),
+            'aliases: []\ntags:\n  - static');
+    });
+
+    await test('custom frontmatter template is used with message and word counts', () => {
+        const template = 'llm: {{modelName}}\ndate: {{created}}\nmessages: {{messageCount}}\nwords: {{wordCount}}\ntags:\n  - {{tags}}\n  - research';
+        const result = conversationToMarkdown(createToolConversation(), { frontmatterTemplate: template });
+        assert(result.content.startsWith('---\nllm: UNKNOWN\ndate: 2026-02-03T13:53\nmessages: 3\nwords: 10\ntags:\n  - gpt-chat\n  - research\n---\n'),
+            'Custom frontmatter expected');
+    });
+
+    await test('invalid frontmatter template falls back to the default template', () => {
+        const warn = console.warn;
+        const warnings = [];
+        console.warn = message => warnings.push(message);
+        try {
+            const broken = conversationToMarkdown(createToolConversation(), { frontmatterTemplate: 'title: "{{title}}\ndate: {{created}}' });
+            const unknown = conversationToMarkdown(createToolConversation(), { frontmatterTemplate: 'title: "{{title}}"\nx: {{nope}}' });
+            const expected = conversationToMarkdown(createToolConversation()).content;
+            assertEqual(broken.content, expected, 'Unclosed quote');
+            assertEqual(unknown.content, expected, 'Unknown placeholder');
+            assertEqual(warnings.length, 2, 'One warning per template');
+            conversationToMarkdown(createToolConversation(), { frontmatterTemplate: 'title: "{{title}}"\nx: {{nope}}' });
+            assertEqual(warnings.length, 2, 'Warned only once');
+
+            const preview = conversationToMarkdown(createToolConversation(), {
+                frontmatterTemplate: 'title: "{{title}}\ndate: {{created}}',
+                templateFallback: false
+            });
+            assert(preview.content.startsWith('---\ntitle: "Tool Test\n'), 'Preview renders the template as written');
+        } finally {
+            console.warn = warn;
+        }
+    });
+
+    await test('branch notes use the custom template with their own title and parent', () => {
+        const result = conversationToMarkdown(createBranchingConversation(), {
+            branches: 'files',
+            frontmatterTemplate: 'name: "{{title}}"\nup: {{parent}}'
+        });
+        assert(result.extraFiles[0].content.startsWith('---\nname: "Branch Test (branch 2)"\nup:\n  - "[['), 'Branch frontmatter expected');
+    });
+
+    await test('findUnknownPlaceholders reports placeholders that do not exist', () => {
+        assertEqual(findUnknownPlaceholders('a: {{title}}\nb: {{nope}}\nc: {{nope}}').join(','), 'nope');
+    });
+
+    await test('validateFrontmatterYaml accepts the default frontmatter', () => {
+        const { content } = conversationToMarkdown(createToolConversation());
+        const yaml = content.slice(4, content.indexOf('\n---', 3));
+        assertEqual(validateFrontmatterYaml(yaml).length, 0);
+    });
+
+    await test('validateFrontmatterYaml reports invalid YAML', () => {
+        const errors = validateFrontmatterYaml('title: My: title\nname: "open\n- orphan\ntitle: again\n\tindented: x\nno colon here');
+        assertEqual(errors.join(' | '), [
+            'Line 1: a value containing ": " has to be quoted',
+            'Line 2: unclosed double quote',
+            'Line 3: list item without a property',
+            'Line 4: duplicate property "title"',
+            'Line 5: tabs are not allowed for indentation',
+            'Line 6: expected "property: value"'
+        ].join(' | '));
+    });
+
+    // Path patterns
+    const pathInfo = {
+        title: 'Déjà vu: "Notes" 2',
+        conversationId: '6981fddd-2834-8394-9b08-a9b19891753c',
+        createTime: 1770126827.760625,
+        projectName: 'My Project'
+    };
+
+    await test('buildNotePath default pattern matches generateFilename', () => {
+        const { folder, baseName } = buildNotePath(pathInfo);
+        assertEqual(folder, 'My_Project/');
+        assertEqual(baseName, generateFilename(pathInfo.title, pathInfo.conversationId));
+    });
+
+    await test('buildNotePath fills date and slug placeholders into folders', () => {
+        const { folder, baseName } = buildNotePath(pathInfo, { pathPattern: '{yyyy}/{MM}/{date}-{title-slug}-{shortId}' });
+        assertEqual(folder, '2026/02/');
+        assertEqual(baseName, '2026-02-03-deja-vu-notes-2-6981fddd');
+    });
+
+    await test('buildNotePath applies space style and lowercase', () => {
+        const { folder, baseName } = buildNotePath(pathInfo, { pathSpaces: 'hyphen', pathCase: 'lower' });
+        assertEqual(`${folder}${baseName}`, 'my-project/déjà-vu-notes-2_6981fddd');
+    });
+
+    await test('buildNotePath drops empty placeholders with their separator', () => {
+        const info = { ...pathInfo, projectName: '' };
+        assertEqual(buildNotePath(info).folder, '', 'Empty project folder should be dropped');
+        assertEqual(buildNotePath(info, { pathPattern: '{project}-{title-slug}' }).baseName, 'deja-vu-notes-2');
+    });
+
+    await test('findUnknownPathPlaceholders reports unknown placeholders', () => {
+        assertEqual(findUnknownPathPlaceholders('{yyyy}/{titel}_{shortId}').join(','), 'titel');
+    });
+
+    await test('conversationToMarkdown uses the path pattern for file and parent link', () => {
+        const conversation = createBranchingConversation();
+        conversation.mapping.user1.message.metadata = {
+            branching_from_conversation_id: '698065a8-9160-8392-a810-0ae50700979b',
+            branching_from_conversation_title: 'Parent Chat'
+        };
+        const result = conversationToMarkdown(conversation, { pathPattern: '{yyyy}/{date}-{title-slug}' });
+        assertEqual(result.filename, '2026/2026-02-03-branch-test.md');
+        assert(result.content.includes('"[[2026-02-02-parent-chat]]"'), 'Parent link should follow the pattern');
+    });
+
+    // Official data export import
+    await test('decodeJsonBytes reads UTF-16LE and UTF-8 with BOM', () => {
+        const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('[{"title":"Déjà"}]', 'utf16le')]);
+        assertEqual(JSON.parse(decodeJsonBytes(new Uint8Array(utf16)))[0].title, 'Déjà');
+        const utf8 = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('[{"title":"Déjà"}]', 'utf8')]);
+        assertEqual(JSON.parse(decodeJsonBytes(new Uint8Array(utf8)))[0].title, 'Déjà');
+    });
+
+    await test('findConversationFiles finds single and split conversation files', () => {
+        const paths = ['user.json', 'export/conversations-010.json', 'export/conversations-002.json', 'chat.html'];
+        assertEqual(findConversationFiles(paths).join(','), 'export/conversations-002.json,export/conversations-010.json');
+        assertEqual(findConversationFiles(['conversations.json', 'message_feedback.json']).join(','), 'conversations.json');
+    });
+
+    await test('parseOfficialExport normalizes IDs and marks project conversations', () => {
+        const conversation = createBranchingConversation();
+        delete conversation.conversation_id;
+        const text = JSON.stringify([
+            { ...conversation, id: '6981fddd-official', conversation_template_id: 'g-p-abc123' },
+            { title: 'No mapping', id: 'x' }
+        ]);
+        const conversations = parseOfficialExport(text);
+        assertEqual(conversations.length, 1, 'Entries without a mapping are skipped');
+        assertEqual(conversations[0].conversation_id, '6981fddd-official');
+        assertEqual(conversations[0]._projectId, 'g-p-abc123');
+        assert(conversationToMarkdown(conversations[0]).content.includes('Second answer'), 'Imported conversation should render');
+    });
+
+    await test('parseOfficialExport accepts the JSON backup and rejects other files', () => {
+        const backup = JSON.stringify({ conversations: [createBranchingConversation()] });
+        assertEqual(parseOfficialExport(backup).length, 1);
+        let error = null;
+        try {
+            parseOfficialExport('{"user": "me"}');
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.startsWith('No conversations found'), 'Should reject files without conversations');
+    });
+
+    await test('findExportAttachments matches export files by file ID', () => {
+        const paths = ['file-Photo1-photo.jpg', 'file-Doc1-brief.pdf', 'dalle-generations/file_gen1.webp', 'file-Other-x.png'];
+        const found = findExportAttachments(createAttachmentConversation(), paths, { images: true, generated: true, files: true });
+        assertEqual(found.map(f => `${f.ref.fileId}=${f.path}`).join(','),
+            'file-Photo1=file-Photo1-photo.jpg,file-Doc1=file-Doc1-brief.pdf,file_gen1=dalle-generations/file_gen1.webp');
+        assertEqual(found[2].fileName, 'generated-image.webp', 'Unnamed files keep their extension');
+        assertEqual(buildAttachmentFilename(found[0].ref, '', found[0].fileName), 'file-Photo1_photo.jpg');
+    });
+
+    // Command-line converter
+    await test('parseCliArgs reads formats, render and path options', () => {
+        const request = parseCliArgs(['convert', 'backup.json', '--out', 'vault', '--format', 'markdown,html',
+            '--branches', 'callouts', '--thoughts', '--path-pattern', '{yyyy}/{title}', '--incremental']);
+        assertEqual(request.input, 'backup.json');
+        assertEqual(Object.keys(request.formats).join(','), 'markdown,html');
+        assertEqual(request.renderOptions.branches, 'callouts');
+        assert(request.renderOptions.thoughts && !request.renderOptions.tools, 'Only --thoughts should be set');
+        assertEqual(request.renderOptions.pathPattern, '{yyyy}/{title}');
+        assertEqual(request.statePath, join('vault', '.gpt-exporter-state.json'));
+    });
+
+    await test('parseCliArgs rejects unknown formats and placeholders', () => {
+        for (const args of [['convert', 'a.json', '--format', 'pdf'], ['convert', 'a.json', '--path-pattern', '{nope}'], ['export', 'a.json']]) {
+            let error = null;
+            try {
+                parseCliArgs(args);
+            } catch (e) {
+                error = e;
+            }
+            assert(error?.name === 'UsageError', `Should reject ${args.join(' ')}`);
+        }
+    });
+
+    await test('CLI exits with 2 on invalid arguments', async () => {
+        const errors = [];
+        const code = await runCli(['convert'], { log: () => {}, error: message => errors.push(message) });
+        assertEqual(code, 2);
+        assert(errors[0].includes('Usage: gpt-exporter convert'), 'Usage should be printed');
+    });
+
+    await test('convertConversations writes the same files as the extension', async () => {
+        const conversation = createBranchingConversation();
+        const request = parseCliArgs(['convert', 'x.json', '--format', 'markdown,json']);
+        const { files, converted } = await convertConversations([conversation], request);
+        assertEqual(converted.length, 1);
+        const expected = conversationToMarkdown(createBranchingConversation(), request.renderOptions);
+        assertEqual(files[0].filename, expected.filename);
+        assertEqual(files[0].content, expected.content);
+        assert(files.some(file => file.filename.startsWith('chatgpt_backup_')), 'JSON backup should be written');
+    });
+
+    await test('convertConversations in incremental mode skips unchanged conversations', async () => {
+        const request = parseCliArgs(['convert', 'x.json', '--incremental']);
+        const state = updateState({ exportedConversations: {}, lastSyncTime: null }, [createBranchingConversation()]);
+        const updated = { ...createToolConversation(), update_time: 1900000000 };
+
+        const unchanged = await convertConversations([createBranchingConversation()], { ...request, state });
+        assertEqual(unchanged.skipped, 1);
+        assertEqual(unchanged.files.length, 0);
+
+        const later = { ...createBranchingConversation(), update_time: 1900000000 };
+        later.mapping.assistant2.message.content.parts = ['Second answer, edited'];
+        const result = await convertConversations([later, updated], { ...request, state });
+        assertEqual(result.converted.length, 2, 'Updated and new conversations should be converted');
+    });
+
+    await test('convertConversations in incremental mode skips conversations with only a bumped update_time', async () => {
+        const request = parseCliArgs(['convert', 'x.json', '--incremental']);
+        const state = updateState({ exportedConversations: {}, lastSyncTime: null }, [createBranchingConversation()]);
+        const bumped = { ...createBranchingConversation(), update_time: 1900000000 };
+        const result = await convertConversations([bumped], { ...request, state });
+        assertEqual(result.converted.length, 0);
+        assertEqual(result.unchanged.length, 1);
+        assertEqual(result.files.length, 0);
+    });
+
+    // Vault folder (File System Access API)
+    const createMemoryFolder = () => {
+        const folder = { folders: {}, files: {} };
+        folder.getDirectoryHandle = async (name, { create } = {}) => {
+            if (!folder.folders[name] && create) {
+                folder.folders[name] = createMemoryFolder();
+            }
+            return folder.folders[name];
+        };
+        folder.removeEntry = async (name) => {
+            if (!(name in folder.files)) {
+                throw Object.assign(new Error('Not found'), { name: 'NotFoundError' });
+            }
+            delete folder.files[name];
+        };
+        folder.getFileHandle = async (name) => ({
+            createWritable: async () => ({
+                write: async (data) => {
+                    folder.files[name] = typeof data === 'string' ? data : Buffer.from(data).toString('base64');
+                },
+                close: async () => {}
+            })
+        });
+        return folder;
+    };
+
+    await test('writeVaultFile creates folders and replaces existing files', async () => {
+        const root = createMemoryFolder();
+        await writeVaultFile(root, 'My_Project/Chat_6981fddd.md', 'first');
+        await writeVaultFile(root, 'My_Project/Chat_6981fddd.md', 'second');
+        await writeVaultFile(root, 'attachments/file-A_cat.png', 'aGVsbG8=', true);
+        assertEqual(root.folders.My_Project.files['Chat_6981fddd.md'], 'second');
+        assertEqual(root.folders.attachments.files['file-A_cat.png'], 'aGVsbG8=', 'Binary content should be decoded');
+    });
+
+    await test('writeVaultFile ignores path segments that leave the vault', async () => {
+        const root = createMemoryFolder();
+        await writeVaultFile(root, '../outside/./note.md', 'x');
+        assertEqual(Object.keys(root.folders).join(','), 'outside');
+    });
+
+    // Merge mode (managed region)
+    await test('managedRegion wraps the note body in markers', () => {
+        const { content } = conversationToMarkdown(createBranchingConversation(), { managedRegion: true });
+        assert(hasManagedRegion(content), 'Markers expected');
+        assert(content.includes('---\n\n<!-- gpt-exporter:start'), 'Start marker should follow the frontmatter');
+        assert(content.endsWith('<!-- gpt-exporter:end -->'), 'End marker should close the note');
+        assert(!hasManagedRegion(conversationToMarkdown(createBranchingConversation()).content), 'No markers by default');
+    });
+
+    await test('mergeManagedNote keeps user properties, tags and notes', () => {
+        const first = conversationToMarkdown(createBranchingConversation(), { managedRegion: true }).content;
+        const edited = first
+            .replace('tags:\n  - gpt-chat', 'tags:\n  - gpt-chat\n  - reviewed')
+            .replace('\n---\n\n<!--', '\nrating: 5\nstatus: done\n---\n\nMy summary above.\n\n<!--')
+            .replace('Second answer', 'Edited inside the region') + '\n\n## My notes\nKeep me.';
+
+        const later = { ...createBranchingConversation(), update_time: 1900000000 };
+        later.mapping.assistant2.message.content.parts = ['Second answer, continued'];
+        const regenerated = conversationToMarkdown(later, { managedRegion: true }).content;
+        const merged = mergeManagedNote(edited, regenerated);
+
+        assert(merged.includes('tags:\n  - gpt-chat\n  - reviewed'), 'User tag should be kept');
+        assert(merged.includes('rating: 5\nstatus: done\n---'), 'User properties should be kept');
+        assert(merged.includes('updated: 2030-03-17'), 'Generated properties should be updated');
+        assert(merged.includes('---\n\nMy summary above.\n\n<!-- gpt-exporter:start'), 'Notes above the markers should be kept');
+        assert(merged.includes('Second answer, continued') && !merged.includes('Edited inside the region'), 'Region should be replaced');
+        assert(merged.endsWith('<!-- gpt-exporter:end -->\n\n## My notes\nKeep me.'), 'Notes below the markers should be kept');
+    });
+
+    await test('mergeManagedNote drops the tag of the project a conversation was moved from', () => {
+        const inProject = name => ({ ...createBranchingConversation(), _projectId: 'g-p-1', _projectName: name });
+        const first = conversationToMarkdown(inProject('Old Project'), { managedRegion: true }).content;
+        const edited = first.replace('  - old-project', '  - old-project\n  - reviewed');
+
+        const regenerated = conversationToMarkdown(inProject('New Project'), { managedRegion: true }).content;
+        const merged = mergeManagedNote(edited, regenerated);
+
+        assert(merged.includes('tags:\n  - gpt-chat\n  - new-project\n  - reviewed\n'), 'New project tag and user tag should be kept');
+        assert(!merged.includes('old-project'), 'Tag of the previous project should be dropped');
+    });
+
+    await test('mergeManagedNote replaces notes without markers but keeps user properties', () => {
+        const old = '---\ntitle: "Old"\nmine: yes\n---\n\n# Old\n\nold body';
+        const regenerated = conversationToMarkdown(createBranchingConversation(), { managedRegion: true }).content;
+        const merged = mergeManagedNote(old, regenerated);
+        assert(merged.includes('\nmine: yes\n---'), 'User property should be kept');
+        assert(!merged.includes('old body') && merged.includes('Second answer'), 'Body should be replaced');
+    });
+
+    // Append mode
+    const createContinuedConversation = () => {
+        const conversation = { ...createBranchingConversation(), update_time: 1900000000 };
+        conversation.mapping.assistant2.children = ['user3'];
+        conversation.mapping.user3 = { id: 'user3', parent: 'assistant2', children: ['assistant3'],
+            message: { author: { role: 'user' }, content: { content_type: 'text', parts: ['Third question'] }, create_time: 8 }
+        };
+        conversation.mapping.assistant3 = { id: 'assistant3', parent: 'user3', children: [],
+            message: { author: { role: 'assistant' }, content: { content_type: 'text', parts: ['Third answer'] }, create_time: 9 }
+        };
+        conversation.current_node = 'assistant3';
+        return conversation;
+    };
+
+    await test('extractMessagesAfter returns only messages after the node', () => {
+        const messages = extractMessagesAfter(createContinuedConversation(), 'assistant2');
+        assertEqual(messages.map(m => m.content).join('|'), 'Third question|Third answer');
+        assertEqual(extractMessagesAfter(createBranchingConversation(), 'assistant2').length, 0);
+    });
+
+    await test('extractMessagesAfter returns null when the node left the current path', () => {
+        assertEqual(extractMessagesAfter(createContinuedConversation(), 'assistant2b'), null);
+    });
+
+    await test('conversationToMarkdown returns the new messages in append mode', () => {
+        const { append, filename } = conversationToMarkdown(createContinuedConversation(), {
+            appendAfter: { '6981fddd-branch-test': 'assistant2' }
+        });
+        assert(append.content.startsWith('> [!me:]\n> Third question'), 'New user message expected first');
+        assert(append.content.includes('Third answer') && !append.content.includes('Second answer'), 'Only new messages expected');
+        assertEqual(append.patch.filename, filename.replace(/\.md$/, '_update_2030-03-17_1746.md'));
+        assert(append.patch.content.includes(`[[${filename.replace(/\.md$/, '')}]]`), 'Patch should link the note');
+    });
+
+    await test('conversationToMarkdown falls back to a full note when the branch changed', () => {
+        const changed = conversationToMarkdown(createContinuedConversation(), { appendAfter: { '6981fddd-branch-test': 'assistant2b' } });
+        assertEqual(changed.append, null);
+        assertEqual(conversationToMarkdown(createContinuedConversation()).append, null, 'No append without appendAfter');
+        const withCallouts = conversationToMarkdown(createContinuedConversation(), {
+            branches: 'callouts',
+            appendAfter: { '6981fddd-branch-test': 'assistant2' }
+        });
+        assertEqual(withCallouts.append, null, 'Branch callouts need a full rewrite');
+    });
+
+    await test('appendToNote adds new messages before the end marker and updates the frontmatter', () => {
+        const first = conversationToMarkdown(createBranchingConversation(), { managedRegion: true }).content;
+        const edited = first.replace('\n---\n\n<!--', '\nrating: 5\n---\n\n<!--') + '\n\n## My notes';
+        const continued = conversationToMarkdown(createContinuedConversation(), {
+            managedRegion: true,
+            appendAfter: { '6981fddd-branch-test': 'assistant2' }
+        });
+        const appended = appendToNote(edited, continued.content, continued.append.content);
+
+        assert(appended.includes('Second answer\n\n> [!me:]\n> Third question'), 'New messages should follow the old ones');
+        assert(appended.endsWith('Third answer\n<!-- gpt-exporter:end -->\n\n## My notes'), 'End marker and notes should stay last');
+        assert(appended.includes('updated: 2030-03-17') && appended.includes('rating: 5'), 'Frontmatter should be merged');
+    });
+
+    await test('appendToNote appends to the end of notes without markers', () => {
+        const appended = appendToNote('---\ntitle: "Old"\n---\n\n# Old\n\nold body\n\n', '---\ntitle: "New"\n---\n\nx', 'new body');
+        assertEqual(appended, '---\ntitle: "New"\n---\n\n# Old\n\nold body\n\nnew body\n');
+    });
+
+    await test('CLI state records the last exported node for --append', () => {
+        const state = updateState({ exportedConversations: {}, lastSyncTime: null }, [createBranchingConversation()]);
+        assertEqual(state.exportedConversations['6981fddd-branch-test'].lastNodeId, 'assistant2');
+        let error = null;
+        try {
+            parseCliArgs(['convert', 'a.json', '--append']);
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(error?.name, 'UsageError', '--append should need --incremental');
+    });
+
+    // Content hashes (skip conversations whose update_time was only bumped)
+    await test('hashString is stable and tells different texts apart', () => {
+        assertEqual(hashString('Hello'), hashString('Hello'));
+        assert(hashString('Hello') !== hashString('Hellp'), 'Different texts should differ');
+        assert(/^[0-9a-f]{16}$/.test(hashString('')), 'Hash should be 16 hex digits');
+    });
+
+    await test('getContentHash ignores title, project and update_time but not messages', () => {
+        const hash = getContentHash(createBranchingConversation());
+        const renamed = { ...createBranchingConversation(), title: 'Renamed', _projectId: 'g-p-1', update_time: 1900000000 };
+        assertEqual(getContentHash(renamed), hash);
+
+        const edited = createBranchingConversation();
+        edited.mapping.assistant2.message.content.parts = ['Other answer'];
+        assert(getContentHash(edited) !== hash, 'Edited message should change the hash');
+        assert(getContentHash({ ...createBranchingConversation(), current_node: 'assistant2b' }) !== hash, 'Switched branch should change the hash');
+        assertEqual(getContentHash({ title: 'No mapping' }), null);
+    });
+
+    await test('compareWithExport classifies updated conversations', () => {
+        const exported = describeExport({ ...createBranchingConversation(), _projectId: 'g-p-1', _projectName: 'Work' });
+        const compare = changes => compareWithExport(exported, { ...createBranchingConversation(), _projectId: 'g-p-1', _projectName: 'Work', ...changes });
+
+        assertEqual(compareWithExport(undefined, createBranchingConversation()), 'new');
+        assertEqual(compare({ update_time: 1900000000 }), 'unchanged');
+        assertEqual(compare({ title: 'Renamed' }), 'renamed');
+        assertEqual(compare({ title: 'Renamed', _projectId: 'g-p-2' }), 'moved');
+        assertEqual(compare({ current_node: 'assistant1' }), 'changed');
+        assertEqual(compareWithExport({ updateTime: exported.updateTime }, createBranchingConversation()), 'changed',
+            'Exports without hash count as changed');
+    });
+
+    await test('describeExport records what later exports compare against', () => {
+        const exported = describeExport({ ...createBranchingConversation(), _projectId: 'g-p-1', _projectName: 'Work' });
+        assertEqual(exported.id, '6981fddd-branch-test');
+        assertEqual(exported.updateTime, new Date(1770126827760.625).toISOString());
+        assertEqual(exported.lastNodeId, 'assistant2');
+        assertEqual(exported.title, 'Branch Test');
+        assertEqual(exported.projectName, 'Work');
+    });
+
+    // Renamed and moved conversations
+    await test('getNotePath matches the path of the exported files', () => {
+        const conversation = { ...createBranchingConversation(), _projectName: 'My Project' };
+        const { filename } = conversationToMarkdown(conversation);
+        assertEqual(`${getNotePath(conversation)}.md`, filename);
+        assertEqual(getNotePath(conversation, { pathPattern: '{title-slug}' }), 'branch-test');
+    });
+
+    await test('trackRename detects a changed path and keeps old names as aliases', () => {
+        const exported = describeExport(createBranchingConversation());
+        const renamed = { ...createBranchingConversation(), title: 'New Title' };
+        const rename = trackRename(renamed, exported);
+        assertEqual(rename.from, 'Branch_Test_6981fddd');
+        assertEqual(rename.to, 'New_Title_6981fddd');
+        assertEqual(renamed._previousNames.join(','), 'Branch_Test_6981fddd');
+        assert(conversationToMarkdown(renamed).content.includes('  - "Branch_Test_6981fddd"'), 'Old name should be an alias');
+
+        // The next export still knows the old name, but nothing moves
+        const again = { ...createBranchingConversation(), title: 'New Title' };
+        assertEqual(trackRename(again, describeExport(renamed)), null);
+        assertEqual(again._previousNames.join(','), 'Branch_Test_6981fddd');
+
+        // Renaming back drops the name from the aliases
+        const back = createBranchingConversation();
+        trackRename(back, describeExport(again));
+        assertEqual(back._previousNames.join(','), 'New_Title_6981fddd');
+    });
+
+    await test('compareWithExport notices paths changed by the path pattern', () => {
+        const exported = describeExport({ ...createBranchingConversation(), _projectId: 'g-p-1', _projectName: 'Work' });
+        const conversation = { ...createBranchingConversation(), _projectId: 'g-p-1', _projectName: 'Work' };
+        assertEqual(compareWithExport(exported, conversation, { pathPattern: '{project}/{title-slug}' }), 'renamed');
+        assertEqual(compareWithExport(exported, conversation, { pathPattern: '{yyyy}/{title}_{shortId}' }), 'moved');
+    });
+
+    await test('markMovedFiles and buildRenameManifest cover every file of the note', () => {
+        const files = [
+            { filename: 'Work/New_6981fddd.md', content: '' },
+            { filename: 'Work/New_6981fddd_branch2.md', content: '' },
+            { filename: 'attachments/file-A.png', content: '', isBase64: true }
+        ];
+        markMovedFiles(files, { from: 'Old_6981fddd', to: 'Work/New_6981fddd' });
+        assertEqual(files[0].previousFilename, 'Old_6981fddd.md');
+        assertEqual(files[1].previousFilename, 'Old_6981fddd_branch2.md');
+        assertEqual(files[2].previousFilename, undefined);
+
+        const manifest = buildRenameManifest(files);
+        assert(/^ChatGPT_Renames_\d{4}-\d{2}-\d{2}\.json$/.test(manifest.filename), 'Manifest filename');
+        assertEqual(JSON.parse(manifest.content).moves[1].to, 'Work/New_6981fddd_branch2.md');
+        assertEqual(buildRenameManifest([files[2]]), null);
+    });
+
+    await test('removeVaultFile deletes files and ignores missing ones', async () => {
+        const root = createMemoryFolder();
+        await writeVaultFile(root, 'Work/Old.md', 'x');
+        await removeVaultFile(root, 'Work/Old.md');
+        await removeVaultFile(root, 'Work/Old.md');
+        assertEqual(Object.keys(root.folders.Work.files).length, 0);
+    });
+
+    await test('CLI moves the notes of renamed conversations and keeps edits', async () => {
+        const out = mkdtempSync(join(tmpdir(), 'gpt-exporter-'));
+        try {
+            const request = parseCliArgs(['convert', 'x.json', '--incremental', '--merge']);
+            const state = { exportedConversations: {}, lastSyncTime: null };
+            const first = await convertConversations([createBranchingConversation()], { ...request, state });
+            await writeFiles(out, first.files);
+            updateState(state, first.converted, request.renderOptions);
+            const oldPath = join(out, 'Branch_Test_6981fddd.md');
+            writeFileSync(oldPath, readFileSync(oldPath, 'utf8') + '\n\n## My notes');
+
+            const renamed = { ...createBranchingConversation(), title: 'New Title', update_time: 1900000000 };
+            const second = await convertConversations([renamed], { ...request, state });
+            assertEqual(second.renames.length, 1);
+            await writeFiles(out, second.files);
+
+            assert(!existsSync(oldPath), 'Old note should be removed');
+            const moved = readFileSync(join(out, 'New_Title_6981fddd.md'), 'utf8');
+            assert(moved.endsWith('## My notes'), 'Edits should move along');
+            assert(moved.includes('"Branch_Test_6981fddd"'), 'Old name should be an alias');
+        } finally {
+            rmSync(out, { recursive: true, force: true });
+        }
+    });
+
+    await test('findMissingConversations and findReappearedConversations compare with the list', () => {
+        const exported = {
+            'a': { title: 'Listed' },
+            'b': { title: 'Missing' },
+            'c': { title: 'Known deleted', upstream: 'deleted' },
+            'd': { title: 'Unarchived', upstream: 'archived' }
+        };
+        const listed = new Set(['a', 'd']);
+        assertEqual(findMissingConversations(exported, listed).join(','), 'b', 'Only unflagged missing conversations');
+        assertEqual(findReappearedConversations(exported, listed).join(','), 'd', 'Flagged conversations listed again');
+    });
+
+    await test('getUpstreamStatus tells deleted from archived', () => {
+        assertEqual(getUpstreamStatus({ error: 'API Error: 404 Not Found' }), 'deleted', '404 means deleted');
+        assertEqual(getUpstreamStatus({ is_archived: true, mapping: {} }), 'archived', 'is_archived');
+        assertEqual(getUpstreamStatus({ is_archived: false, mapping: {} }), null, 'Still there');
+        assertEqual(getUpstreamStatus({ error: 'API Error: 429 Too Many Requests' }), null, 'Other errors are not deletions');
+        assertEqual(getUpstreamProperty('deleted'), 'deleted-upstream', 'Property for deleted');
+        assertEqual(getUpstreamProperty('archived'), 'archived', 'Property for archived');
+    });
+
+    await test('buildRemovedReport links removed conversations', () => {
+        const report = buildRemovedReport({
+            'a': { title: 'Old chat', path: 'Work/Old_chat_aaaa', upstream: 'deleted', upstreamSince: '2026-01-02' },
+            'b': { title: 'Stored away', upstream: 'archived', upstreamSince: '2026-01-03' },
+            'c': { title: 'Still here', path: 'Still_here_cccc' }
+        });
+        assertEqual(report.filename, 'Deleted_and_Archived_Conversations.md', 'Report filename');
+        assert(report.content.includes('- [[Old_chat_aaaa]] (since 2026-01-02)'), 'Deleted note linked by name');
+        assert(report.content.includes('- Stored away (since 2026-01-03)'), 'Title without recorded path');
+        assert(!report.content.includes('Still_here'), 'Listed conversations left out');
+        assert(report.content.indexOf('## Deleted in ChatGPT') < report.content.indexOf('[[Old_chat_aaaa]]'), 'Grouped by status');
+    });
+
+    await test('setNoteProperties sets and removes frontmatter properties', () => {
+        const note = '---\ntitle: Chat\ntags:\n  - chatgpt\n---\n\nBody';
+        const flagged = setNoteProperties(note, { 'deleted-upstream': true });
+        assertEqual(flagged, '---\ntitle: Chat\ntags:\n  - chatgpt\ndeleted-upstream: true\n---\n\nBody', 'Property added');
+        assertEqual(setNoteProperties(flagged, { 'deleted-upstream': null, archived: null }), note, 'Property removed');
+        assertEqual(setNoteProperties('Body', { archived: true }), '---\narchived: true\n---\nBody', 'Frontmatter created');
+    });
+
+    // Archived conversations
+    await test('archived conversations get the archived property', () => {
+        const archived = conversationToMarkdown({ ...createBranchingConversation(), is_archived: true });
+        assert(/\nsource: .*\narchived: true\n---/.test(archived.content), 'archived: true after source');
+        const active = conversationToMarkdown(createBranchingConversation());
+        assert(!active.content.includes('archived:'), 'No archived property for active conversations');
+    });
+
+    await test('archivedFolder puts archived conversations below Archived', () => {
+        const conversation = { ...createBranchingConversation(), is_archived: true, _projectName: 'Work' };
+        assertEqual(getNotePath(conversation, { archivedFolder: true }), 'Archived/Work/Branch_Test_6981fddd');
+        assertEqual(getNotePath(conversation), 'Work/Branch_Test_6981fddd', 'Off by default');
+        assertEqual(getNotePath(createBranchingConversation(), { archivedFolder: true }), 'Branch_Test_6981fddd', 'Active conversations stay');
+        assertEqual(parseCliArgs(['convert', 'backup.json', '--archived-folder']).renderOptions.archivedFolder, true, 'CLI option');
+    });
+
+    // Custom GPT conversations
+    await test('custom GPT conversations get the GPT in frontmatter and source', () => {
+        const conversation = { ...createBranchingConversation(), gizmo_id: 'g-2DQzU5UZl', _gptName: 'Code Copilot' };
+        assertEqual(getCustomGptId(conversation), 'g-2DQzU5UZl');
+        const { content } = conversationToMarkdown(conversation);
+        assert(content.includes('gpt: "Code Copilot"\ngpt-id: g-2DQzU5UZl\ngpt-url: https://chatgpt.com/g/g-2DQzU5UZl\n'), 'GPT properties');
+        assert(content.includes('source: https://chatgpt.com/g/g-2DQzU5UZl/c/'), 'Source links through the GPT');
+        assert(!content.includes('  - code-copilot'), 'No GPT tag by default');
+
+        assertEqual(getCustomGptId({ ...createBranchingConversation(), gizmo_id: 'g-p-0123456789abcdef0123456789abcdef' }), null, 'Projects are not custom GPTs');
+        assert(!conversationToMarkdown(createBranchingConversation()).content.includes('gpt:'), 'No GPT properties for plain chats');
+    });
+
+    await test('gptFolders and gptTags group custom GPT conversations', () => {
+        const conversation = { ...createBranchingConversation(), gizmo_id: 'g-2DQzU5UZl', _gptName: 'Code Copilot' };
+        const options = { gptFolders: true, gptTags: true };
+        assertEqual(getNotePath(conversation, options), 'Code_Copilot/Branch_Test_6981fddd');
+        assert(conversationToMarkdown(conversation, options).content.includes('  - gpt-chat\n  - code-copilot\n'), 'GPT tag');
+        assertEqual(getNotePath({ ...conversation, _gptName: undefined }, options), 'g-2DQzU5UZl/Branch_Test_6981fddd', 'ID without a name');
+        assertEqual(getNotePath({ ...conversation, _projectName: 'Work' }, options), 'Work/Branch_Test_6981fddd', 'Projects keep their folder');
+        assertEqual(getNotePath(conversation, { pathPattern: 'GPTs/{gpt}/{title}' }), 'GPTs/Code_Copilot/Branch_Test', '{gpt} placeholder');
+    });
+
+    // Conversation browser
+    await test('getExportStatuses tells new, updated and exported conversations apart', async () => {
+        const stored = {
+            gpt_exporter_sync_data: {
+                exportedConversations: {
+                    'a': { exportedAt: '2026-01-05T10:00:00.000Z', updateTime: '2026-01-04T10:00:00.000Z' },
+                    'b': { exportedAt: '2026-01-05T10:00:00.000Z', updateTime: '2026-01-04T10:00:00.000Z' }
+                }
+            }
+        };
+        globalThis.chrome = { storage: { local: { get: async key => ({ [key]: stored[key] }) } } };
+        try {
+            const statuses = await getExportStatuses([
+                { id: 'a', update_time: '2026-01-04T10:00:00.000Z' },
+                { id: 'b', update_time: Date.parse('2026-01-06T10:00:00.000Z') / 1000 },
+                { id: 'c', update_time: '2026-01-06T10:00:00.000Z' }
+            ]);
+            assertEqual(statuses.a.status, 'exported');
+            assertEqual(statuses.a.exportedAt, '2026-01-05T10:00:00.000Z');
+            assertEqual(statuses.b.status, 'updated', 'Update time in seconds');
+            assertEqual(statuses.c.status, 'new');
+            assertEqual(statuses.c.exportedAt, null);
+        } finally {
+            delete globalThis.chrome;
+        }
+    });
+
+    await test('countProjectStatuses counts new and updated conversations per project', () => {
+        const projects = [
+            { id: 'g-p-1', name: 'Work', conversations: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }] },
+            { id: 'g-p-2', name: 'Empty', conversations: [] }
+        ];
+        const statuses = {
+            a: { status: 'new' },
+            b: { status: 'updated' },
+            c: { status: 'exported' }
+        };
+        const [work, empty] = countProjectStatuses(projects, statuses);
+        assertEqual(JSON.stringify(work), JSON.stringify({ id: 'g-p-1', name: 'Work', count: 4, newCount: 2, updatedCount: 1 }),
+            'Conversations without a status count as new');
+        assertEqual(JSON.stringify(empty), JSON.stringify({ id: 'g-p-2', name: 'Empty', count: 0, newCount: 0, updatedCount: 0 }));
+    });
+
+    // Export filters
+    await test('createFilter only returns a filter when one is set', () => {
+        assertEqual(createFilter(undefined), null);
+        assertEqual(createFilter({ createdFrom: '', includeProjects: ' ', titlePattern: '', minMessages: 0 }), null);
+        assertEqual(createFilter({ minMessages: 4 }).minMessages, 4);
+
+        assertEqual(validateFilter({ createdFrom: '2025-03-01', createdTo: '2025-02-01' }).length, 1, 'Start after end');
+        assertEqual(validateFilter({ titlePattern: '(' }).length, 1, 'Invalid pattern');
+        let error = null;
+        try {
+            createFilter({ updatedFrom: 'soon' });
+        } catch (e) {
+            error = e;
+        }
+        assert(error && error.message.startsWith('Invalid filter - Updated'), 'Invalid settings throw');
+    });
+
+    await test('matchesFilter checks projects, dates and title of list entries', () => {
+        const filter = createFilter({
+            createdFrom: '2025-01-01',
+            createdTo: '2025-12-31',
+            includeProjects: 'Research, work',
+            titlePattern: '^meeting'
+        });
+        const meta = {
+            title: 'Meeting notes',
+            create_time: Date.parse('2025-06-01T12:00:00') / 1000,
+            update_time: '2026-01-02T10:00:00.000Z',
+            _projectName: 'Work'
+        };
+        assert(matchesFilter(meta, filter), 'Matching entry');
+        assert(!matchesFilter({ ...meta, _projectName: 'Other' }, filter), 'Other project');
+        assert(!matchesFilter({ ...meta, _projectName: undefined }, filter), 'No project');
+        assert(!matchesFilter({ ...meta, title: 'Old meeting' }, filter), 'Title');
+        assert(!matchesFilter({ ...meta, create_time: Date.parse('2026-01-01T00:00:00') / 1000 }, filter), 'Created after the range');
+        assert(!matchesFilter({ ...meta, create_time: null }, filter), 'Unknown time');
+        assert(matchesFilter({ ...meta, create_time: Date.parse('2025-12-31T23:00:00') / 1000 }, filter), 'End day included');
+
+        assert(matchesProject('RESEARCH', filter) && !matchesProject('Other', filter), 'Project names without case');
+        assert(!matchesUnfiled(filter) && matchesUnfiled(null), 'Main list only without included projects');
+        assert(!matchesProject('Scratch', createFilter({ excludeProjects: 'scratch' })), 'Excluded project');
+        assert(matchesFilter(meta, null), 'No filter');
+    });
+
+    await test('isBeforeUpdatedRange stops paging once a page is older than the range', () => {
+        const filter = createFilter({ updatedFrom: '2025-06-01' });
+        const older = { update_time: '2025-05-01T10:00:00.000Z' };
+        const newer = { update_time: '2025-07-01T10:00:00.000Z' };
+        assert(isBeforeUpdatedRange([older, older], filter), 'Whole page older');
+        assert(!isBeforeUpdatedRange([newer, older], filter), 'Partly in range');
+        assert(!isBeforeUpdatedRange([older], createFilter({ updatedTo: '2025-06-01' })), 'No start date');
+    });
+
+    await test('countMessages counts your and ChatGPT\'s messages', () => {
+        const conversation = createToolConversation();
+        conversation.mapping.root.children = ['system1'];
+        conversation.mapping.system1 = { id: 'system1', parent: 'root', children: ['user1'],
+            message: { author: { role: 'system' }, content: { content_type: 'text', parts: ['You are ChatGPT.'] } }
+        };
+        conversation.mapping.user1.parent = 'system1';
+        // The question, the Python code and the answer; not the system message or the two tool results
+        assertEqual(countMessages(conversation), 3);
+        assert(isShortConversation(conversation, 4) && !isShortConversation(conversation, 3), 'Minimum message count');
+        assert(!isShortConversation(conversation, 0), 'No minimum');
+    });
+
+    // Project notes
+    await test('parseProjectDetails reads the project gizmo response', () => {
+        const project = parseProjectDetails({
+            gizmo: {
+                id: 'g-p-0123456789abcdef0123456789abcdef',
+                display: { name: 'Research', description: 'Papers and notes' },
+                instructions: 'Answer briefly.'
+            },
+            files: [{ id: 'file-AbC123', name: 'paper.pdf', type: 'application/pdf', size: 2048 }, { name: 'No ID' }]
+        });
+        assertEqual(project.name, 'Research');
+        assertEqual(project.description, 'Papers and notes');
+        assertEqual(project.instructions, 'Answer briefly.');
+        assertEqual(project.files.length, 1, 'Files without ID are dropped');
+        assertEqual(project.files[0].fileId, 'file-AbC123');
+        assertEqual(parseProjectDetails({ gizmo: { id: 'g-p-1' } }, 'Listed name').name, 'Listed name', 'Name from the list');
+
+        const withoutId = parseProjectDetails({ gizmo: { display: { name: 'Research' } } }, 'Research', 'g-p-2');
+        assertEqual(withoutId.id, 'g-p-2', 'Requested ID if the response has none');
+        assert(buildProjectNote(withoutId, '').content.includes('project-url: https://chatgpt.com/g/g-p-2/project'), 'Link with that ID');
+    });
+
+    await test('buildProjectNote writes _Project.md with instructions callout and file list', () => {
+        const project = {
+            id: 'g-p-0123456789abcdef0123456789abcdef',
+            name: 'My "Research"',
+            description: 'Papers and notes',
+            instructions: 'Answer briefly.\n\nCite sources.',
+            files: [
+                { fileId: 'file-AbC123', name: 'paper.pdf', size: 2048 },
+                { fileId: 'file-DeF456', name: 'data.csv', size: null }
+            ]
+        };
+        const note = buildProjectNote(project, 'My_Research/', { 'file-AbC123': 'file-AbC123_paper.pdf' });
+        assertEqual(note.filename, 'My_Research/_Project.md');
+        assert(note.content.includes('project: "My \'Research\'"\n'), 'Quoted name');
+        assert(note.content.includes('project-url: https://chatgpt.com/g/g-p-0123456789abcdef0123456789abcdef/project'), 'Link');
+        assert(note.content.includes('> [!info] Instructions\n> Answer briefly.\n>\n> Cite sources.\n'), 'Instructions callout');
+        assert(note.content.includes('- [[file-AbC123_paper.pdf|paper.pdf]] (2 KB)'), 'Downloaded file linked');
+        assert(note.content.includes('- data.csv - not downloaded'), 'Other files listed');
+
+        const odd = buildProjectNote({ ...project, files: [{ fileId: 'file-GhI789', name: 'a|b [draft].md', size: null }] }, '',
+            { 'file-GhI789': buildAttachmentFilename({ fileId: 'file-GhI789', kind: 'file', name: 'a|b [draft].md' }) });
+        assert(odd.content.includes('|a b  draft .md]]\n'), 'File names escaped in links');
+    });
+
+    await test('getProjectFolder finds the project folder in the note paths of the path pattern', () => {
+        assertEqual(getProjectFolder(['My_Project/Chat_6981fddd'], 'My Project'), 'My_Project/', 'Default pattern');
+        assertEqual(getProjectFolder(['my-project/chat_6981fddd'], 'My Project', { pathSpaces: 'hyphen', pathCase: 'lower' }),
+            'my-project/', 'Path settings');
+
+        const pathPattern = 'Chats/{yyyy}/{project}/{title}_{shortId}';
+        assertEqual(getProjectFolder(['Chats/2025/My_Project/Chat_6981fddd'], 'My Project', { pathPattern }),
+            'Chats/2025/My_Project/', 'Custom pattern');
+        assertEqual(getProjectFolder(['Chats/2025/My_Project/Chat_6981fddd/Chat_6981fddd'], 'My Project', { pathPattern: `${pathPattern}/{title}_{shortId}` }),
+            'Chats/2025/My_Project/', 'Folders below the project');
+        assertEqual(getProjectFolder(['Archived/My_Project/Old_6981fddd', 'My_Project/Chat_6981fddd'], 'My Project'),
+            'My_Project/', 'Archived conversations only as a fallback');
+        assertEqual(getProjectFolder(['Archived/My_Project/Old_6981fddd'], 'My Project'), 'Archived/My_Project/', 'Only archived');
+        assertEqual(getProjectFolder(['ChatGPT/2025-06/Chat_6981fddd'], 'My Project', { pathPattern: 'ChatGPT/{yyyy}-{mm}/{title}_{shortId}' }),
+            'ChatGPT/2025-06/', 'No project part in the pattern');
+        assertEqual(getProjectFolder([], 'My Project'), '', 'No notes');
+    });
+
+    // Index notes
+    await test('describeExport keeps creation time, model and message count for the index', () => {
+        const conversation = createBranchingConversation();
+        const exported = describeExport(conversation);
+        assertEqual(exported.createTime, conversation.create_time ? new Date(conversation.create_time * 1000).toISOString() : null);
+        assertEqual(exported.messageCount, countMessages(conversation));
+        assert(typeof exported.model === 'string', 'Model slug');
+    });
+
+    await test('buildIndexNotes lists conversations oldest first with a project index each', () => {
+        const exportedConversations = {
+            '6981fddd-0000-0000-0000-000000000002': {
+                title: 'Second', createTime: '2025-06-02T10:00:00.000Z', model: 'gpt-4o', messageCount: 4,
+                projectName: 'My Research', path: 'My_Research/Second_6981fddd'
+            },
+            '6981fddd-0000-0000-0000-000000000001': {
+                title: 'First | draft', createTime: '2025-06-01T10:00:00.000Z', model: 'unknown', messageCount: 1,
+                upstream: 'deleted'
+            },
+            '69800000-0000-0000-0000-000000000003': { title: 'Old entry' }
+        };
+        const notes = buildIndexNotes(exportedConversations);
+        assertEqual(notes.map(note => note.filename).join(','), 'ChatGPT Index.md,My_Research/My Research Index.md');
+
+        const root = notes[0].content;
+        const lines = root.split('## Conversations')[1].split('\n').filter(line => line.startsWith('- [['));
+        assertEqual(lines.length, 3);
+        assertEqual(lines[0], '- [[First_draft_6981fddd|First   draft]] · 2025-06-01 · 1 message · deleted in ChatGPT');
+        assertEqual(lines[1], '- [[Second_6981fddd|Second]] · 2025-06-02 · GPT-4o · 4 messages · [[My Research Index|My Research]]');
+        assertEqual(lines[2], '- [[Old_entry_69800000|Old entry]] · 2026-02-02', 'Created time from the ID, name from generateFilename');
+        assert(root.includes('- [[My Research Index|My Research]] · 1 conversation'), 'Project list');
+
+        const project = notes[1].content;
+        assert(project.includes('project: "My Research"'), 'Project property');
+        assert(project.includes('- [[Second_6981fddd|Second]] · 2025-06-02 · GPT-4o · 4 messages\n'), 'Project conversations');
+        assert(!project.includes('First'), 'Only the project conversations');
+    });
+
+    await test('buildIndexNotes puts project indexes in the project folder of the path pattern', () => {
+        const exportedConversations = {
+            '6981fddd-0000-0000-0000-000000000001': {
+                title: 'Chat', createTime: '2025-06-01T10:00:00.000Z',
+                projectName: 'Notes [A|B]', path: 'Chats/2025/Notes_A_B/Chat_6981fddd'
+            }
+        };
+        const notes = buildIndexNotes(exportedConversations, { pathPattern: 'Chats/{yyyy}/{project}/{title}_{shortId}' });
+        assertEqual(notes[1].filename, 'Chats/2025/Notes_A_B/Notes A B Index.md');
+        assert(notes[0].content.includes('- [[Notes A B Index|Notes  A B]] · 1 conversation'), 'Project alias escaped in the project list');
+        assert(notes[0].content.includes('· [[Notes A B Index|Notes  A B]]\n'), 'Project alias escaped in the conversation list');
+    });
 }
 
 /**